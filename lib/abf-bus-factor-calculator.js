@@ -1,15 +1,100 @@
+import simpleGit from 'simple-git';
 import { EventEmitter } from 'events';
+import { DEFAULT_AUTHOR_SHARE, getFileAuthorsByShare, ownersOf } from './ownership.js';
+
+// Degree-of-Authorship model by Fritz et al. as used by Avelino et al.:
+// DOA = 3.293 + 1.098·FA + 0.164·DL − 0.321·ln(1 + AC)
+export const DOA_COEFFICIENTS = {
+  intercept: 3.293,
+  firstAuthorship: 1.098,
+  deliveries: 0.164,
+  acceptances: 0.321
+};
+
+// A developer authors a file when their normalized DOA reaches 0.75 and the
+// absolute DOA is at least the model's intercept
+export const DOA_NORMALIZED_THRESHOLD = 0.75;
+export const DOA_ABSOLUTE_THRESHOLD = 3.293;
 
 export class ABFBusFactorCalculator extends EventEmitter {
+  static method = 'abf';
+  static description = 'Analyze bus factor using the ABF (Augmented Bus Factor) method';
+
   constructor(options = {}) {
     super();
     this.quiet = options.quiet || false;
+    this.threshold = options.threshold || 0.5;
+    this.doaModel = options.doaModel || 'lines';
+    this.multiAuthor = options.multiAuthor || false;
+    // Share of lines for the line model, normalized DOA for the Fritz model
+    this.authorThreshold = options.authorThreshold ||
+      (this.doaModel === 'fritz' ? DOA_NORMALIZED_THRESHOLD : DEFAULT_AUTHOR_SHARE);
+    
+    if (!['lines', 'fritz'].includes(this.doaModel)) {
+      throw new Error(`Unknown DOA model: ${this.doaModel} (expected lines or fritz)`);
+    }
   }
+
+  async calculate(fileAuthorship, analysisData) {
+    return this.doaModel === 'fritz'
+      ? this.calculateABFWithDOA(fileAuthorship, analysisData)
+      : this.calculateABF(fileAuthorship);
+  }
+
   calculateABF(fileAuthorship) {
     this.emit('info', '\n🧮 Calculating bus factor using ABF method...');
     this.emit('info', '   📊 Step 1: Determining file ownership...');
     const fileOwnership = this.getFileOwnership(fileAuthorship);
     
+    if (this.multiAuthor) {
+      const fileAuthors = getFileAuthorsByShare(fileAuthorship, this.authorThreshold);
+      return { ...this.removeAuthorsByDOA(fileAuthors), fileOwnership, fileAuthors };
+    }
+    
+    return this.removeAuthorsByDOA(fileOwnership);
+  }
+
+  // History the Fritz model needs, read once for all files of the analysis so
+  // calculations over subsets of them (e.g. per directory) can share it
+  async readHistory(fileAuthorship, analysisData) {
+    if (this.doaModel !== 'fritz') {
+      return {};
+    }
+    return {
+      fileHistory: await this.getFileHistory(
+        analysisData.repoPath,
+        Object.keys(fileAuthorship),
+        analysisData.ref,
+        analysisData.identityResolver,
+        analysisData.ignoreAuthors || []
+      )
+    };
+  }
+
+  async calculateABFWithDOA(fileAuthorship, analysisData) {
+    this.emit('info', '\n🧮 Calculating bus factor using ABF method (Fritz et al. DOA)...');
+    this.emit('info', '   📊 Step 1: Reading file histories (git log --follow)...');
+    const { fileHistory } = analysisData.fileHistory
+      ? analysisData
+      : await this.readHistory(fileAuthorship, analysisData);
+    
+    const fileDOA = {};
+    for (const file of Object.keys(fileAuthorship)) {
+      fileDOA[file] = this.calculateFileDOA(fileHistory[file] || []);
+    }
+    const fileOwnership = this.getFileOwnershipByDOA(fileDOA);
+    
+    if (this.multiAuthor) {
+      const fileAuthors = this.getFileAuthorsByDOA(fileDOA);
+      return { ...this.removeAuthorsByDOA(fileAuthors), fileOwnership, fileAuthors, fileDOA };
+    }
+    
+    return { ...this.removeAuthorsByDOA(fileOwnership), fileDOA };
+  }
+
+  // fileOwnership maps each file to its owner, or to all of its authors in
+  // multi-author mode; a file is ownerless once all of them are removed
+  removeAuthorsByDOA(fileOwnership) {
     this.emit('info', '   📊 Step 2: Calculating Degree of Authorship (DOA)...');
     const authorDOA = this.calculateAuthorDOA(fileOwnership);
     const sortedAuthors = Object.entries(authorDOA)
@@ -18,7 +103,7 @@ export class ABFBusFactorCalculator extends EventEmitter {
 
     this.emit('info', '   📊 Step 3: Iteratively removing authors...\n');
     
-    const totalFiles = Object.keys(fileAuthorship).length;
+    const totalFiles = Object.keys(fileOwnership).length;
     let removedAuthors = [];
     let busFactor = 0;
 
@@ -26,20 +111,14 @@ export class ABFBusFactorCalculator extends EventEmitter {
       removedAuthors.push(author);
       busFactor++;
 
-      let ownerlessFiles = 0;
-      for (const owner of Object.values(fileOwnership)) {
-        if (removedAuthors.includes(owner)) {
-          ownerlessFiles++;
-        }
-      }
-
+      const ownerlessFiles = this.countOwnerlessFiles(fileOwnership, removedAuthors);
       const ownerlessRatio = ownerlessFiles / totalFiles;
       const ownerlessPercent = (ownerlessRatio * 100).toFixed(1);
       
       this.emit('info', `   👤 Removed: ${author} (DOA: ${(doa * 100).toFixed(1)}%)`);
       this.emit('info', `      → Ownerless files: ${ownerlessFiles}/${totalFiles} (${ownerlessPercent}%)`);
       
-      if (ownerlessRatio > 0.5) {
+      if (ownerlessRatio > this.threshold) {
         this.emit('info', `\n   ✅ Threshold exceeded! Bus Factor = ${busFactor}`);
         break;
       }
@@ -76,13 +155,114 @@ export class ABFBusFactorCalculator extends EventEmitter {
     return fileOwnership;
   }
 
+  async getFileHistory(repoPath, files, ref = null, identityResolver = null, ignoreAuthors = []) {
+    const git = simpleGit(repoPath);
+    const fileHistory = {};
+    
+    for (const [index, file] of files.entries()) {
+      if (!this.quiet) {
+        this.emit('progress', `   📜 Reading history: [${index + 1}/${files.length}] ${file.substring(0, 50)}`);
+      }
+      
+      try {
+        // --follow keeps the history of renamed files, output is newest first
+        const output = await git.raw(['log', '--follow', '--format=%aN%x09%aE', ref || 'HEAD', '--', file]);
+        fileHistory[file] = output
+          .split('\n')
+          .filter(line => line.trim() !== '')
+          .map(line => {
+            const [name, email] = line.split('\t');
+            return identityResolver ? identityResolver.resolve(name, email) : name;
+          })
+          .filter(author => !ignoreAuthors.includes(author))
+          .reverse();
+      } catch (error) {
+        this.emit('warning', `Could not read history of "${file}": ${error.message}`);
+        fileHistory[file] = [];
+      }
+    }
+    
+    if (!this.quiet && files.length > 0) {
+      this.emit('progress', '\n');
+    }
+    
+    return fileHistory;
+  }
+
+  calculateFileDOA(commitAuthors) {
+    // commitAuthors lists the author of every change to the file, oldest first
+    const deliveries = {};
+    for (const author of commitAuthors) {
+      deliveries[author] = (deliveries[author] || 0) + 1;
+    }
+    
+    const fileDOA = {};
+    for (const [author, dl] of Object.entries(deliveries)) {
+      const fa = commitAuthors[0] === author ? 1 : 0;
+      const ac = commitAuthors.length - dl;
+      fileDOA[author] = {
+        firstAuthorship: fa,
+        deliveries: dl,
+        acceptances: ac,
+        doa: DOA_COEFFICIENTS.intercept +
+          DOA_COEFFICIENTS.firstAuthorship * fa +
+          DOA_COEFFICIENTS.deliveries * dl -
+          DOA_COEFFICIENTS.acceptances * Math.log(1 + ac)
+      };
+    }
+    
+    const maxDOA = Math.max(...Object.values(fileDOA).map(({ doa }) => doa));
+    for (const entry of Object.values(fileDOA)) {
+      entry.normalizedDOA = entry.doa / maxDOA;
+    }
+    
+    return fileDOA;
+  }
+
+  isDOAAuthor({ doa, normalizedDOA }, normalizedThreshold = DOA_NORMALIZED_THRESHOLD) {
+    return normalizedDOA >= normalizedThreshold && doa >= DOA_ABSOLUTE_THRESHOLD;
+  }
+
+  getFileAuthorsByDOA(fileDOA) {
+    const fileAuthors = {};
+    
+    for (const [file, authors] of Object.entries(fileDOA)) {
+      fileAuthors[file] = Object.entries(authors)
+        .filter(([, entry]) => this.isDOAAuthor(entry, this.authorThreshold))
+        .sort((a, b) => b[1].doa - a[1].doa)
+        .map(([author]) => author);
+    }
+    
+    return fileAuthors;
+  }
+
+  getFileOwnershipByDOA(fileDOA) {
+    const fileOwnership = {};
+    
+    for (const [file, authors] of Object.entries(fileDOA)) {
+      let primaryAuthor = null;
+      let maxDOA = -Infinity;
+      
+      for (const [author, entry] of Object.entries(authors)) {
+        if (this.isDOAAuthor(entry) && entry.doa > maxDOA) {
+          maxDOA = entry.doa;
+          primaryAuthor = author;
+        }
+      }
+      
+      fileOwnership[file] = primaryAuthor;
+    }
+    
+    return fileOwnership;
+  }
+
   calculateAuthorDOA(fileOwnership) {
     const authorDOA = {};
     const totalFiles = Object.keys(fileOwnership).length;
     
     for (const owner of Object.values(fileOwnership)) {
-      if (owner) {
-        authorDOA[owner] = (authorDOA[owner] || 0) + 1;
+      for (const author of ownersOf(owner)) {
+        authorDOA[author] = (authorDOA[author] || 0) + 1;
       }
     }
     
@@ -93,17 +273,23 @@ export class ABFBusFactorCalculator extends EventEmitter {
     return authorDOA;
   }
 
-  calculateFinalOwnerlessRatio(fileOwnership, removedAuthors) {
+  countOwnerlessFiles(fileOwnership, removedAuthors) {
     let ownerlessFiles = 0;
-    const totalFiles = Object.keys(fileOwnership).length;
     
+    // Files that never had an owner do not become ownerless
     for (const owner of Object.values(fileOwnership)) {
-      if (removedAuthors.includes(owner)) {
+      const owners = ownersOf(owner);
+      if (owners.length > 0 && owners.every(author => removedAuthors.includes(author))) {
         ownerlessFiles++;
       }
     }
     
-    return ownerlessFiles / totalFiles;
+    return ownerlessFiles;
+  }
+
+  calculateFinalOwnerlessRatio(fileOwnership, removedAuthors) {
+    const totalFiles = Object.keys(fileOwnership).length;
+    return this.countOwnerlessFiles(fileOwnership, removedAuthors) / totalFiles;
   }
 
   generateReport(analysisData, abfResult, repoUrl) {
@@ -120,8 +306,11 @@ export class ABFBusFactorCalculator extends EventEmitter {
       }
     }
 
+    const thresholdPercent = `${+(this.threshold * 100).toFixed(2)}%`;
+    
     const report = {
       repositoryUrl: repoUrl,
+      ref: analysisData.ref || null,
       summary: {
         busFactor: abfResult.busFactor,
         totalFiles: analysisData.totalFiles,
@@ -132,12 +321,23 @@ export class ABFBusFactorCalculator extends EventEmitter {
       },
       analysis: {
         method: 'Avelino et al. - ABF (Authorship-Based Factor)',
-        description: 'Iteratively removes developers with highest Degree of Authorship until >50% of files have coverage',
-        finalOwnerlessRatio: abfResult.ownerlessRatio,
-        threshold: 0.5
+        description: this.doaModel === 'fritz'
+          ? `Iteratively removes developers authoring the most files (Fritz et al. DOA) until >${thresholdPercent} of files are orphaned`
+          : `Iteratively removes developers with highest Degree of Authorship until >${thresholdPercent} of files have coverage`,
+        doaModel: this.doaModel,
+        ownershipMode: this.multiAuthor ? 'multi' : 'single',
+        // 0/0 for repositories without files; the report stays valid JSON
+        finalOwnerlessRatio: Number.isNaN(abfResult.ownerlessRatio) ? 0 : abfResult.ownerlessRatio,
+        threshold: this.threshold
       },
       constants: {
-        threshold: 0.5
+        threshold: this.threshold,
+        ...(this.multiAuthor && { authorThreshold: this.authorThreshold }),
+        ...(this.doaModel === 'fritz' && {
+          doaCoefficients: DOA_COEFFICIENTS,
+          doaNormalizedThreshold: DOA_NORMALIZED_THRESHOLD,
+          doaAbsoluteThreshold: DOA_ABSOLUTE_THRESHOLD
+        })
       },
       topContributors: abfResult.authorDetails.slice(0, 10).map(({ author, doa }) => ({
         author,
@@ -145,7 +345,9 @@ export class ABFBusFactorCalculator extends EventEmitter {
         filesOwned: Math.round(doa * analysisData.totalFiles)
       })),
       fileOwnership: abfResult.fileOwnership,
+      ...(abfResult.fileAuthors && { fileAuthors: abfResult.fileAuthors }),
       fileAuthorshipMap: fileAuthorshipWithPercentages,
+      ...(abfResult.fileDOA && { fileDegreeOfAuthorship: abfResult.fileDOA }),
       interpretation: this.interpretResults(abfResult.busFactor),
       errors: analysisData.errors || []
     };
@@ -2,24 +2,33 @@ import simpleGit from 'simple-git';
 import fs from 'fs-extra';
 import path from 'path';
 import { EventEmitter } from 'events';
+import { IdentityResolver } from './identity-resolver.js';
 
 export class AuthorshipAnalyzer extends EventEmitter {
   constructor(repoPath, options = {}) {
     super();
     this.repoPath = repoPath;
-    this.git = simpleGit(repoPath);
+    this.jobs = options.jobs || 1;
+    this.git = simpleGit(repoPath, { maxConcurrentProcesses: this.jobs });
     this.quiet = options.quiet || false;
     this.json = options.json || false;
     this.ignoreExtensions = options.ignoreExtensions || [];
     this.ignoreDotFiles = options.ignoreDotFiles || false;
     this.ignoreAuthors = options.ignoreAuthors || [];
+    this.ref = options.ref || null;
+    this.identityResolver = options.identityResolver || new IdentityResolver(options.aliases);
+    this.cache = options.cache || null;
+    this.blobIds = null;
+    this.rootCommits = null;
     this.errors = [];
     this.filteredFiles = [];
     this.filteredAuthors = [];
   }
 
   async getFileList() {
-    const allFiles = await this.git.raw(['ls-files']);
+    // Without a ref the checked-out working tree is analyzed
+    const listArgs = this.ref ? ['ls-tree', '-r', '--name-only', this.ref] : ['ls-files'];
+    const allFiles = await this.git.raw(listArgs);
     const files = allFiles.split('\n').filter(file => file.trim() !== '');
     
     if (this.ignoreExtensions.length === 0 && !this.ignoreDotFiles) {
@@ -71,24 +80,126 @@ export class AuthorshipAnalyzer extends EventEmitter {
     return filteredFiles;
   }
 
-  async getFileAuthorship(filePath) {
-    try {
-      const blameOutput = await this.git.raw(['blame', '--line-porcelain', filePath]);
-      const lines = blameOutput.split('\n');
-      const authors = {};
-      let currentAuthor = null;
-
-      for (const line of lines) {
-        if (line.startsWith('author ')) {
-          currentAuthor = line.substring(7);
-        } else if (line.startsWith('\t')) {
-          if (currentAuthor) {
-            authors[currentAuthor] = (authors[currentAuthor] || 0) + 1;
+  parseBlameOutput(blameOutput) {
+    // Raw identities in order of first appearance, keyed on name and author-mail
+    const identities = new Map();
+    let currentName = null;
+    let currentEmail = null;
+
+    for (const line of blameOutput.split('\n')) {
+      if (line.startsWith('author ')) {
+        currentName = line.substring(7);
+        currentEmail = null;
+      } else if (line.startsWith('author-mail ')) {
+        currentEmail = line.substring(12);
+      } else if (line.startsWith('\t')) {
+        if (currentName) {
+          const key = `${currentName}\0${currentEmail || ''}`;
+          if (!identities.has(key)) {
+            identities.set(key, { name: currentName, email: currentEmail, lines: 0 });
           }
+          identities.get(key).lines++;
         }
       }
+    }
+
+    return [...identities.values()];
+  }
+
+  resolveAuthors(identities) {
+    const authors = {};
+    for (const { name, email, lines } of identities) {
+      const author = this.identityResolver.resolve(name, email);
+      authors[author] = (authors[author] || 0) + lines;
+    }
+    return authors;
+  }
+
+  async loadBlobIds() {
+    if (this.blobIds) {
+      return this.blobIds;
+    }
+
+    // Blob ids of the analyzed tree: the ref's tree, or the index for the working tree
+    const listArgs = this.ref ? ['ls-tree', '-r', '-z', this.ref] : ['ls-files', '-s', '-z'];
+    const output = await this.git.raw(listArgs);
+    const blobIds = new Map();
+    for (const entry of output.split('\0')) {
+      const tabIndex = entry.indexOf('\t');
+      if (tabIndex === -1) {
+        continue;
+      }
+      const [, objectType, objectId] = entry.substring(0, tabIndex).split(' ');
+      // ls-files prints "mode id stage", ls-tree prints "mode type id"
+      const blobId = this.ref ? (objectType === 'blob' ? objectId : null) : objectType;
+      if (blobId) {
+        blobIds.set(entry.substring(tabIndex + 1), blobId);
+      }
+    }
+
+    // Uncommitted changes are blamed as "Not Committed Yet", so those files are never cached
+    if (!this.ref) {
+      const changed = await this.git.raw(['diff', '--name-only', '-z', 'HEAD']).catch(() => '');
+      for (const file of changed.split('\0')) {
+        blobIds.delete(file);
+      }
+    }
+
+    // Identical blobs in other repositories have other authors, so the
+    // repository's root commits are part of the cache key
+    const roots = await this.git.raw(['rev-list', '--max-parents=0', this.ref || 'HEAD']).catch(() => '');
+    this.rootCommits = roots.split('\n').filter(Boolean).sort();
+
+    this.blobIds = blobIds;
+    return blobIds;
+  }
+
+  getCacheKey(filePath) {
+    const blobId = this.cache && this.blobIds && this.blobIds.get(filePath);
+    // Without a commit there is no repository identity to key the entry on
+    if (!blobId || this.rootCommits.length === 0) {
+      return null;
+    }
+    // Blame applies .mailmap, so its content is part of the key
+    return this.cache.getKey(blobId, filePath, {
+      repository: this.rootCommits,
+      args: ['--line-porcelain'],
+      mailmap: this.blobIds.get('.mailmap') || null
+    });
+  }
+
+  async getFileAuthorship(filePath) {
+    if (this.cache) {
+      await this.loadBlobIds();
+    }
+    const identities = await this.blameIdentities(filePath);
+    this.identityResolver.learn(identities);
+    return this.resolveAuthors(identities);
+  }
+
+  getBlameArgs(filePath) {
+    return this.ref
+      ? ['blame', '--line-porcelain', this.ref, '--', filePath]
+      : ['blame', '--line-porcelain', filePath];
+  }
+
+  async blameIdentities(filePath, pendingBlame = null) {
+    const cacheKey = this.getCacheKey(filePath);
+    if (cacheKey) {
+      const cached = await this.cache.get(cacheKey);
+      if (cached) {
+        return cached;
+      }
+    }
 
-      return authors;
+    try {
+      // analyzeAuthorship may have started the blame ahead of time
+      const blameOutput = await (pendingBlame || this.git.raw(this.getBlameArgs(filePath)));
+      const identities = this.parseBlameOutput(blameOutput);
+      if (cacheKey) {
+        await this.cache.set(cacheKey, identities);
+      }
+      return identities;
     } catch (error) {
       // Enhanced error context
       let errorMsg = `Could not analyze "${filePath}": ${error.message}`;
@@ -103,7 +214,7 @@ export class AuthorshipAnalyzer extends EventEmitter {
         if (!(this.quiet && this.json)) {
           this.emit('warning', errorMsg);
         }
-        return {};
+        return [];
       } else if (error.code === 'ENOENT') {
         errorMsg = `File not found: "${filePath}". It may have been deleted.`;
       } else if (error.code === 'EACCES') {
@@ -119,7 +230,7 @@ export class AuthorshipAnalyzer extends EventEmitter {
         this.emit('warning', errorMsg);
       }
       
-      return {};
+      return [];
     }
   }
 
@@ -130,6 +241,10 @@ export class AuthorshipAnalyzer extends EventEmitter {
     const startTime = Date.now();
     
     const files = await this.getFileList();
+    if (this.cache) {
+      await this.loadBlobIds();
+    }
+    const fileIdentities = {};
     const fileAuthorship = {};
     const totalAuthorship = {};
 
@@ -142,7 +257,26 @@ export class AuthorshipAnalyzer extends EventEmitter {
     let skipped = 0;
     const startFileTime = Date.now();
 
-    for (const file of files) {
+    // With --jobs, blames for the next files run while earlier ones are parsed.
+    // Results are still consumed in file order, so progress events, warnings
+    // and errors come out exactly as in a sequential run.
+    const pendingBlames = new Map();
+    const startBlame = (index) => {
+      if (index >= files.length || pendingBlames.has(index)) {
+        return;
+      }
+      // Cached files are read by blameIdentities instead of blamed
+      const cacheKey = this.getCacheKey(files[index]);
+      if (cacheKey && this.cache.has(cacheKey)) {
+        return;
+      }
+      const blame = this.git.raw(this.getBlameArgs(files[index]));
+      // Failures are handled by blameIdentities when the file's turn comes
+      blame.catch(() => {});
+      pendingBlames.set(index, blame);
+    };
+
+    for (const [index, file] of files.entries()) {
       processed++;
       const progress = ((processed / files.length) * 100).toFixed(1);
       const elapsed = ((Date.now() - startFileTime) / 1000).toFixed(1);
@@ -160,12 +294,29 @@ export class AuthorshipAnalyzer extends EventEmitter {
         });
       }
       
-      const authors = await this.getFileAuthorship(file);
+      let pendingBlame = null;
+      if (this.jobs > 1) {
+        for (let ahead = index; ahead < index + this.jobs; ahead++) {
+          startBlame(ahead);
+        }
+        pendingBlame = pendingBlames.get(index);
+        pendingBlames.delete(index);
+      }
+      
+      const identities = await this.blameIdentities(file, pendingBlame);
       
-      if (Object.keys(authors).length === 0) {
+      if (identities.length === 0) {
         skipped++;
       }
       
+      fileIdentities[file] = identities;
+      this.identityResolver.learn(identities);
+    }
+
+    // Identities are resolved once every name and email has been seen
+    for (const [file, identities] of Object.entries(fileIdentities)) {
+      const authors = this.resolveAuthors(identities);
+      
       // Filter out ignored authors
       const filteredAuthors = {};
       for (const [author, lines] of Object.entries(authors)) {
@@ -189,9 +340,19 @@ export class AuthorshipAnalyzer extends EventEmitter {
       this.emit('info', `   • Files analyzed: ${files.length}`);
       this.emit('info', `   • Files skipped: ${skipped}`);
       this.emit('info', `   • Contributors found: ${Object.keys(totalAuthorship).length}`);
+      const mergedCount = Object.keys(this.identityResolver.getMergedIdentities()).length;
+      if (mergedCount > 0) {
+        this.emit('info', `   • Identities merged: ${mergedCount}`);
+      }
       if (this.filteredAuthors.length > 0) {
         this.emit('info', `   • Authors filtered: ${this.filteredAuthors.length} (${this.filteredAuthors.join(', ')})`);
       }
+      if (this.jobs > 1) {
+        this.emit('info', `   • Parallel blame jobs: ${this.jobs}`);
+      }
+      if (this.cache) {
+        this.emit('info', `   • Blame cache: reused ${this.cache.hits} of ${files.length} files`);
+      }
       this.emit('info', `   • Time taken: ${duration}s`);
       this.emit('info', `   • Average: ${(files.length / duration).toFixed(1)} files/second\n`);
     }
@@ -201,6 +362,9 @@ export class AuthorshipAnalyzer extends EventEmitter {
       totalAuthorship,
       totalFiles: files.length,
       repoPath: this.repoPath,
+      ref: this.ref,
+      identityResolver: this.identityResolver,
+      mergedIdentities: this.identityResolver.getMergedIdentities(),
       errors: this.errors,
       filteredFiles: this.filteredFiles,
       filteredAuthors: this.filteredAuthors,
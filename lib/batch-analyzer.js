@@ -0,0 +1,140 @@
+import { EventEmitter } from 'events';
+import path from 'path';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import { GitHandler } from './git-handler.js';
+import { AuthorshipAnalyzer } from './authorship-analyzer.js';
+import { BusFactorCalculator } from './bus-factor-calculator.js';
+import { readAllCommitAuthors } from './contributor-activity.js';
+import { parseCsv, formatCsv } from './csv.js';
+import { mapWithConcurrency } from './task-pool.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const RESULT_COLUMNS = ['name', 'url', 'busFactor', 'risk', 'error'];
+
+export class BatchAnalyzer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.quiet = options.quiet || false;
+    this.method = options.method || 'abf';
+    this.concurrency = options.concurrency || 2;
+    this.tempDir = options.tempDir || path.join(__dirname, '..', 'temp', 'batch');
+    this.analyzerOptions = options.analyzerOptions || {};
+    this.calculatorOptions = options.calculatorOptions || {};
+  }
+
+  static parseRepositoryList(text) {
+    const rows = parseCsv(text);
+    if (rows.length === 0) {
+      return [];
+    }
+
+    // The URL column is found by its header; without a header, rows are "name,url"
+    const header = rows[0].map(cell => cell.trim().toLowerCase());
+    const urlColumn = header.findIndex(cell => cell.includes('url'));
+    const hasHeader = urlColumn !== -1;
+    const nameColumn = hasHeader ? header.findIndex(cell => cell === 'name') : 0;
+
+    return rows.slice(hasHeader ? 1 : 0).map(row => {
+      const url = (row[hasHeader ? urlColumn : 1] || '').trim();
+      const name = nameColumn === -1 ? '' : (row[nameColumn] || '').trim();
+      return { name: name || url, url };
+    });
+  }
+
+  static async readRepositoryList(csvPath) {
+    let text;
+    try {
+      text = await fs.readFile(csvPath, 'utf8');
+    } catch (error) {
+      throw new Error(`Could not read repository list "${csvPath}": ${error.message}`);
+    }
+    return BatchAnalyzer.parseRepositoryList(text);
+  }
+
+  async analyzeRepository(entry, index) {
+    if (!entry.url) {
+      throw new Error('Missing repository URL');
+    }
+
+    // Every entry clones into its own directory so concurrent clones never collide
+    const gitHandler = new GitHandler({
+      quiet: true,
+      tempDir: path.join(this.tempDir, String(index + 1))
+    });
+
+    try {
+      const repoPath = await gitHandler.prepareRepo(entry.url);
+
+      const analyzer = new AuthorshipAnalyzer(repoPath, { ...this.analyzerOptions, quiet: true });
+      analyzer.on('warning', (message) => this.emit('warning', message));
+      analyzer.identityResolver.learnHistory(await readAllCommitAuthors(repoPath));
+      const analysisData = await analyzer.analyzeAuthorship();
+
+      const calculator = new BusFactorCalculator({ ...this.calculatorOptions, quiet: true });
+      return await calculator.calculate(this.method, analysisData.fileAuthorship, analysisData, entry.url);
+    } finally {
+      await gitHandler.cleanup();
+    }
+  }
+
+  async analyze(entries) {
+    if (!this.quiet) {
+      this.emit('info', `\n📚 Analyzing ${entries.length} repositories with ${this.method.toUpperCase()} (concurrency ${this.concurrency})...`);
+    }
+
+    let processed = 0;
+
+    const results = await mapWithConcurrency(entries, this.concurrency, async (entry, index) => {
+      const result = { name: entry.name, url: entry.url, busFactor: null, risk: null, error: null };
+
+      // A failing repository is recorded and the batch carries on
+      try {
+        const report = await this.analyzeRepository(entry, index);
+        result.busFactor = report.summary.busFactor;
+        result.risk = report.interpretation.risk;
+      } catch (error) {
+        result.error = error.message.trim();
+        if (!this.quiet) {
+          this.emit('warning', `⚠️  ${entry.name}: ${result.error}`);
+        }
+      }
+
+      processed++;
+      if (!this.quiet) {
+        this.emit('progress', {
+          processed,
+          total: entries.length,
+          name: entry.name,
+          failed: result.error !== null
+        });
+      }
+
+      return result;
+    });
+
+    if (!this.quiet) {
+      const failed = results.filter(result => result.error !== null).length;
+      this.emit('info', `✓ Analyzed ${results.length - failed} repositories, ${failed} failed`);
+    }
+
+    await fs.remove(this.tempDir);
+
+    return results;
+  }
+
+  static formatResults(results, format = 'csv') {
+    if (format === 'json') {
+      return JSON.stringify(results, null, 2) + '\n';
+    }
+    if (format !== 'csv') {
+      throw new Error(`Unknown batch output format: ${format}`);
+    }
+    return formatCsv([
+      RESULT_COLUMNS,
+      ...results.map(result => RESULT_COLUMNS.map(column => result[column]))
+    ]);
+  }
+}
@@ -0,0 +1,66 @@
+import crypto from 'crypto';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+// Bump when the cached data or the way it is produced changes
+export const BLAME_CACHE_VERSION = 1;
+
+export const DEFAULT_CACHE_DIR = path.join(os.homedir(), '.cache', 'bus-factor-analyzer');
+
+// On-disk cache of the raw blame identities of a file, one JSON file per entry.
+// Entries are keyed by blob id, path and blame options, which include the
+// repository's root commits since the cache directory is shared by all
+// repositories: a file whose content has not changed is not blamed again. Identities are stored unresolved, so
+// alias files and identity merging still apply to cached results.
+export class BlameCache {
+  constructor(options = {}) {
+    this.dir = options.dir || DEFAULT_CACHE_DIR;
+    this.hits = 0;
+    this.misses = 0;
+  }
+
+  getKey(blobId, filePath, blameOptions = {}) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify([BLAME_CACHE_VERSION, blobId, filePath, blameOptions]))
+      .digest('hex');
+  }
+
+  getEntryPath(key) {
+    return path.join(this.dir, key.substring(0, 2), `${key}.json`);
+  }
+
+  has(key) {
+    return fs.existsSync(this.getEntryPath(key));
+  }
+
+  async get(key) {
+    try {
+      const identities = await fs.readJson(this.getEntryPath(key));
+      if (Array.isArray(identities)) {
+        this.hits++;
+        return identities;
+      }
+    } catch {
+      // Missing or unreadable entries are treated as misses
+    }
+    this.misses++;
+    return null;
+  }
+
+  async set(key, identities) {
+    const entryPath = this.getEntryPath(key);
+    const tempPath = `${entryPath}.${process.pid}.tmp`;
+    try {
+      await fs.ensureDir(path.dirname(entryPath));
+      // Written under a temporary name first so readers never see partial entries
+      await fs.writeJson(tempPath, identities);
+      await fs.rename(tempPath, entryPath);
+      return true;
+    } catch {
+      await fs.remove(tempPath).catch(() => {});
+      return false;
+    }
+  }
+}
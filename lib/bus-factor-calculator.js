@@ -1,16 +1,86 @@
 import { ABFBusFactorCalculator } from './abf-bus-factor-calculator.js';
 import { JBFBusFactorCalculator } from './jbf-bus-factor-calculator.js';
 import { EventEmitter } from 'events';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+// Methods every calculator class must implement:
+//   calculate(fileAuthorship, analysisData) -> result (may be async)
+//   generateReport(analysisData, result, repoUrl) -> report
+//   interpretResults(busFactor) -> { risk, message, recommendation }
+// Calculators that read git history may also implement
+//   readHistory(fileAuthorship, analysisData) -> fields merged into analysisData
+// so the history is read once and shared by calculations over subsets of the
+// files, such as the per-directory breakdown.
+// The class also declares `static method` (the subcommand name) and
+// optionally `static description`. It is constructed with the calculator
+// options and may extend EventEmitter to report info/warning/progress.
+// Reports need only `summary.busFactor` and `interpretation.risk`; every
+// renderer starts from withReportDefaults (report-utils.js), so the other
+// summary, analysis, interpretation and contributor fields are optional.
+export const CALCULATOR_INTERFACE = ['calculate', 'generateReport', 'interpretResults'];
+
+const METHOD_NAME = /^[a-z][a-z0-9-]*$/;
+
+const registry = new Map();
+
+export function registerCalculator(CalculatorClass) {
+  if (typeof CalculatorClass !== 'function') {
+    throw new Error('A calculator must be a class');
+  }
+
+  const { method } = CalculatorClass;
+  if (typeof method !== 'string' || !METHOD_NAME.test(method)) {
+    throw new Error(`Calculator ${CalculatorClass.name || '(anonymous)'} needs a static method name of lowercase letters, digits and dashes`);
+  }
+  if (registry.has(method)) {
+    throw new Error(`A calculator for method "${method}" is already registered`);
+  }
+
+  const missing = CALCULATOR_INTERFACE.filter(name => typeof CalculatorClass.prototype[name] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Calculator "${method}" does not implement ${missing.join(', ')}`);
+  }
+
+  registry.set(method, CalculatorClass);
+  return method;
+}
+
+export function unregisterCalculator(method) {
+  return registry.delete(method);
+}
+
+export function getRegisteredCalculators() {
+  return [...registry.values()];
+}
+
+// Imports a calculator module by path and registers its default export
+export async function loadCalculator(modulePath) {
+  let module;
+  try {
+    module = await import(pathToFileURL(path.resolve(modulePath)).href);
+  } catch (error) {
+    throw new Error(`Could not load calculator "${modulePath}": ${error.message}`);
+  }
+
+  if (!module.default) {
+    throw new Error(`Calculator module "${modulePath}" has no default export`);
+  }
+  return registerCalculator(module.default);
+}
+
+registerCalculator(ABFBusFactorCalculator);
+registerCalculator(JBFBusFactorCalculator);
 
 export class BusFactorCalculator extends EventEmitter {
   constructor(options = {}) {
     super();
     this.quiet = options.quiet || false;
     this.options = options;
-    this.calculators = {
-      abf: new ABFBusFactorCalculator({ quiet: this.quiet }),
-      jbf: new JBFBusFactorCalculator({ quiet: this.quiet })
-    };
+    this.calculators = {};
+    for (const [method, CalculatorClass] of registry) {
+      this.calculators[method] = new CalculatorClass({ ...options, quiet: this.quiet });
+    }
     
     // Forward events from sub-calculators
     Object.values(this.calculators).forEach(calculator => {
@@ -32,16 +102,50 @@ export class BusFactorCalculator extends EventEmitter {
       this.emit('info', `\n🚌 Running bus factor calculation with method: ${method.toUpperCase()}`);
     }
     
-    switch (method) {
-      case 'abf':
-        const abfResult = calculator.calculateABF(fileAuthorship);
-        return calculator.generateReport(analysisData, abfResult, repoUrl);
-      case 'jbf':
-        const jbfResult = await calculator.calculateJBF(fileAuthorship, analysisData);
-        return calculator.generateReport(analysisData, jbfResult, repoUrl);
-      default:
-        throw new Error(`Method ${method} not implemented`);
+    const result = await calculator.calculate(fileAuthorship, analysisData);
+    return calculator.generateReport(analysisData, result, repoUrl);
+  }
+
+  // Reads the history a method needs once, for reuse by later calculate calls
+  async readHistory(method, fileAuthorship, analysisData) {
+    const calculator = this.calculators[method];
+    if (!calculator) {
+      throw new Error(`Unknown bus factor calculation method: ${method}`);
+    }
+    if (typeof calculator.readHistory !== 'function') {
+      return {};
+    }
+    return calculator.readHistory(fileAuthorship, analysisData);
+  }
+
+  // Runs several methods on one authorship analysis and combines the reports
+  async calculateAll(methods, fileAuthorship, analysisData, repoUrl) {
+    const selected = methods || this.listAvailableMethods();
+    const reports = {};
+    for (const method of selected) {
+      reports[method] = await this.calculate(method, fileAuthorship, analysisData, repoUrl);
+    }
+    
+    const summary = {};
+    for (const [method, report] of Object.entries(reports)) {
+      const analysis = report.analysis || {};
+      summary[method] = {
+        method: analysis.method || method,
+        busFactor: report.summary.busFactor,
+        risk: report.interpretation.risk,
+        criticalContributors: report.summary.criticalContributors || [],
+        finalOwnerlessRatio: analysis.finalOwnerlessRatio === undefined ? null : analysis.finalOwnerlessRatio
+      };
     }
+    
+    const [first] = Object.values(reports);
+    return {
+      repositoryUrl: first ? first.repositoryUrl : repoUrl,
+      ref: first ? first.ref : null,
+      methods: selected,
+      summary,
+      reports
+    };
   }
 
   listAvailableMethods() {
@@ -0,0 +1,188 @@
+import fs from 'fs-extra';
+import path from 'path';
+import simpleGit from 'simple-git';
+import { ABFBusFactorCalculator } from './abf-bus-factor-calculator.js';
+
+// Where GitHub looks for the file, in its order of precedence
+export const CODEOWNERS_LOCATIONS = ['.github/CODEOWNERS', 'CODEOWNERS', 'docs/CODEOWNERS'];
+
+// Splits a line on unescaped whitespace and drops a trailing comment
+function tokenize(line) {
+  const tokens = [];
+  let current = '';
+  for (let index = 0; index < line.length; index++) {
+    const char = line[index];
+    if (char === '\\' && index + 1 < line.length) {
+      current += line[++index];
+    } else if (char === '#' && current === '') {
+      break;
+    } else if (/\s/.test(char)) {
+      if (current) {
+        tokens.push(current);
+        current = '';
+      }
+    } else {
+      current += char;
+    }
+  }
+  if (current) {
+    tokens.push(current);
+  }
+  return tokens;
+}
+
+export function parseCodeowners(text) {
+  const rules = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    const trimmed = line.trim();
+    // GitLab section headers such as [Docs] or ^[Docs] carry no pattern
+    if (!trimmed || /^\^?\[[^\]]*\]/.test(trimmed)) {
+      return;
+    }
+    const [pattern, ...owners] = tokenize(trimmed);
+    if (pattern) {
+      rules.push({ pattern, owners, line: index + 1 });
+    }
+  });
+  return rules;
+}
+
+// Converts a gitignore-style CODEOWNERS pattern to a regular expression over
+// repository-relative paths. A pattern also matches everything below a
+// matching directory.
+export function patternToRegExp(pattern) {
+  const directoryOnly = pattern.endsWith('/');
+  let body = pattern.replace(/\/+$/, '');
+  const anchored = body.startsWith('/') || body.includes('/');
+  body = body.replace(/^\//, '');
+
+  let source = '';
+  for (let index = 0; index < body.length; index++) {
+    const char = body[index];
+    if (body.startsWith('**/', index)) {
+      source += '(?:.*/)?';
+      index += 2;
+    } else if (body.startsWith('**', index)) {
+      source += '.*';
+      index += 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  const prefix = anchored ? '^' : '^(?:.*/)?';
+  // docs/* matches files directly in docs only, unlike gitignore
+  const shallow = /(^|\/)\*$/.test(body);
+  const suffix = directoryOnly ? '/.*$' : shallow ? '$' : '(?:/.*)?$';
+  return new RegExp(`${prefix}${source}${suffix}`);
+}
+
+const patternCache = new Map();
+
+// The last matching rule wins, as on GitHub
+export function findOwnerRule(rules, file) {
+  let match = null;
+  for (const rule of rules) {
+    if (!patternCache.has(rule.pattern)) {
+      patternCache.set(rule.pattern, patternToRegExp(rule.pattern));
+    }
+    if (patternCache.get(rule.pattern).test(file)) {
+      match = rule;
+    }
+  }
+  return match;
+}
+
+// Reads the CODEOWNERS file from the given path, or from the first standard
+// location in the repository (at `ref` when given, otherwise the working tree)
+export async function readCodeowners(repoPath, options = {}) {
+  if (options.file) {
+    return { path: options.file, text: await fs.readFile(options.file, 'utf8') };
+  }
+
+  for (const location of CODEOWNERS_LOCATIONS) {
+    if (options.ref) {
+      try {
+        const text = await simpleGit(repoPath).show([`${options.ref}:${location}`]);
+        return { path: location, text };
+      } catch {
+        continue;
+      }
+    }
+    const filePath = path.join(repoPath, location);
+    if (await fs.pathExists(filePath)) {
+      return { path: location, text: await fs.readFile(filePath, 'utf8') };
+    }
+  }
+  return null;
+}
+
+// Compares the declared owners with the blame-derived authorship of a report.
+// `resolveOwner` maps a CODEOWNERS owner (@user, @org/team or email) to a
+// contributor name, or returns null when it cannot.
+export function auditCodeowners(report, rules, resolveOwner, options = {}) {
+  const files = Object.keys(report.fileAuthorshipMap || {});
+  const unownedFiles = [];
+  const inactiveOwnerFiles = [];
+  const unresolved = new Set();
+  const declaredOwnership = {};
+  const handleOf = new Map();
+
+  for (const file of files) {
+    const rule = findOwnerRule(rules, file);
+    if (!rule || rule.owners.length === 0) {
+      unownedFiles.push(file);
+      declaredOwnership[file] = [];
+      continue;
+    }
+
+    const contributors = rule.owners.map(owner => {
+      const contributor = resolveOwner(owner);
+      if (!contributor) {
+        unresolved.add(owner);
+      }
+      // Unresolved owners still count as distinct people for the bus factor
+      const identity = contributor || owner;
+      if (!handleOf.has(identity)) {
+        handleOf.set(identity, owner);
+      }
+      return identity;
+    });
+    declaredOwnership[file] = [...new Set(contributors)];
+
+    // Only decidable when every declared owner maps to a contributor
+    const authorship = report.fileAuthorshipMap[file];
+    const wrote = (contributor) => authorship[contributor] && authorship[contributor].lines > 0;
+    if (rule.owners.every(owner => resolveOwner(owner)) && !contributors.some(wrote)) {
+      inactiveOwnerFiles.push({
+        file,
+        pattern: rule.pattern,
+        declaredOwners: rule.owners,
+        authors: Object.keys(authorship).filter(wrote).sort((a, b) => authorship[b].lines - authorship[a].lines)
+      });
+    }
+  }
+
+  const calculator = new ABFBusFactorCalculator({ threshold: options.threshold });
+  const declared = calculator.removeAuthorsByDOA(declaredOwnership);
+  const ownerlessRatio = Number.isNaN(declared.ownerlessRatio) ? 0 : declared.ownerlessRatio;
+
+  return {
+    rules: rules.length,
+    totalFiles: files.length,
+    coveredFiles: files.length - unownedFiles.length,
+    declaredBusFactor: {
+      busFactor: declared.busFactor,
+      criticalOwners: declared.removedAuthors.map(identity => handleOf.get(identity)),
+      ownerlessRatio
+    },
+    computedBusFactor: report.summary.busFactor,
+    inactiveOwnerFiles,
+    unownedFiles,
+    unresolvedOwners: [...unresolved].sort()
+  };
+}
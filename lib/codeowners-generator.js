@@ -0,0 +1,145 @@
+import { DEFAULT_AUTHOR_SHARE } from './ownership.js';
+import { buildDirectoryTree, getAuthorLines, getMethodName } from './report-utils.js';
+
+// Share of a directory's owned files one owner needs for a directory rule
+export const DEFAULT_DOMINANCE = 0.8;
+
+function ownerKey(owners) {
+  return [...owners].sort().join('\n');
+}
+
+// Non-owners holding at least `backupShare` of the given files' lines, largest
+// share first. JBF ownership is decided on time-weighted lines, so backups are too.
+function getBackups(report, files, owners, backupShare) {
+  const lines = new Map();
+  let total = 0;
+  for (const file of files) {
+    for (const [author, entry] of Object.entries(report.fileAuthorshipMap[file] || {})) {
+      lines.set(author, (lines.get(author) || 0) + getAuthorLines(entry));
+      total += getAuthorLines(entry);
+    }
+  }
+
+  return [...lines.entries()]
+    .filter(([author, authorTotal]) => !owners.includes(author) && total > 0 && authorTotal / total >= backupShare)
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([author]) => author);
+}
+
+function collectFiles(node) {
+  return node.children.flatMap(child => child.children ? collectFiles(child) : [child]);
+}
+
+// The owners holding at least `dominance` of the directory's owned files, if any
+function getDominantOwners(files, dominance) {
+  const owned = files.filter(file => file.owners.length > 0);
+  const counts = new Map();
+  for (const file of owned) {
+    const key = ownerKey(file.owners);
+    if (!counts.has(key)) {
+      counts.set(key, { owners: file.owners, count: 0 });
+    }
+    counts.get(key).count++;
+  }
+
+  for (const { owners, count } of counts.values()) {
+    if (count / owned.length >= dominance) {
+      return owners;
+    }
+  }
+  return null;
+}
+
+// Turns the report's file ownership into CODEOWNERS rules. A directory gets
+// a rule when one owner dominates it; files owned by someone else get their
+// own rule after it, since the last matching CODEOWNERS pattern wins.
+export function buildCodeownersRules(report, options = {}) {
+  const dominance = options.dominance || DEFAULT_DOMINANCE;
+  const backupShare = options.backupShare || DEFAULT_AUTHOR_SHARE;
+  const rules = [];
+
+  const visit = (node, inherited) => {
+    const files = collectFiles(node);
+    const dominant = getDominantOwners(files, dominance);
+    let effective = inherited;
+
+    if (dominant && ownerKey(dominant) !== ownerKey(inherited)) {
+      rules.push({
+        type: 'directory',
+        path: node.path,
+        owners: dominant,
+        backups: getBackups(report, files.map(file => file.path), dominant, backupShare)
+      });
+      effective = dominant;
+    }
+
+    const children = [...node.children].sort((a, b) => a.path.localeCompare(b.path));
+    for (const child of children) {
+      if (child.children) {
+        visit(child, effective);
+      } else if (child.owners.length > 0 && ownerKey(child.owners) !== ownerKey(effective)) {
+        rules.push({
+          type: 'file',
+          path: child.path,
+          owners: child.owners,
+          backups: getBackups(report, [child.path], child.owners, backupShare)
+        });
+      }
+    }
+  };
+
+  visit(buildDirectoryTree(report), []);
+  return rules;
+}
+
+// CODEOWNERS patterns are anchored at the repository root; spaces must be escaped
+export function formatPattern(rule) {
+  if (rule.type === 'directory' && rule.path === '') {
+    return '*';
+  }
+  const escaped = rule.path.replace(/([\\ ])/g, '\\$1');
+  return rule.type === 'directory' ? `/${escaped}/` : `/${escaped}`;
+}
+
+// Renders rules with contributor names mapped to handles by `getHandle`.
+// Contributors without a handle are left out; a rule with no handle at all is
+// written as a comment so it can be completed by hand.
+export function renderCodeowners(report, rules, getHandle) {
+  const unmapped = new Set();
+  const lines = [];
+
+  for (const rule of rules) {
+    const people = [...rule.owners, ...rule.backups];
+    const handles = [];
+    for (const person of people) {
+      const handle = getHandle(person);
+      if (handle) {
+        if (!handles.includes(handle)) {
+          handles.push(handle);
+        }
+      } else {
+        unmapped.add(person);
+      }
+    }
+
+    const pattern = formatPattern(rule);
+    lines.push(handles.length > 0
+      ? `${pattern} ${handles.join(' ')}`
+      : `# ${pattern} ${people.join(', ')} (no handle)`);
+  }
+
+  const header = [
+    '# Generated by bus-factor-analyzer from computed file ownership.',
+    `# Repository: ${report.repositoryUrl || 'unknown'}`,
+    `# Method: ${getMethodName(report)}, bus factor ${report.summary.busFactor}`,
+    '# The first owner of each rule holds most of its code, further owners are backups.'
+  ];
+  if (unmapped.size > 0) {
+    header.push(`# No handle for: ${[...unmapped].sort().join(', ')}`);
+  }
+
+  return {
+    content: `${[...header, '', ...lines].join('\n')}\n`,
+    unmapped: [...unmapped].sort()
+  };
+}
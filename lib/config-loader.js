@@ -0,0 +1,58 @@
+import Ajv from 'ajv';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { formatSchemaError } from './report-validator.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CONFIG_SCHEMA = path.join(__dirname, '..', 'schemas', 'config.schema.json');
+
+// Looked up in this order in every searched directory
+export const CONFIG_FILE_NAMES = ['.busfactorrc', '.busfactorrc.json', 'busfactor.config.json'];
+
+let validator = null;
+
+function getValidator() {
+  if (!validator) {
+    const ajv = new Ajv({ allErrors: true });
+    validator = ajv.compile(fs.readJsonSync(CONFIG_SCHEMA));
+  }
+  return validator;
+}
+
+// Returns the first config file found in the given directories, or null
+export async function findConfigFile(directories) {
+  for (const directory of directories) {
+    for (const name of CONFIG_FILE_NAMES) {
+      const candidate = path.join(directory, name);
+      if (await fs.pathExists(candidate)) {
+        return candidate;
+      }
+    }
+  }
+  return null;
+}
+
+export async function loadConfig(filePath) {
+  let config;
+  try {
+    config = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read config file "${filePath}": ${error.message}`);
+  }
+
+  const validate = getValidator();
+  if (!validate(config)) {
+    const errors = validate.errors.map(error => `  - ${formatSchemaError(error)}`);
+    throw new Error(`Invalid config file "${filePath}":\n${errors.join('\n')}`);
+  }
+
+  const { $schema, ...options } = config;
+  // An alias file is resolved against the config file, not the working directory
+  if (typeof options.aliases === 'string') {
+    options.aliases = path.resolve(path.dirname(filePath), options.aliases);
+  }
+  return options;
+}
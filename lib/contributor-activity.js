@@ -0,0 +1,155 @@
+import simpleGit from 'simple-git';
+import { getRemainingBusFactor } from './departure-simulator.js';
+import { getFileLines, getFileOwners } from './report-utils.js';
+
+// Days without a commit after which a contributor counts as inactive
+export const DEFAULT_INACTIVE_DAYS = 180;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const COMMIT_AUTHOR_FORMAT = '--format=%aN%x00%aE%x00%aI';
+
+function parseCommitAuthors(output) {
+  return output
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      const [name, email, date] = line.split('\0');
+      return { name, email, date };
+    });
+}
+
+// Author and date of every commit reachable from `ref`, newest first. A
+// repository without commits (unborn HEAD) has no history.
+export async function readCommitAuthors(repoPath, ref = 'HEAD') {
+  const git = simpleGit(repoPath);
+  const commit = await git.raw(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`]);
+  if (!commit.trim()) {
+    if (ref === 'HEAD') {
+      return [];
+    }
+    throw new Error(`Unknown git ref "${ref}"`);
+  }
+  return parseCommitAuthors(await git.raw(['log', COMMIT_AUTHOR_FORMAT, ref]));
+}
+
+// Author and date of every commit on any branch or tag
+export async function readAllCommitAuthors(repoPath) {
+  return parseCommitAuthors(await simpleGit(repoPath).raw(['log', '--all', COMMIT_AUTHOR_FORMAT]));
+}
+
+// First and last commit date, commit count and number of calendar months with
+// a commit per contributor. Identities should be learned by the caller first,
+// so aliases and shared emails are merged the same way as in the blame.
+export function summarizeActivity(commits, identityResolver) {
+  const activity = {};
+  const months = {};
+  for (const { name, email, date } of commits) {
+    const author = identityResolver.resolve(name, email);
+    if (!activity[author]) {
+      activity[author] = { firstCommit: date, lastCommit: date, commits: 0, activeMonths: 0 };
+      months[author] = new Set();
+    }
+    const entry = activity[author];
+    entry.commits++;
+    months[author].add(date.substring(0, 7));
+    entry.activeMonths = months[author].size;
+    if (Date.parse(date) < Date.parse(entry.firstCommit)) {
+      entry.firstCommit = date;
+    }
+    if (Date.parse(date) > Date.parse(entry.lastCommit)) {
+      entry.lastCommit = date;
+    }
+  }
+  return activity;
+}
+
+// Contributors without any commit are treated as inactive
+export function isInactive(entry, inactiveDays = DEFAULT_INACTIVE_DAYS, referenceTime = Date.now()) {
+  if (!entry) {
+    return true;
+  }
+  return referenceTime - Date.parse(entry.lastCommit) > inactiveDays * DAY_MS;
+}
+
+// 'departed' for contributors listed explicitly, otherwise 'inactive' or 'active'
+export function getContributorStatus(author, activity, options = {}) {
+  if ((options.departed || []).includes(author)) {
+    return 'departed';
+  }
+  return isInactive(activity[author], options.inactiveAfter, options.referenceTime) ? 'inactive' : 'active';
+}
+
+// Splits the report's contributors into current knowledge holders and people
+// who already left, and counts the files whose owners have all left
+export function assessContributorActivity(report, activity, options = {}) {
+  const inactiveAfter = options.inactiveAfter || DEFAULT_INACTIVE_DAYS;
+  const departed = options.departed || [];
+  const referenceTime = options.referenceTime || Date.now();
+  const statusOptions = { inactiveAfter, departed, referenceTime };
+  const fileAuthorshipMap = report.fileAuthorshipMap || {};
+  const files = Object.keys(fileAuthorshipMap);
+
+  const ownership = {};
+  const filesOwned = {};
+  const authors = new Set();
+  for (const file of files) {
+    ownership[file] = getFileOwners(report, file);
+    // Fritz DOA owners need not hold any blamed lines
+    for (const author of [...Object.keys(fileAuthorshipMap[file]), ...ownership[file]]) {
+      authors.add(author);
+    }
+    for (const owner of ownership[file]) {
+      filesOwned[owner] = (filesOwned[owner] || 0) + 1;
+    }
+  }
+
+  const critical = new Set(report.summary ? report.summary.criticalContributors : []);
+  const contributors = [...authors]
+    .map(author => ({
+      author,
+      status: getContributorStatus(author, activity, statusOptions),
+      firstCommit: activity[author] ? activity[author].firstCommit : null,
+      lastCommit: activity[author] ? activity[author].lastCommit : null,
+      commits: activity[author] ? activity[author].commits : 0,
+      activeMonths: activity[author] ? activity[author].activeMonths : 0,
+      filesOwned: filesOwned[author] || 0,
+      critical: critical.has(author)
+    }))
+    .sort((a, b) => b.filesOwned - a.filesOwned || a.author.localeCompare(b.author));
+
+  const left = contributors.filter(entry => entry.status !== 'active').map(entry => entry.author);
+  const lostFiles = files
+    .filter(file => ownership[file].length > 0 && ownership[file].every(owner => left.includes(owner)))
+    .sort((a, b) => getFileLines(fileAuthorshipMap[b]) - getFileLines(fileAuthorshipMap[a]) || a.localeCompare(b));
+  const holders = (active) => contributors
+    .filter(entry => entry.filesOwned > 0 && (entry.status === 'active') === active)
+    .map(entry => entry.author);
+
+  return {
+    inactiveAfter,
+    referenceDate: new Date(referenceTime).toISOString(),
+    departed,
+    unknownContributors: departed.filter(author => !authors.has(author)),
+    contributors,
+    currentKnowledgeHolders: holders(true),
+    formerKnowledgeHolders: holders(false),
+    knowledgeLost: {
+      count: lostFiles.length,
+      ratio: files.length > 0 ? lostFiles.length / files.length : 0,
+      files: lostFiles
+    },
+    // Custom calculators need not report a threshold; the default applies then
+    currentBusFactor: getRemainingBusFactor(ownership, left, options.threshold || (report.analysis && report.analysis.threshold))
+  };
+}
+
+// Reads the history of the analyzed ref once, so every report of an analysis
+// can be assessed against it. Inactivity is measured up to the analysis'
+// reference date, or today.
+export async function readContributorActivity(analysisData) {
+  const commits = await readCommitAuthors(analysisData.repoPath, analysisData.ref || 'HEAD');
+  return {
+    activity: summarizeActivity(commits, analysisData.identityResolver),
+    referenceTime: analysisData.referenceDate ? Date.parse(analysisData.referenceDate) : Date.now()
+  };
+}
@@ -0,0 +1,69 @@
+import { formatCsv } from './csv.js';
+import { getFileOwners, getMethodName, summarizeContributors } from './report-utils.js';
+
+function isWeighted(report) {
+  return getMethodName(report) === 'JBF';
+}
+
+// One row per file and author; files without authors get a single empty row
+// so every analyzed file appears in the export
+export function renderFileCsv(report) {
+  const weighted = isWeighted(report);
+  const header = ['file', 'author', 'lines', 'percentage'];
+  if (weighted) {
+    header.push('weightedLines', 'weightedPercentage');
+  }
+  header.push('isOwner');
+
+  const rows = [header];
+  for (const [file, authorship] of Object.entries(report.fileAuthorshipMap || {})) {
+    const owners = new Set(getFileOwners(report, file));
+    const authors = Object.entries(authorship).sort((a, b) => b[1].lines - a[1].lines);
+
+    if (authors.length === 0) {
+      rows.push(weighted ? [file, '', 0, 0, 0, 0, false] : [file, '', 0, 0, false]);
+      continue;
+    }
+
+    for (const [author, entry] of authors) {
+      const row = [file, author, entry.lines, Number(entry.percentage)];
+      if (weighted) {
+        row.push(Number(entry.weightedLines), Number(entry.weightedPercentage));
+      }
+      row.push(owners.has(author));
+      rows.push(row);
+    }
+  }
+
+  return formatCsv(rows);
+}
+
+// One row per contributor with totals over all files
+export function renderContributorCsv(report) {
+  const weighted = isWeighted(report);
+  const weightedLines = {};
+  if (weighted) {
+    for (const authorship of Object.values(report.fileAuthorshipMap || {})) {
+      for (const [author, entry] of Object.entries(authorship)) {
+        weightedLines[author] = (weightedLines[author] || 0) + Number(entry.weightedLines);
+      }
+    }
+  }
+
+  const header = ['author', 'lines', 'share'];
+  if (weighted) {
+    header.push('weightedLines');
+  }
+  header.push('filesTouched', 'filesOwned', 'isCritical');
+
+  const rows = summarizeContributors(report).map(contributor => {
+    const row = [contributor.author, contributor.lines, Number(contributor.share.toFixed(4))];
+    if (weighted) {
+      row.push(Number((weightedLines[contributor.author] || 0).toFixed(2)));
+    }
+    row.push(contributor.filesTouched, contributor.filesOwned, contributor.critical);
+    return row;
+  });
+
+  return formatCsv([header, ...rows]);
+}
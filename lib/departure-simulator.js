@@ -0,0 +1,94 @@
+import { ABFBusFactorCalculator } from './abf-bus-factor-calculator.js';
+import { getAuthorLines, getFileLines, getFileOwners } from './report-utils.js';
+
+// Greedy removal as in ABF, starting with `departed` already gone. Only the
+// further contributors who have to leave count towards the bus factor; it is
+// 0 when the departures alone orphan more than `threshold` of the files.
+export function getRemainingBusFactor(ownership, departed, threshold) {
+  const calculator = new ABFBusFactorCalculator({ threshold });
+  const totalFiles = Object.keys(ownership).length;
+  const remaining = Object.entries(calculator.calculateAuthorDOA(ownership))
+    .filter(([author]) => !departed.includes(author))
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([author]) => author);
+
+  const removed = [...departed];
+  const criticalContributors = [];
+  let ownerlessRatio = totalFiles > 0 ? calculator.countOwnerlessFiles(ownership, removed) / totalFiles : 0;
+  for (const author of remaining) {
+    if (ownerlessRatio > calculator.threshold) {
+      break;
+    }
+    removed.push(author);
+    criticalContributors.push(author);
+    ownerlessRatio = calculator.countOwnerlessFiles(ownership, removed) / totalFiles;
+  }
+
+  const busFactor = criticalContributors.length;
+  return {
+    busFactor,
+    criticalContributors,
+    ownerlessRatio,
+    // Nobody left to lose: the departures already cost the project
+    risk: busFactor === 0 ? 'CRITICAL' : calculator.interpretResults(busFactor).risk
+  };
+}
+
+// The remaining author with the most (weighted) lines of a file
+function findSuccessor(authorship, departed) {
+  const total = Object.values(authorship).reduce((sum, entry) => sum + getAuthorLines(entry), 0);
+  const [best] = Object.entries(authorship)
+    .filter(([author, entry]) => !departed.includes(author) && getAuthorLines(entry) > 0)
+    .sort((a, b) => getAuthorLines(b[1]) - getAuthorLines(a[1]) || a[0].localeCompare(b[0]));
+  if (!best) {
+    return null;
+  }
+  return { author: best[0], lines: best[1].lines, share: getAuthorLines(best[1]) / total };
+}
+
+// Removes exactly the `departed` contributors from the report's file
+// ownership and reports what they leave behind
+export function simulateDeparture(report, departed, options = {}) {
+  // Custom calculators need not report an analysis block; the default threshold applies then
+  const threshold = options.threshold || (report.analysis && report.analysis.threshold);
+  const files = Object.keys(report.fileAuthorshipMap || {});
+  const contributors = new Set(files.flatMap(file => Object.keys(report.fileAuthorshipMap[file])));
+
+  const ownership = {};
+  const orphanedFiles = [];
+  const directories = new Map();
+  for (const file of files) {
+    const owners = getFileOwners(report, file);
+    ownership[file] = owners;
+
+    const slash = file.lastIndexOf('/');
+    const directory = slash === -1 ? '.' : file.substring(0, slash);
+    if (!directories.has(directory)) {
+      directories.set(directory, { directory, files: 0, orphanedFiles: 0 });
+    }
+    directories.get(directory).files++;
+
+    if (owners.length > 0 && owners.every(owner => departed.includes(owner))) {
+      directories.get(directory).orphanedFiles++;
+      orphanedFiles.push({
+        file,
+        formerOwners: owners,
+        lines: getFileLines(report.fileAuthorshipMap[file]),
+        successor: findSuccessor(report.fileAuthorshipMap[file], departed)
+      });
+    }
+  }
+
+  return {
+    departed,
+    unknownContributors: departed.filter(author => !contributors.has(author)),
+    totalFiles: files.length,
+    orphanedFiles: orphanedFiles.sort((a, b) => b.lines - a.lines || a.file.localeCompare(b.file)),
+    ownerlessRatio: files.length > 0 ? orphanedFiles.length / files.length : 0,
+    affectedDirectories: [...directories.values()]
+      .filter(entry => entry.orphanedFiles > 0)
+      .map(entry => ({ ...entry, ratio: entry.orphanedFiles / entry.files }))
+      .sort((a, b) => b.ratio - a.ratio || b.files - a.files || a.directory.localeCompare(b.directory)),
+    remainingBusFactor: getRemainingBusFactor(ownership, departed, threshold)
+  };
+}
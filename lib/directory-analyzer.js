@@ -0,0 +1,99 @@
+import { EventEmitter } from 'events';
+import { BusFactorCalculator } from './bus-factor-calculator.js';
+
+const RISK_ORDER = ['CRITICAL', 'HIGH', 'MODERATE', 'LOW'];
+
+export class DirectoryAnalyzer extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.quiet = options.quiet || false;
+    this.depth = options.depth || 1;
+    this.calculatorOptions = options.calculatorOptions || {};
+  }
+
+  // Every ancestor directory of the file up to the configured depth, so a
+  // directory's group covers all files below it
+  getDirectories(file) {
+    const segments = file.split('/').slice(0, -1).slice(0, this.depth);
+    // Files in the repository root are grouped under "."
+    if (segments.length === 0) {
+      return ['.'];
+    }
+    return segments.map((_, index) => segments.slice(0, index + 1).join('/'));
+  }
+
+  groupByDirectory(fileAuthorship) {
+    const groups = {};
+    for (const [file, authors] of Object.entries(fileAuthorship)) {
+      for (const directory of this.getDirectories(file)) {
+        if (!groups[directory]) {
+          groups[directory] = {};
+        }
+        groups[directory][file] = authors;
+      }
+    }
+    return groups;
+  }
+
+  async analyze(method, analysisData, repoUrl) {
+    const groups = this.groupByDirectory(analysisData.fileAuthorship);
+    const directories = Object.keys(groups);
+
+    if (!this.quiet) {
+      this.emit('info', `\n📂 Calculating bus factor for ${directories.length} directories (depth ${this.depth})...`);
+    }
+
+    // Per-directory runs stay silent, only directory progress is reported
+    const calculator = new BusFactorCalculator({ ...this.calculatorOptions, quiet: true });
+    const results = [];
+    // History covers all files, so it is read once instead of per directory
+    const history = await calculator.readHistory(method, analysisData.fileAuthorship, analysisData);
+
+    for (const [index, directory] of directories.entries()) {
+      if (!this.quiet) {
+        this.emit('progress', `   📁 [${index + 1}/${directories.length}] ${directory}`);
+      }
+
+      const fileAuthorship = groups[directory];
+      const totalAuthorship = {};
+      for (const authors of Object.values(fileAuthorship)) {
+        for (const [author, lines] of Object.entries(authors)) {
+          totalAuthorship[author] = (totalAuthorship[author] || 0) + lines;
+        }
+      }
+
+      const report = await calculator.calculate(method, fileAuthorship, {
+        ...analysisData,
+        ...history,
+        fileAuthorship,
+        totalAuthorship,
+        totalFiles: Object.keys(fileAuthorship).length
+      }, repoUrl);
+
+      results.push({
+        directory,
+        busFactor: report.summary.busFactor,
+        totalFiles: report.summary.totalFiles,
+        totalContributors: report.summary.totalContributors,
+        criticalContributors: report.summary.criticalContributors,
+        risk: report.interpretation.risk
+      });
+    }
+
+    if (!this.quiet && directories.length > 0) {
+      this.emit('progress', '\n');
+    }
+
+    return this.sortByRisk(results);
+  }
+
+  sortByRisk(directories) {
+    // Riskiest first: risk level, then lowest bus factor, then largest module
+    return [...directories].sort((a, b) =>
+      RISK_ORDER.indexOf(a.risk) - RISK_ORDER.indexOf(b.risk) ||
+      a.busFactor - b.busFactor ||
+      b.totalFiles - a.totalFiles ||
+      a.directory.localeCompare(b.directory)
+    );
+  }
+}
@@ -36,6 +36,37 @@ function isValidGitUrl(url) {
   }
 }
 
+// Helper function to resolve a local working-tree path or file:// URL.
+// Returns null when the argument should be treated as a remote URL: it has
+// a scheme (https:, ext::, ...) or is scp-style (user@host:path). Anything
+// else is a local path, whether or not it exists.
+function resolveLocalPath(repoUrl) {
+  if (repoUrl.startsWith('file://')) {
+    return fileURLToPath(repoUrl);
+  }
+  
+  // Single letters are left out so Windows drive letters stay paths
+  if (/^[a-z][a-z0-9+.-]+:/i.test(repoUrl) || /^[^\s/@]+@[^\s/:]+:/.test(repoUrl)) {
+    return null;
+  }
+  
+  return path.resolve(repoUrl);
+}
+
+// Helper function to validate branch, tag or commit names
+function isValidGitRef(ref) {
+  return typeof ref === 'string' &&
+    ref.trim() !== '' &&
+    !ref.startsWith('-') &&
+    !/[\s;&|`$()\\]/.test(ref);
+}
+
+// Helper function to check that a path lies strictly inside a directory
+function isInsideDirectory(directory, target) {
+  const relative = path.relative(path.resolve(directory), path.resolve(target));
+  return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
 // Helper function to sanitize repository names
 function sanitizeRepoName(url) {
   // Extract base name and remove dangerous characters
@@ -60,25 +91,65 @@ function sanitizeRepoName(url) {
 export class GitHandler {
   constructor(options = {}) {
     this.git = simpleGit();
-    this.tempDir = path.join(__dirname, '..', 'temp');
+    this.tempDir = options.tempDir || path.join(__dirname, '..', 'temp');
     this.quiet = options.quiet || false;
+    this.localRepoPath = null;
   }
 
-  async cloneRepo(repoUrl) {
+  async prepareRepo(repoUrl, options = {}) {
+    if (options.ref && !isValidGitRef(options.ref)) {
+      throw new Error(`Invalid git ref: ${options.ref}`);
+    }
+    
+    const localPath = resolveLocalPath(repoUrl.trim());
+    if (!localPath) {
+      return this.cloneRepo(repoUrl, options);
+    }
+    
+    if (!(await fs.pathExists(localPath))) {
+      throw new Error(`Local repository path does not exist: ${localPath}`);
+    }
+    
+    let repoRoot;
+    try {
+      repoRoot = (await simpleGit(localPath).revparse(['--show-toplevel'])).trim();
+    } catch {
+      throw new Error(`Not a git working tree: ${localPath}`);
+    }
+    
+    if (!this.quiet) {
+      console.log(`📂 Using local repository: ${repoRoot}`);
+    }
+    
+    // The ref is blamed directly, so the local checkout is left untouched
+    if (options.ref) {
+      try {
+        await simpleGit(repoRoot).revparse(['--verify', `${options.ref}^{commit}`]);
+      } catch {
+        throw new Error(`Unknown git ref "${options.ref}" in ${repoRoot}`);
+      }
+    }
+    
+    this.localRepoPath = repoRoot;
+    return repoRoot;
+  }
+
+  async cloneRepo(repoUrl, options = {}) {
     // Validate URL for security
     if (!isValidGitUrl(repoUrl)) {
       throw new Error('Invalid or potentially dangerous repository URL');
     }
     
+    if (options.ref && !isValidGitRef(options.ref)) {
+      throw new Error(`Invalid git ref: ${options.ref}`);
+    }
+    
     // Sanitize repository name to prevent path traversal
     const repoName = sanitizeRepoName(repoUrl);
     const repoPath = path.join(this.tempDir, repoName);
     
     // Additional check: ensure final path is within tempDir
-    const resolvedPath = path.resolve(repoPath);
-    const resolvedTempDir = path.resolve(this.tempDir);
-    
-    if (!resolvedPath.startsWith(resolvedTempDir)) {
+    if (!isInsideDirectory(this.tempDir, repoPath)) {
       throw new Error('Invalid repository path detected');
     }
     
@@ -113,10 +184,24 @@ export class GitHandler {
       console.log(`\n✅ Repository cloned successfully in ${duration}s`);
     }
     
+    if (options.ref) {
+      if (!this.quiet) {
+        console.log(`🔀 Checking out ${options.ref}`);
+      }
+      // Creates a local branch for remote branches, detaches for tags and commits
+      await this.git.raw(['-C', repoPath, 'checkout', '--quiet', options.ref]);
+    }
+    
     return repoPath;
   }
 
   async cleanup() {
+    // Nothing was cloned for a local working tree, and tempDir may hold
+    // other clones or the working tree itself
+    if (this.localRepoPath) {
+      return;
+    }
+    
     if (await fs.pathExists(this.tempDir)) {
       await fs.remove(this.tempDir);
     }
@@ -0,0 +1,417 @@
+import { buildDirectoryTree, formatPercent, getFileLines, getFileOwners, getMethodName, summarizeContributors, withReportDefaults } from './report-utils.js';
+
+const RISK_COLORS = {
+  CRITICAL: '#c62828',
+  HIGH: '#ef6c00',
+  MODERATE: '#1565c0',
+  LOW: '#2e7d32'
+};
+
+const OWNER_PALETTE = [
+  '#4e79a7', '#f28e2b', '#e15759', '#76b7b2', '#59a14f', '#edc948',
+  '#b07aa1', '#ff9da7', '#9c755f', '#86bcb6', '#d37295', '#a0cbe8'
+];
+
+const OWNERLESS_COLOR = '#bdbdbd';
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// JSON embedded in a <script> block must not be able to close it
+function embedJson(data) {
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+// Contributors with the most lines get the most distinct colors
+export function getOwnerColors(contributors) {
+  const colors = {};
+  contributors.forEach(({ author }, index) => {
+    colors[author] = index < OWNER_PALETTE.length
+      ? OWNER_PALETTE[index]
+      : `hsl(${(index * 137.508) % 360}, 45%, 60%)`;
+  });
+  return colors;
+}
+
+function renderSummary(report) {
+  const { summary, interpretation, analysis } = report;
+  const risk = interpretation.risk;
+  return `
+  <section class="cards">
+    <div class="card"><div class="label">Bus Factor</div><div class="value">${escapeHtml(summary.busFactor)}</div></div>
+    <div class="card"><div class="label">Risk</div><div class="value" style="color: ${RISK_COLORS[risk] || '#333'}">${escapeHtml(risk)}</div></div>
+    <div class="card"><div class="label">Files</div><div class="value">${escapeHtml(summary.totalFiles)}</div></div>
+    <div class="card"><div class="label">Contributors</div><div class="value">${escapeHtml(summary.totalContributors)}</div></div>
+    <div class="card"><div class="label">Ownerless Files</div><div class="value">${formatPercent(analysis.finalOwnerlessRatio)}</div></div>
+  </section>
+  <section>
+    <h2>Risk Assessment</h2>
+    ${interpretation.message || interpretation.recommendation ? `<p class="risk" style="border-color: ${RISK_COLORS[risk] || '#333'}">${escapeHtml(interpretation.message)}<br><strong>${escapeHtml(interpretation.recommendation)}</strong></p>` : ''}
+    <p>Critical contributors: ${summary.criticalContributors.length > 0 ? summary.criticalContributors.map(escapeHtml).join(', ') : '<em>none</em>'}</p>
+  </section>`;
+}
+
+function renderContributors(contributors, colors) {
+  const rows = contributors.map(entry => `
+        <tr${entry.critical ? ' class="critical"' : ''}>
+          <td data-value="${escapeHtml(entry.author)}"><span class="swatch" style="background: ${colors[entry.author]}"></span>${escapeHtml(entry.author)}${entry.critical ? ' <span class="tag">critical</span>' : ''}</td>
+          <td data-value="${entry.lines}">${entry.lines}</td>
+          <td data-value="${entry.share}">${formatPercent(entry.share)}</td>
+          <td data-value="${entry.filesTouched}">${entry.filesTouched}</td>
+          <td data-value="${entry.filesOwned}">${entry.filesOwned}</td>
+        </tr>`).join('');
+
+  return `
+  <section>
+    <h2>Contributors</h2>
+    <table class="sortable" id="contributors">
+      <thead>
+        <tr>
+          <th data-type="text">Contributor</th>
+          <th data-type="number">Lines</th>
+          <th data-type="number">Share</th>
+          <th data-type="number">Files Touched</th>
+          <th data-type="number">Files Owned</th>
+        </tr>
+      </thead>
+      <tbody>${rows}
+      </tbody>
+    </table>
+  </section>`;
+}
+
+function renderDirectoryBreakdown(breakdown) {
+  if (!breakdown) {
+    return '';
+  }
+  const rows = breakdown.directories.map(entry => `
+        <tr>
+          <td data-value="${escapeHtml(entry.directory)}">${escapeHtml(entry.directory)}</td>
+          <td data-value="${entry.busFactor}">${entry.busFactor}</td>
+          <td data-value="${escapeHtml(entry.risk)}" style="color: ${RISK_COLORS[entry.risk] || '#333'}">${escapeHtml(entry.risk)}</td>
+          <td data-value="${entry.totalFiles}">${entry.totalFiles}</td>
+          <td data-value="${escapeHtml(entry.criticalContributors.join(', '))}">${escapeHtml(entry.criticalContributors.join(', '))}</td>
+        </tr>`).join('');
+
+  return `
+  <section>
+    <h2>Directories (depth ${escapeHtml(breakdown.depth)})</h2>
+    <table class="sortable">
+      <thead>
+        <tr>
+          <th data-type="text">Directory</th>
+          <th data-type="number">Bus Factor</th>
+          <th data-type="text">Risk</th>
+          <th data-type="number">Files</th>
+          <th data-type="text">Critical Contributors</th>
+        </tr>
+      </thead>
+      <tbody>${rows}
+      </tbody>
+    </table>
+  </section>`;
+}
+
+function renderContributorActivity(activity) {
+  if (!activity) {
+    return '';
+  }
+  const rows = activity.contributors.filter(entry => entry.filesOwned > 0).map(entry => `
+        <tr>
+          <td data-value="${escapeHtml(entry.author)}">${escapeHtml(entry.author)}</td>
+          <td data-value="${escapeHtml(entry.status)}">${escapeHtml(entry.status)}</td>
+          <td data-value="${entry.filesOwned}">${entry.filesOwned}</td>
+          <td data-value="${escapeHtml(entry.lastCommit || '')}">${entry.lastCommit ? escapeHtml(entry.lastCommit.substring(0, 10)) : '<em>none</em>'}</td>
+          <td data-value="${entry.activeMonths}">${entry.activeMonths}</td>
+        </tr>`).join('');
+
+  return `
+  <section>
+    <h2>Contributor Activity</h2>
+    <p>${activity.knowledgeLost.count} files (${formatPercent(activity.knowledgeLost.ratio)}) are only owned by contributors who have left or made no commit in ${escapeHtml(activity.inactiveAfter)} days. The current team has a bus factor of <strong>${escapeHtml(activity.currentBusFactor.busFactor)}</strong>.</p>
+    <table class="sortable">
+      <thead>
+        <tr>
+          <th data-type="text">Knowledge Holder</th>
+          <th data-type="text">Status</th>
+          <th data-type="number">Files Owned</th>
+          <th data-type="text">Last Commit</th>
+          <th data-type="number">Active Months</th>
+        </tr>
+      </thead>
+      <tbody>${rows}
+      </tbody>
+    </table>
+  </section>`;
+}
+
+function renderDepartureSimulation(simulation) {
+  if (!simulation) {
+    return '';
+  }
+  const remaining = simulation.remainingBusFactor;
+  const rows = simulation.orphanedFiles.map(entry => `
+        <tr>
+          <td data-value="${escapeHtml(entry.file)}">${escapeHtml(entry.file)}</td>
+          <td data-value="${escapeHtml(entry.formerOwners.join(', '))}">${escapeHtml(entry.formerOwners.join(', '))}</td>
+          <td data-value="${escapeHtml(entry.successor ? entry.successor.author : '')}">${entry.successor ? `${escapeHtml(entry.successor.author)} (${formatPercent(entry.successor.share)})` : '<em>nobody</em>'}</td>
+          <td data-value="${entry.lines}">${entry.lines}</td>
+        </tr>`).join('');
+
+  return `
+  <section>
+    <h2>Departure Simulation: ${escapeHtml(simulation.departed.join(', '))}</h2>
+    <p>${simulation.orphanedFiles.length} of ${simulation.totalFiles} files (${formatPercent(simulation.ownerlessRatio)}) lose every owner. The rest of the team has a bus factor of <strong>${escapeHtml(remaining.busFactor)}</strong> (<span style="color: ${RISK_COLORS[remaining.risk] || '#333'}">${escapeHtml(remaining.risk)}</span>).</p>
+    <table class="sortable">
+      <thead>
+        <tr>
+          <th data-type="text">Orphaned File</th>
+          <th data-type="text">Former Owner</th>
+          <th data-type="text">Successor</th>
+          <th data-type="number">Lines</th>
+        </tr>
+      </thead>
+      <tbody>${rows}
+      </tbody>
+    </table>
+  </section>`;
+}
+
+function renderTreemap(contributors, colors) {
+  const legend = contributors.slice(0, OWNER_PALETTE.length)
+    .filter(entry => entry.filesOwned > 0)
+    .map(entry => `<span><span class="swatch" style="background: ${colors[entry.author]}"></span>${escapeHtml(entry.author)}</span>`)
+    .join('');
+
+  return `
+  <section>
+    <h2>Ownership Map</h2>
+    <p class="hint">Area is proportional to lines of code, color shows the file's owner. Click a file for details.</p>
+    <div class="legend">${legend}<span><span class="swatch" style="background: ${OWNERLESS_COLOR}"></span>no owner</span></div>
+    <div id="treemap"></div>
+  </section>`;
+}
+
+function renderFiles(report) {
+  const rows = Object.entries(report.fileAuthorshipMap).map(([file, authorship]) => {
+    const owners = getFileOwners(report, file);
+    const lines = getFileLines(authorship);
+    return `
+        <tr data-file="${escapeHtml(file)}">
+          <td data-value="${escapeHtml(file)}">${escapeHtml(file)}</td>
+          <td data-value="${escapeHtml(owners.join(', '))}">${owners.length > 0 ? escapeHtml(owners.join(', ')) : '<em>none</em>'}</td>
+          <td data-value="${Object.keys(authorship).length}">${Object.keys(authorship).length}</td>
+          <td data-value="${lines}">${lines}</td>
+        </tr>`;
+  }).join('');
+
+  return `
+  <section>
+    <h2>Files</h2>
+    <div id="file-detail" class="detail" hidden></div>
+    <input id="file-filter" type="search" placeholder="Filter files...">
+    <table class="sortable" id="files">
+      <thead>
+        <tr>
+          <th data-type="text">File</th>
+          <th data-type="text">Owner</th>
+          <th data-type="number">Authors</th>
+          <th data-type="number">Lines</th>
+        </tr>
+      </thead>
+      <tbody>${rows}
+      </tbody>
+    </table>
+  </section>`;
+}
+
+const STYLES = `
+    body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; margin: 0 auto; max-width: 1200px; padding: 24px; color: #222; }
+    h1 { margin-bottom: 4px; }
+    h2 { margin-top: 32px; border-bottom: 1px solid #ddd; padding-bottom: 4px; }
+    .meta, .hint { color: #666; font-size: 14px; }
+    .cards { display: flex; gap: 12px; flex-wrap: wrap; margin-top: 16px; }
+    .card { border: 1px solid #ddd; border-radius: 6px; padding: 12px 16px; min-width: 140px; }
+    .card .label { color: #666; font-size: 13px; }
+    .card .value { font-size: 28px; font-weight: bold; }
+    .risk { border-left: 4px solid; padding: 8px 12px; background: #fafafa; }
+    table { border-collapse: collapse; width: 100%; font-size: 14px; }
+    th, td { text-align: left; padding: 4px 8px; border-bottom: 1px solid #eee; }
+    th { cursor: pointer; user-select: none; background: #f5f5f5; }
+    th.asc::after { content: " \\25B2"; }
+    th.desc::after { content: " \\25BC"; }
+    tr.critical td:first-child { font-weight: bold; }
+    #files tbody tr { cursor: pointer; }
+    #files tbody tr:hover { background: #f0f7ff; }
+    .tag { background: #c62828; color: #fff; border-radius: 3px; font-size: 11px; padding: 0 4px; }
+    .swatch { display: inline-block; width: 10px; height: 10px; margin-right: 6px; border-radius: 2px; }
+    .legend { display: flex; flex-wrap: wrap; gap: 12px; font-size: 13px; margin-bottom: 8px; }
+    #treemap { height: 520px; display: flex; border: 1px solid #999; }
+    .tm-dir { display: flex; flex-direction: column; flex: 1 1 0; min-width: 0; min-height: 0; border: 1px solid #fff; overflow: hidden; }
+    .tm-label { font-size: 11px; line-height: 14px; height: 14px; padding: 0 2px; white-space: nowrap; overflow: hidden; background: #eee; }
+    .tm-body { display: flex; flex: 1 1 0; min-width: 0; min-height: 0; }
+    .tm-file { flex: 1 1 0; min-width: 0; min-height: 0; box-shadow: inset 0 0 0 1px rgba(255, 255, 255, 0.6); cursor: pointer; }
+    .tm-file:hover { filter: brightness(0.85); }
+    #file-filter { margin: 8px 0; padding: 4px 8px; width: 320px; }
+    .detail { border: 1px solid #ddd; border-radius: 6px; padding: 12px 16px; margin-bottom: 12px; background: #fcfcfc; }
+    .bar { height: 10px; background: #4e79a7; border-radius: 2px; }
+`;
+
+// Runs in the browser: sortable tables, the treemap and the file drill-down
+const SCRIPT = `
+    const data = JSON.parse(document.getElementById('report-data').textContent);
+
+    function colorOf(owners) {
+      return owners.length > 0 ? (data.colors[owners[0]] || '${OWNERLESS_COLOR}') : '${OWNERLESS_COLOR}';
+    }
+
+    document.querySelectorAll('table.sortable').forEach(function (table) {
+      table.querySelectorAll('th').forEach(function (th, column) {
+        th.addEventListener('click', function () {
+          const descending = !th.classList.contains('desc');
+          table.querySelectorAll('th').forEach(function (other) { other.classList.remove('asc', 'desc'); });
+          th.classList.add(descending ? 'desc' : 'asc');
+          const numeric = th.dataset.type === 'number';
+          const body = table.tBodies[0];
+          const rows = Array.from(body.rows);
+          rows.sort(function (a, b) {
+            const x = a.cells[column].dataset.value;
+            const y = b.cells[column].dataset.value;
+            const order = numeric ? Number(x) - Number(y) : x.localeCompare(y);
+            return descending ? -order : order;
+          });
+          rows.forEach(function (row) { body.appendChild(row); });
+        });
+      });
+    });
+
+    function showFile(file) {
+      const authorship = data.fileAuthorshipMap[file];
+      const detail = document.getElementById('file-detail');
+      if (!authorship) {
+        return;
+      }
+      const authors = Object.keys(authorship).sort(function (a, b) { return authorship[b].lines - authorship[a].lines; });
+      detail.textContent = '';
+      const title = document.createElement('h3');
+      title.textContent = file;
+      detail.appendChild(title);
+      const table = document.createElement('table');
+      const weighted = authors.length > 0 && authorship[authors[0]].weightedLines !== undefined;
+      const header = table.createTHead().insertRow();
+      ['Author', 'Lines', 'Share'].concat(weighted ? ['Weighted Share'] : []).concat(['']).forEach(function (text) {
+        const th = document.createElement('th');
+        th.textContent = text;
+        header.appendChild(th);
+      });
+      const body = table.createTBody();
+      authors.forEach(function (author) {
+        const entry = authorship[author];
+        const row = body.insertRow();
+        [author, entry.lines, entry.percentage + '%'].concat(weighted ? [entry.weightedPercentage + '%'] : []).forEach(function (text) {
+          row.insertCell().textContent = text;
+        });
+        const bar = document.createElement('div');
+        bar.className = 'bar';
+        bar.style.width = entry.percentage + '%';
+        bar.style.background = data.colors[author] || '${OWNERLESS_COLOR}';
+        row.insertCell().appendChild(bar);
+      });
+      detail.appendChild(table);
+      detail.hidden = false;
+      detail.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
+    function renderNode(node, depth) {
+      const element = document.createElement('div');
+      element.style.flexGrow = Math.max(node.lines, 1);
+      if (!node.children) {
+        element.className = 'tm-file';
+        element.style.background = colorOf(node.owners);
+        element.title = node.path + '\\n' + (node.owners.length > 0 ? node.owners.join(', ') : 'no owner') + '\\n' + node.lines + ' lines';
+        element.addEventListener('click', function () { showFile(node.path); });
+        return element;
+      }
+      element.className = 'tm-dir';
+      element.title = (node.path || '.') + ' (' + node.lines + ' lines)';
+      if (depth > 0) {
+        const label = document.createElement('div');
+        label.className = 'tm-label';
+        label.textContent = node.name;
+        element.appendChild(label);
+      }
+      const body = document.createElement('div');
+      body.className = 'tm-body';
+      body.style.flexDirection = depth % 2 === 0 ? 'row' : 'column';
+      node.children
+        .slice()
+        .sort(function (a, b) { return b.lines - a.lines; })
+        .forEach(function (child) { body.appendChild(renderNode(child, depth + 1)); });
+      element.appendChild(body);
+      return element;
+    }
+
+    document.getElementById('treemap').appendChild(renderNode(data.tree, 0));
+
+    document.querySelectorAll('#files tbody tr').forEach(function (row) {
+      row.addEventListener('click', function () { showFile(row.dataset.file); });
+    });
+
+    document.getElementById('file-filter').addEventListener('input', function (event) {
+      const filter = event.target.value.toLowerCase();
+      document.querySelectorAll('#files tbody tr').forEach(function (row) {
+        row.hidden = filter !== '' && !row.dataset.file.toLowerCase().includes(filter);
+      });
+    });
+`;
+
+// Renders a report as a single self-contained HTML page (no external assets)
+export function renderHtmlReport(input) {
+  const report = withReportDefaults(input);
+  const contributors = summarizeContributors(report);
+  const colors = getOwnerColors(contributors);
+  const method = getMethodName(report);
+  const title = `Bus Factor Report${report.repositoryUrl ? ` - ${report.repositoryUrl}` : ''}`;
+  const { analysis } = report;
+  const meta = [
+    ...(analysis.method ? [escapeHtml(analysis.method)] : []),
+    ...(report.ref ? [`ref ${escapeHtml(report.ref)}`] : []),
+    ...(typeof analysis.threshold === 'number' ? [`${method} threshold ${formatPercent(analysis.threshold)}`] : []),
+    `generated ${escapeHtml(new Date().toISOString())}`
+  ];
+  const data = {
+    colors,
+    tree: buildDirectoryTree(report),
+    fileAuthorshipMap: report.fileAuthorshipMap
+  };
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <style>${STYLES}  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  <div class="meta">${meta.join(' &middot; ')}</div>
+${renderSummary(report)}
+${renderContributors(contributors, colors)}
+${renderDirectoryBreakdown(report.directoryBreakdown)}
+${renderContributorActivity(report.contributorActivity)}
+${renderDepartureSimulation(report.departureSimulation)}
+${renderTreemap(contributors, colors)}
+${renderFiles(report)}
+  <script type="application/json" id="report-data">${embedJson(data)}</script>
+  <script>${SCRIPT}  </script>
+</body>
+</html>
+`;
+}
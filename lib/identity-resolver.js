@@ -0,0 +1,203 @@
+import fs from 'fs-extra';
+
+function normalizeEmail(email) {
+  if (!email) {
+    return null;
+  }
+  const normalized = email.replace(/^<|>$/g, '').trim().toLowerCase();
+  // Lines that are not committed yet carry a placeholder email shared by everyone
+  return normalized && normalized !== 'not.committed.yet' ? normalized : null;
+}
+
+function nameKey(name) {
+  return `name:${name.trim().toLowerCase()}`;
+}
+
+function emailKey(email) {
+  return `email:${email}`;
+}
+
+// CODEOWNERS accepts @user, @org/team or an email address
+function normalizeHandle(handle) {
+  return handle.startsWith('@') || handle.includes('@') ? handle : `@${handle}`;
+}
+
+// Orders canonical name candidates, best first
+function compareCandidates(a, b) {
+  return b.lastCommit - a.lastCommit || b.lines - a.lines || a.name.localeCompare(b.name);
+}
+
+// An alias entry is either a list of identities or { handle, aliases }
+function parseAliasEntry(canonical, entry) {
+  if (Array.isArray(entry)) {
+    return { identities: entry, handle: null };
+  }
+  if (entry && typeof entry === 'object') {
+    const { aliases = [], handle = null } = entry;
+    if (!Array.isArray(aliases)) {
+      throw new Error(`Aliases for "${canonical}" must be an array of names or emails`);
+    }
+    if (handle !== null && (typeof handle !== 'string' || handle.trim() === '')) {
+      throw new Error(`Handle for "${canonical}" must be a non-empty string`);
+    }
+    return { identities: aliases, handle: handle && normalizeHandle(handle.trim()) };
+  }
+  throw new Error(`Aliases for "${canonical}" must be an array of names or emails`);
+}
+
+// Maps the many names and emails a contributor commits under to one person.
+// Git already applies the repository's .mailmap to blame and %aN/%aE; on top
+// of that, names sharing an author email and user-supplied aliases are merged.
+// All identities are learned first so the result does not depend on the order
+// in which files were blamed. With the repository's history learned, a
+// contributor goes by the name of their most recent commit, so every command
+// and every analyzed ref agree on it.
+export class IdentityResolver {
+  constructor(aliases = {}) {
+    this.parents = new Map();
+    this.aliasCanonicals = new Map();
+    this.nameLines = new Map();
+    this.nameLastCommits = new Map();
+    this.handles = new Map();
+
+    for (const [canonical, entry] of Object.entries(aliases)) {
+      const { identities, handle } = parseAliasEntry(canonical, entry);
+      if (handle) {
+        this.handles.set(canonical, handle);
+      }
+      this.aliasCanonicals.set(nameKey(canonical), canonical);
+      for (const identity of identities) {
+        const key = identity.includes('@') ? emailKey(normalizeEmail(identity)) : nameKey(identity);
+        this.union(nameKey(canonical), key);
+      }
+    }
+  }
+
+  static async fromFile(filePath) {
+    let aliases;
+    try {
+      aliases = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Could not read alias file "${filePath}": ${error.message}`);
+    }
+
+    if (!aliases || typeof aliases !== 'object' || Array.isArray(aliases)) {
+      throw new Error(`Alias file "${filePath}" must contain an object mapping names to aliases`);
+    }
+
+    return new IdentityResolver(aliases);
+  }
+
+  find(key) {
+    if (!this.parents.has(key)) {
+      this.parents.set(key, key);
+      return key;
+    }
+    let root = key;
+    while (this.parents.get(root) !== root) {
+      root = this.parents.get(root);
+    }
+    this.parents.set(key, root);
+    return root;
+  }
+
+  union(a, b) {
+    const rootA = this.find(a);
+    const rootB = this.find(b);
+    if (rootA !== rootB) {
+      this.parents.set(rootB, rootA);
+    }
+  }
+
+  learn(identities) {
+    for (const { name, email, lines = 0 } of identities) {
+      const normalizedEmail = normalizeEmail(email);
+      this.find(nameKey(name));
+      if (normalizedEmail) {
+        this.union(nameKey(name), emailKey(normalizedEmail));
+      }
+      this.nameLines.set(name, (this.nameLines.get(name) || 0) + lines);
+    }
+    this.canonicalNames = null;
+  }
+
+  // Commits as { name, email, date }, e.g. from readAllCommitAuthors
+  learnHistory(commits) {
+    this.learn(commits.map(({ name, email }) => ({ name, email, lines: 0 })));
+    for (const { name, date } of commits) {
+      const time = Date.parse(date);
+      if (!(this.nameLastCommits.get(name) >= time)) {
+        this.nameLastCommits.set(name, time);
+      }
+    }
+  }
+
+  buildCanonicalNames() {
+    // Aliased groups use the configured name, others the name of the most
+    // recent commit; names without known commits fall back to most lines
+    const canonicalNames = new Map();
+    for (const [key, canonical] of this.aliasCanonicals) {
+      canonicalNames.set(this.find(key), { name: canonical, lastCommit: Infinity, lines: Infinity });
+    }
+    for (const [name, lines] of this.nameLines) {
+      const root = this.find(nameKey(name));
+      const candidate = { name, lastCommit: this.nameLastCommits.get(name) || 0, lines };
+      const current = canonicalNames.get(root);
+      if (!current || compareCandidates(candidate, current) < 0) {
+        canonicalNames.set(root, candidate);
+      }
+    }
+    return canonicalNames;
+  }
+
+  resolve(name, email) {
+    if (!this.canonicalNames) {
+      this.canonicalNames = this.buildCanonicalNames();
+    }
+
+    const normalizedEmail = normalizeEmail(email);
+    const key = normalizedEmail && this.parents.has(emailKey(normalizedEmail))
+      ? emailKey(normalizedEmail)
+      : nameKey(name);
+
+    if (!this.parents.has(key)) {
+      return name;
+    }
+
+    const canonical = this.canonicalNames.get(this.find(key));
+    return canonical ? canonical.name : name;
+  }
+
+  // Code host handle configured for a contributor, or null
+  getHandle(name) {
+    return this.handles.get(name) || this.handles.get(this.resolve(name, null)) || null;
+  }
+
+  // Contributor behind a CODEOWNERS owner: a configured handle, or an email
+  // the contributor commits under. Null when neither is known.
+  resolveHandle(handle) {
+    const wanted = handle.toLowerCase();
+    for (const [name, configured] of this.handles) {
+      if (configured.toLowerCase() === wanted) {
+        return name;
+      }
+    }
+
+    const email = handle.startsWith('@') ? null : normalizeEmail(handle);
+    if (email && this.parents.has(emailKey(email))) {
+      return this.resolve(handle, email);
+    }
+    return null;
+  }
+
+  getMergedIdentities() {
+    const merged = {};
+    for (const name of this.nameLines.keys()) {
+      const canonical = this.resolve(name, null);
+      if (canonical !== name) {
+        merged[canonical] = [...(merged[canonical] || []), name];
+      }
+    }
+    return merged;
+  }
+}
@@ -1,11 +1,29 @@
 #!/usr/bin/env node
 
-import { Command } from 'commander';
+import { Command, InvalidArgumentError, Option } from 'commander';
 import chalk from 'chalk';
 import { GitHandler } from './git-handler.js';
 import { AuthorshipAnalyzer } from './authorship-analyzer.js';
-import { BusFactorCalculator } from './bus-factor-calculator.js';
-import { readFile } from 'fs/promises';
+import { BusFactorCalculator, getRegisteredCalculators, loadCalculator } from './bus-factor-calculator.js';
+import { TIMELINE_INTERVALS, TimelineAnalyzer } from './timeline-analyzer.js';
+import { IdentityResolver } from './identity-resolver.js';
+import { DirectoryAnalyzer } from './directory-analyzer.js';
+import { BatchAnalyzer } from './batch-analyzer.js';
+import { assertValidReport, REPORT_SCHEMAS, validateReport } from './report-validator.js';
+import { BlameCache } from './blame-cache.js';
+import { renderHtmlReport } from './html-report.js';
+import { renderMarkdownReport } from './markdown-report.js';
+import { renderContributorCsv, renderFileCsv } from './csv-report.js';
+import { formatPercent, withReportDefaults } from './report-utils.js';
+import { diffReports } from './report-differ.js';
+import { evaluateQualityGate, QUALITY_GATE_EXIT_CODE, RISK_LEVELS } from './quality-gate.js';
+import { findConfigFile, loadConfig } from './config-loader.js';
+import { buildCodeownersRules, renderCodeowners } from './codeowners-generator.js';
+import { auditCodeowners, parseCodeowners, readCodeowners } from './codeowners-audit.js';
+import { ReviewRiskAnalyzer } from './review-risk.js';
+import { simulateDeparture } from './departure-simulator.js';
+import { assessContributorActivity, DEFAULT_INACTIVE_DAYS, readAllCommitAuthors, readContributorActivity } from './contributor-activity.js';
+import { readFile, writeFile } from 'fs/promises';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 
@@ -66,7 +84,7 @@ async function getVersion() {
   }
 }
 
-async function analyzeBusFactor(repoUrl, options) {
+async function withRepository(repoUrl, options, work) {
   const gitHandler = new GitHandler({ quiet: options.quiet });
   activeGitHandler = gitHandler; // Track for cleanup
   
@@ -76,115 +94,626 @@ async function analyzeBusFactor(repoUrl, options) {
       console.log(chalk.gray('=' .repeat(60)));
     }
     
-    const repoPath = await gitHandler.cloneRepo(repoUrl);
+    const repoPath = await gitHandler.prepareRepo(repoUrl, { ref: options.ref });
     
-    const analyzer = new AuthorshipAnalyzer(repoPath, { 
-      quiet: options.quiet, 
-      json: options.json,
-      ignoreExtensions: options.ignoreExtensions,
-      ignoreDotFiles: options.ignoreDotFilesAndFolders,
-      ignoreAuthors: options.ignoreAuthors
+    await work(repoPath);
+    
+    if (!options.quiet) {
+      console.log(chalk.gray('\n🧹 Cleaning up temporary files...'));
+    }
+    await gitHandler.cleanup();
+    if (!options.quiet) {
+      console.log(chalk.green('✅ Cleanup complete!'));
+    }
+    
+  } catch (error) {
+    if (options.json && options.quiet) {
+      console.log(JSON.stringify({ error: error.message }));
+    } else {
+      console.error(chalk.red(`\n❌ Error: ${error.message}`));
+      if (!options.quiet) {
+        console.log(chalk.gray('\n🧹 Cleaning up temporary files...'));
+      }
+    }
+    await gitHandler.cleanup();
+    if (!options.quiet && !(options.json && options.quiet)) {
+      console.log(chalk.green('✅ Cleanup complete!'));
+    }
+    process.exit(1);
+  }
+}
+
+function analyzerOptions(options) {
+  return {
+    quiet: options.quiet, 
+    json: options.json,
+    ignoreExtensions: options.ignoreExtensions,
+    ignoreDotFiles: options.ignoreDotFilesAndFolders,
+    ignoreAuthors: options.ignoreAuthors,
+    ref: options.ref,
+    jobs: options.jobs,
+    identityResolver: options.identityResolver,
+    cache: createBlameCache(options)
+  };
+}
+
+function createBlameCache(options) {
+  if (!options.cache) {
+    return null;
+  }
+  // --cache without a directory uses the default location
+  return new BlameCache({ dir: options.cache === true ? undefined : options.cache });
+}
+
+function calculatorOptions(options) {
+  return {
+    threshold: options.threshold,
+    decayRate: options.decayRate,
+    timeWindow: options.timeWindow,
+    doaModel: options.doa,
+    multiAuthor: options.multiAuthor,
+    authorThreshold: options.authorThreshold
+  };
+}
+
+async function loadIdentityResolver(options, repoPath = null) {
+  let identityResolver = new IdentityResolver();
+  if (options.aliases) {
+    // Config files may list the aliases inline instead of naming a file
+    identityResolver = typeof options.aliases === 'object' ? new IdentityResolver(options.aliases) : await IdentityResolver.fromFile(options.aliases);
+  }
+  // Canonical names come from the whole history, not from the files a command blames
+  if (repoPath) {
+    identityResolver.learnHistory(await readAllCommitAuthors(repoPath));
+  }
+  return identityResolver;
+}
+
+// Fills in options that were not given on the command line from --config or
+// the first config file found in the analyzed repository or working directory
+async function applyConfigFile(options, command, repoPath = null) {
+  const configPath = options.config || await findConfigFile([repoPath, process.cwd()].filter(Boolean));
+  if (!configPath) {
+    return options;
+  }
+  
+  const config = await loadConfig(configPath);
+  if (!options.quiet) {
+    console.log(chalk.gray(`⚙️  Using config file ${configPath}`));
+  }
+  
+  const commandOptions = new Map(command.options.map(option => [option.attributeName(), option]));
+  const merged = { ...options };
+  for (const [key, value] of Object.entries(config)) {
+    const option = commandOptions.get(key);
+    // Settings the command has no option for (e.g. decayRate for abf) do not apply
+    if (!option || command.getOptionValueSource(key) === 'cli') {
+      continue;
+    }
+    if (option.argChoices && !option.argChoices.includes(value)) {
+      if (!options.quiet) {
+        console.warn(chalk.yellow(`⚠️  Ignoring ${key} "${value}" from config file: the ${command.name()} command does not support it`));
+      }
+      continue;
+    }
+    merged[key] = value;
+  }
+  return merged;
+}
+
+function createAnalyzer(repoPath, options) {
+  const analyzer = new AuthorshipAnalyzer(repoPath, analyzerOptions(options));
+  
+  // Set up event listeners for authorship analyzer
+  analyzer.on('info', (message) => {
+    if (!options.quiet) {
+      console.log(message);
+    }
+  });
+  
+  analyzer.on('warning', (message) => {
+    if (!(options.quiet && options.json)) {
+      console.warn(message);
+    }
+  });
+  
+  analyzer.on('progress', (data) => {
+    if (!options.quiet) {
+      process.stdout.write(`\r🔍 Analyzing: [${data.processed}/${data.total}] ${data.progress}% | ${data.file.substring(0, 50)}${data.file.length > 50 ? '...' : ''} | ETA: ${data.eta}s`);
+    }
+  });
+  
+  return analyzer;
+}
+
+function createCalculator(options) {
+  const calculator = new BusFactorCalculator({ quiet: options.quiet, ...calculatorOptions(options) });
+  
+  // Set up event listeners for bus factor calculator
+  calculator.on('info', (message) => {
+    if (!options.quiet) {
+      console.log(message);
+    }
+  });
+  
+  calculator.on('warning', (message) => {
+    if (!(options.quiet && options.json)) {
+      console.warn(message);
+    }
+  });
+  
+  calculator.on('progress', (data) => {
+    if (!options.quiet) {
+      process.stdout.write(`\r${data}`);
+    }
+  });
+  
+  return calculator;
+}
+
+function printJson(data, options) {
+  if (options.quiet) {
+    console.log(JSON.stringify(data));
+  } else {
+    console.log(JSON.stringify(data, null, 2));
+  }
+}
+
+async function analyzeBusFactor(repoUrl, options, command) {
+  let gate;
+  await withRepository(repoUrl, options, async (repoPath) => {
+    options = await applyConfigFile(options, command, repoPath);
+    const identityResolver = await loadIdentityResolver(options, repoPath);
+    const analyzer = createAnalyzer(repoPath, { ...options, identityResolver });
+    const analysisData = await analyzer.analyzeAuthorship();
+    
+    const calculator = createCalculator(options);
+    const report = await calculator.calculate(options.method || 'abf', analysisData.fileAuthorship, analysisData, repoUrl);
+    
+    if (options.byDirectory) {
+      report.directoryBreakdown = await analyzeDirectories(options.method || 'abf', analysisData, repoUrl, options);
+    }
+    
+    const { activity, referenceTime } = await readContributorActivity(analysisData);
+    report.contributorActivity = assessContributorActivity(report, activity, { ...options, referenceTime });
+    warnUnknownContributors(report.contributorActivity.unknownContributors, options);
+    
+    if (options.simulateDeparture) {
+      report.departureSimulation = simulateDeparture(report, options.simulateDeparture);
+      warnUnknownContributors(report.departureSimulation.unknownContributors, options);
+    }
+    
+    // Custom calculators have no bundled schema to validate against
+    if (REPORT_SCHEMAS[options.method || 'abf']) {
+      assertValidReport(report, options.method || 'abf');
+    }
+    
+    await outputReport(report, options);
+    gate = evaluateQualityGate(report, options);
+  });
+  
+  enforceQualityGate(gate.reasons);
+}
+
+async function analyzeAllMethods(repoUrl, options, command) {
+  const available = new BusFactorCalculator().listAvailableMethods();
+  const methods = options.methods.length > 0 ? options.methods : available;
+  const unknown = methods.filter(method => !available.includes(method));
+  if (unknown.length > 0) {
+    console.error(chalk.red(`❌ Error: Unknown method(s): ${unknown.join(', ')} (available: ${available.join(', ')})`));
+    process.exit(1);
+  }
+  
+  const reasons = [];
+  await withRepository(repoUrl, options, async (repoPath) => {
+    options = await applyConfigFile(options, command, repoPath);
+    const identityResolver = await loadIdentityResolver(options, repoPath);
+    const analyzer = createAnalyzer(repoPath, { ...options, identityResolver });
+    const analysisData = await analyzer.analyzeAuthorship();
+    
+    const calculator = createCalculator(options);
+    const combined = await calculator.calculateAll(methods, analysisData.fileAuthorship, analysisData, repoUrl);
+    
+    const { activity, referenceTime } = await readContributorActivity(analysisData);
+    for (const [method, report] of Object.entries(combined.reports)) {
+      report.contributorActivity = assessContributorActivity(report, activity, { ...options, referenceTime });
+      if (REPORT_SCHEMAS[method]) {
+        assertValidReport(report, method);
+      }
+      reasons.push(...evaluateQualityGate(report, options).reasons.map(reason => `${method.toUpperCase()}: ${reason}`));
+    }
+    
+    // Every method sees the same contributors, so unknown names are reported once
+    const [first] = Object.values(combined.reports);
+    if (first) {
+      warnUnknownContributors(first.contributorActivity.unknownContributors, options);
+    }
+    
+    await outputReport(combined, options, displayCombinedReport);
+  });
+  
+  enforceQualityGate(reasons);
+}
+
+function warnUnknownContributors(names, options) {
+  if (names.length > 0 && !(options.quiet && options.json)) {
+    console.warn(chalk.yellow(`⚠️  Not a contributor of any analyzed file: ${names.join(', ')} (names must match the report, after aliases)`));
+  }
+}
+
+// Called after cleanup so a failed gate still removes the clone
+function enforceQualityGate(reasons) {
+  if (reasons.length === 0) {
+    return;
+  }
+  for (const reason of reasons) {
+    console.error(chalk.red(`❌ Quality gate failed: ${reason}`));
+  }
+  process.exit(QUALITY_GATE_EXIT_CODE);
+}
+
+const REPORT_RENDERERS = {
+  json: (report, options) => JSON.stringify(report, null, options.quiet ? undefined : 2),
+  html: (report) => renderHtmlReport(report),
+  markdown: (report) => renderMarkdownReport(report),
+  csv: (report) => renderFileCsv(report),
+  'csv-contributors': (report) => renderContributorCsv(report)
+};
+
+async function outputReport(report, options, display = displayReport) {
+  // --json is kept as a shorthand for --format json
+  const format = options.json ? 'json' : options.format;
+  
+  if (format === 'text') {
+    display(report, options);
+    return;
+  }
+  
+  const rendered = REPORT_RENDERERS[format](report, options);
+  const output = rendered.endsWith('\n') ? rendered : `${rendered}\n`;
+  if (options.output) {
+    await writeFile(options.output, output);
+    if (!options.quiet) {
+      console.log(chalk.green(`\n✅ Report written to ${options.output}`));
+    }
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+async function analyzeDirectories(method, analysisData, repoUrl, options) {
+  // --by-directory without a value groups by top-level directory
+  const depth = options.byDirectory === true ? 1 : options.byDirectory;
+  const directoryAnalyzer = new DirectoryAnalyzer({
+    quiet: options.quiet,
+    depth,
+    calculatorOptions: calculatorOptions(options)
+  });
+  
+  directoryAnalyzer.on('info', (message) => {
+    if (!options.quiet) {
+      console.log(message);
+    }
+  });
+  
+  directoryAnalyzer.on('progress', (data) => {
+    if (!options.quiet) {
+      process.stdout.write(`\r${data}`);
+    }
+  });
+  
+  return {
+    depth,
+    directories: await directoryAnalyzer.analyze(method, analysisData, repoUrl)
+  };
+}
+
+async function generateCodeowners(repoUrl, options, command) {
+  await withRepository(repoUrl, options, async (repoPath) => {
+    options = await applyConfigFile(options, command, repoPath);
+    const identityResolver = await loadIdentityResolver(options, repoPath);
+    const analyzer = createAnalyzer(repoPath, { ...options, identityResolver });
+    const analysisData = await analyzer.analyzeAuthorship();
+    
+    const calculator = createCalculator(options);
+    const report = await calculator.calculate(options.method, analysisData.fileAuthorship, analysisData, repoUrl);
+    
+    if (options.audit) {
+      const codeowners = await readCodeowners(repoPath, { file: options.codeownersFile, ref: options.ref });
+      if (!codeowners) {
+        throw new Error('No CODEOWNERS file found in .github/, the repository root or docs/');
+      }
+      const audit = {
+        codeowners: codeowners.path,
+        ...auditCodeowners(report, parseCodeowners(codeowners.text), owner => identityResolver.resolveHandle(owner), options)
+      };
+      if (options.json) {
+        printJson(audit, options);
+      } else {
+        displayCodeownersAudit(audit, options);
+      }
+      return;
+    }
+    
+    const rules = buildCodeownersRules(report, { dominance: options.dominance, backupShare: options.backupShare });
+    const { content, unmapped } = renderCodeowners(report, rules, name => identityResolver.getHandle(name));
+    
+    if (unmapped.length > 0 && !options.quiet) {
+      console.warn(chalk.yellow(`\n⚠️  No handle for ${unmapped.join(', ')}; add them to the alias file as { "handle": "@user" }`));
+    }
+    
+    if (options.output) {
+      await writeFile(options.output, content);
+      if (!options.quiet) {
+        console.log(chalk.green(`\n✅ CODEOWNERS written to ${options.output} (${rules.length} rules)`));
+      }
+    } else {
+      process.stdout.write(content);
+    }
+  });
+}
+
+async function analyzeReviewRisk(repoUrl, range, options, command) {
+  try {
+    ReviewRiskAnalyzer.parseRange(range);
+  } catch (error) {
+    console.error(chalk.red(`❌ Error: ${error.message}`));
+    process.exit(1);
+  }
+  
+  let failed = [];
+  await withRepository(repoUrl, options, async (repoPath) => {
+    options = await applyConfigFile(options, command, repoPath);
+    const identityResolver = await loadIdentityResolver(options, repoPath);
+    const reviewRiskAnalyzer = new ReviewRiskAnalyzer(repoPath, {
+      quiet: options.quiet,
+      identityResolver,
+      authorThreshold: options.authorThreshold,
+      inactiveAfter: options.inactiveAfter,
+      departed: options.departed,
+      ignoreAuthors: options.ignoreAuthors,
+      analyzerOptions: { cache: createBlameCache(options) }
     });
     
-    // Set up event listeners for authorship analyzer
-    analyzer.on('info', (message) => {
+    reviewRiskAnalyzer.on('info', (message) => {
       if (!options.quiet) {
         console.log(message);
       }
     });
     
-    analyzer.on('warning', (message) => {
+    reviewRiskAnalyzer.on('warning', (message) => {
       if (!(options.quiet && options.json)) {
         console.warn(message);
       }
     });
     
-    analyzer.on('progress', (data) => {
+    reviewRiskAnalyzer.on('progress', (data) => {
       if (!options.quiet) {
-        process.stdout.write(`\r🔍 Analyzing: [${data.processed}/${data.total}] ${data.progress}% | ${data.file.substring(0, 50)}${data.file.length > 50 ? '...' : ''} | ETA: ${data.eta}s`);
+        process.stdout.write(`\r🔍 Blaming: [${data.processed}/${data.total}] ${data.file.substring(0, 50)}${data.file.length > 50 ? '...' : ''}`);
       }
     });
     
-    const analysisData = await analyzer.analyzeAuthorship();
+    const review = await reviewRiskAnalyzer.analyze(range);
+    
+    if (options.json) {
+      printJson(review, options);
+    } else {
+      displayReviewRisk(review, options);
+    }
     
-    const calculator = new BusFactorCalculator({ quiet: options.quiet });
+    if (options.failOnRisk) {
+      const limit = RISK_LEVELS.indexOf(options.failOnRisk);
+      failed = review.files.filter(file => RISK_LEVELS.indexOf(file.risk) >= limit);
+    }
+  });
+  
+  if (failed.length > 0) {
+    enforceQualityGate([`${failed.length} changed file(s) at or above ${options.failOnRisk} risk: ${failed.map(file => file.file).join(', ')}`]);
+  }
+}
+
+async function analyzeTimeline(repoUrl, options, command) {
+  await withRepository(repoUrl, options, async (repoPath) => {
+    options = await applyConfigFile(options, command, repoPath);
+    const identityResolver = await loadIdentityResolver(options, repoPath);
+    const timelineAnalyzer = new TimelineAnalyzer(repoPath, {
+      quiet: options.quiet,
+      method: options.method,
+      interval: options.interval,
+      every: options.every,
+      ref: options.ref,
+      analyzerOptions: analyzerOptions({ ...options, identityResolver }),
+      calculatorOptions: calculatorOptions(options)
+    });
     
-    // Set up event listeners for bus factor calculator
-    calculator.on('info', (message) => {
+    timelineAnalyzer.on('info', (message) => {
       if (!options.quiet) {
         console.log(message);
       }
     });
     
-    calculator.on('warning', (message) => {
+    timelineAnalyzer.on('warning', (message) => {
       if (!(options.quiet && options.json)) {
         console.warn(message);
       }
     });
     
-    calculator.on('progress', (data) => {
+    timelineAnalyzer.on('progress', (data) => {
       if (!options.quiet) {
-        process.stdout.write(`\r${data}`);
+        process.stdout.write(`\r⏳ Sampling: [${data.processed}/${data.total}] ${data.ref} (${data.date.substring(0, 10)})`);
       }
     });
     
-    const report = await calculator.calculate(options.method || 'abf', analysisData.fileAuthorship, analysisData, repoUrl);
+    const timeline = await timelineAnalyzer.analyze(repoUrl);
     
-    if (options.json && options.quiet) {
-      console.log(JSON.stringify(report));
-    } else if (options.json) {
-      console.log(JSON.stringify(report, null, 2));
+    if (options.json) {
+      printJson(timeline, options);
     } else {
-      displayReport(report, options);
+      displayTimeline(timeline, options);
     }
-    
+  });
+}
+
+async function analyzeBatch(csvPath, options, command) {
+  // Repositories are cloned later, so only --config and the working directory are searched
+  try {
+    options = await applyConfigFile(options, command);
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Error: ${error.message}`));
+    process.exit(1);
+  }
+  
+  const batchAnalyzer = new BatchAnalyzer({
+    quiet: options.quiet,
+    method: options.method,
+    concurrency: options.concurrency,
+    analyzerOptions: analyzerOptions(options),
+    calculatorOptions: calculatorOptions(options)
+  });
+  
+  // Interrupting the batch removes every clone made so far
+  activeGitHandler = new GitHandler({ quiet: true, tempDir: batchAnalyzer.tempDir });
+  
+  batchAnalyzer.on('info', (message) => {
     if (!options.quiet) {
-      console.log(chalk.gray('\n🧹 Cleaning up temporary files...'));
+      console.log(message);
     }
-    await gitHandler.cleanup();
+  });
+  
+  batchAnalyzer.on('warning', (message) => {
     if (!options.quiet) {
-      console.log(chalk.green('✅ Cleanup complete!'));
+      console.warn(message);
+    }
+  });
+  
+  batchAnalyzer.on('progress', (data) => {
+    if (!options.quiet) {
+      const status = data.failed ? chalk.red('failed') : chalk.green('done');
+      console.log(`📦 [${data.processed}/${data.total}] ${status} ${data.name.substring(0, 50)}`);
+    }
+  });
+  
+  try {
+    if (!options.quiet) {
+      console.log(chalk.blue.bold('\n🚌 Bus Factor Analyzer\n'));
+      console.log(chalk.gray('=' .repeat(60)));
     }
     
-  } catch (error) {
-    if (options.json && options.quiet) {
-      console.log(JSON.stringify({ error: error.message }));
-    } else {
-      console.error(chalk.red(`\n❌ Error: ${error.message}`));
+    const entries = await BatchAnalyzer.readRepositoryList(csvPath);
+    const results = await batchAnalyzer.analyze(entries);
+    const output = BatchAnalyzer.formatResults(results, options.format);
+    
+    if (options.output) {
+      await writeFile(options.output, output);
       if (!options.quiet) {
-        console.log(chalk.gray('\n🧹 Cleaning up temporary files...'));
+        console.log(chalk.green(`✅ Results written to ${options.output}`));
       }
+    } else {
+      process.stdout.write(output);
     }
-    await gitHandler.cleanup();
-    if (!options.quiet && !(options.json && options.quiet)) {
-      console.log(chalk.green('✅ Cleanup complete!'));
+  } catch (error) {
+    console.error(chalk.red(`\n❌ Error: ${error.message}`));
+    await activeGitHandler.cleanup();
+    process.exit(1);
+  }
+}
+
+async function readReport(reportPath) {
+  try {
+    return JSON.parse(await readFile(reportPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read report "${reportPath}": ${error.message}`);
+  }
+}
+
+async function validateReportFile(reportPath, options) {
+  let report;
+  try {
+    report = await readReport(reportPath);
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+  
+  const result = validateReport(report, options.method);
+  
+  if (options.json) {
+    printJson({ file: reportPath, ...result }, options);
+  } else if (!options.quiet) {
+    if (result.valid) {
+      console.log(chalk.green(`✅ ${reportPath} is a valid ${result.method.toUpperCase()} report`));
+    } else {
+      const schemaName = result.method ? `${result.method.toUpperCase()} report schema` : 'report schemas';
+      console.log(chalk.red(`❌ ${reportPath} does not match the ${schemaName}:`));
+      result.errors.forEach(error => console.log(`  - ${error}`));
     }
+  }
+  
+  if (!result.valid) {
     process.exit(1);
   }
 }
 
-function displayReport(report, options) {
+async function compareReports(oldPath, newPath, options) {
+  let diff;
+  try {
+    const reports = [];
+    for (const reportPath of [oldPath, newPath]) {
+      const report = await readReport(reportPath);
+      const validation = validateReport(report);
+      if (!validation.valid) {
+        throw new Error(`${reportPath} is not a valid report:\n${validation.errors.map(error => `  - ${error}`).join('\n')}`);
+      }
+      reports.push(report);
+    }
+    diff = diffReports(reports[0], reports[1]);
+  } catch (error) {
+    console.error(chalk.red(`❌ ${error.message}`));
+    process.exit(1);
+  }
+  
+  if (options.json) {
+    printJson(diff, options);
+  } else {
+    displayDiff(diff, options);
+  }
+}
+
+function riskColor(risk) {
+  return risk === 'CRITICAL' ? chalk.red :
+         risk === 'HIGH' ? chalk.yellow :
+         risk === 'MODERATE' ? chalk.blue :
+         chalk.green;
+}
+
+function displayReport(input, options, title = 'Analysis Results') {
   if (options.quiet) {
-    console.log(report.summary.busFactor);
+    console.log(input.summary.busFactor);
     return;
   }
   
-  console.log(chalk.blue.bold('\n📊 Analysis Results\n'));
+  const report = withReportDefaults(input);
+  
+  console.log(chalk.blue.bold(`\n📊 ${title}\n`));
   
   console.log(chalk.white.bold('Summary:'));
   console.log(`  Bus Factor: ${chalk.yellow.bold(report.summary.busFactor)}`);
   console.log(`  Total Files: ${report.summary.totalFiles}`);
   console.log(`  Total Contributors: ${report.summary.totalContributors}`);
-  console.log(`  Critical Contributors: ${report.summary.criticalContributors.join(', ')}\n`);
+  console.log(`  Critical Contributors: ${formatCriticalContributors(report)}`);
+  if (report.contributorActivity) {
+    const { knowledgeLost } = report.contributorActivity;
+    console.log(`  Knowledge Already Lost: ${knowledgeLost.count} files (${(knowledgeLost.ratio * 100).toFixed(2)}%) whose owners have all left`);
+  }
+  console.log();
   
   if (!options.summary) {
     console.log(chalk.white.bold('Risk Assessment:'));
-    const riskColor = report.interpretation.risk === 'CRITICAL' ? chalk.red :
-                      report.interpretation.risk === 'HIGH' ? chalk.yellow :
-                      report.interpretation.risk === 'MODERATE' ? chalk.blue :
-                      chalk.green;
-    console.log(`  Risk Level: ${riskColor.bold(report.interpretation.risk)}`);
-    console.log(`  ${report.interpretation.message}\n`);
+    console.log(`  Risk Level: ${riskColor(report.interpretation.risk).bold(report.interpretation.risk)}`);
+    if (report.interpretation.message) {
+      console.log(`  ${report.interpretation.message}`);
+    }
+    console.log();
     
     console.log(chalk.white.bold('Top Contributors (by Degree of Authorship):'));
     report.topContributors.forEach((contributor, index) => {
@@ -192,9 +721,398 @@ function displayReport(report, options) {
       console.log(`     DOA: ${contributor.degreeOfAuthorship} (owns ~${contributor.filesOwned} files)`);
     });
     
-    console.log(chalk.gray(`\nAnalysis Method: ${report.analysis.method}`));
-    console.log(chalk.gray(`Ownerless Files Ratio: ${(report.analysis.finalOwnerlessRatio * 100).toFixed(2)}%\n`));
+    if (report.directoryBreakdown) {
+      displayDirectoryBreakdown(report.directoryBreakdown);
+    }
+    
+    if (report.contributorActivity) {
+      displayContributorActivity(report.contributorActivity);
+    }
+    
+    if (report.departureSimulation) {
+      displayDepartureSimulation(report.departureSimulation);
+    }
+    
+    console.log();
+    if (report.analysis.method) {
+      console.log(chalk.gray(`Analysis Method: ${report.analysis.method}`));
+    }
+    console.log(chalk.gray(`Ownerless Files Ratio: ${formatPercent(report.analysis.finalOwnerlessRatio)}\n`));
+  }
+}
+
+function displayCombinedReport(combined, options) {
+  const methods = Object.keys(combined.summary);
+  
+  if (options.quiet) {
+    methods.forEach(method => console.log(`${method.toUpperCase()} ${combined.summary[method].busFactor}`));
+    return;
+  }
+  
+  console.log(chalk.blue.bold('\n📊 Combined Analysis Results\n'));
+  
+  const rows = [
+    ['', ...methods.map(method => method.toUpperCase())],
+    ['Bus Factor', ...methods.map(method => String(combined.summary[method].busFactor))],
+    ['Risk Level', ...methods.map(method => combined.summary[method].risk)],
+    ['Ownerless Files Ratio', ...methods.map(method => formatPercent(combined.summary[method].finalOwnerlessRatio))]
+  ];
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+  console.log(chalk.white.bold('Summary:'));
+  rows.forEach(row => {
+    console.log(`  ${row.map((cell, column) => cell.padEnd(widths[column])).join('   ').trimEnd()}`);
+  });
+  console.log();
+  methods.forEach(method => {
+    console.log(`  Critical Contributors (${method.toUpperCase()}): ${combined.summary[method].criticalContributors.join(', ')}`);
+  });
+  
+  if (!options.summary) {
+    methods.forEach(method => displayReport(combined.reports[method], options, `${method.toUpperCase()} Results`));
+  }
+}
+
+function addQualityGateOptions(command) {
+  return command
+    .option('--fail-under <n>', `exit with code ${QUALITY_GATE_EXIT_CODE} when the bus factor is below n`, parsePositiveInteger)
+    .addOption(
+      new Option('--fail-on-risk <level>', `exit with code ${QUALITY_GATE_EXIT_CODE} when the risk is at or above this level`)
+        .choices(['CRITICAL', 'HIGH', 'MODERATE'])
+    );
+}
+
+function addActivityOptions(command) {
+  return command
+    .option('--inactive-after <days>', `days without a commit after which a contributor counts as having left (default: ${DEFAULT_INACTIVE_DAYS})`, parsePositiveInteger)
+    .option('--departed <names>', 'comma-separated contributors known to have left, regardless of their last commit', parseListOption);
+}
+
+function addAnalysisOptions(command) {
+  return addFilterOptions(addCalculatorOptions(addActivityOptions(addQualityGateOptions(
+    command
+      .option('-j, --json', 'output results as JSON')
+      .option('-q, --quiet', 'output only the bus factor value')
+      .option('-s, --summary', 'show only summary information')
+      .addOption(
+        new Option('-f, --format <format>', 'report format')
+          .choices(['text', 'json', 'html', 'markdown', 'csv', 'csv-contributors'])
+          .default('text')
+      )
+      .option('-o, --output <file>', 'write the report to a file instead of stdout')
+      .option('--by-directory [depth]', 'also report the bus factor of every directory down to the given depth (default: 1)', parsePositiveInteger)
+      .option('--simulate-departure <names>', 'also report what the given comma-separated contributors would leave behind (e.g., "Alice,Bob")', parseListOption)
+  ))));
+}
+
+function parseRatio(value) {
+  const ratio = parseFloat(value);
+  if (isNaN(ratio) || ratio <= 0 || ratio >= 1) {
+    throw new InvalidArgumentError('Must be a number between 0 and 1 (exclusive).');
+  }
+  return ratio;
+}
+
+function parseShare(value) {
+  const share = parseFloat(value);
+  if (isNaN(share) || share <= 0 || share > 1) {
+    throw new InvalidArgumentError('Must be a number greater than 0 and at most 1.');
+  }
+  return share;
+}
+
+function parsePositiveNumber(value) {
+  const number = parseFloat(value);
+  if (isNaN(number) || number <= 0) {
+    throw new InvalidArgumentError('Must be a positive number.');
+  }
+  return number;
+}
+
+function parsePositiveInteger(value) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new InvalidArgumentError('Must be a positive integer.');
+  }
+  return number;
+}
+
+function addCalculatorOptions(command) {
+  return command
+    .option('-t, --threshold <ratio>', 'ownerless file ratio that must be exceeded (default: 0.5)', parseRatio)
+    .option('--multi-author', 'keep every significant author of a file; a file is ownerless only when all of them are removed')
+    .option('--author-threshold <n>', 'minimum line share (default 0.25) or normalized DOA with --doa fritz (default 0.75) to count as a file author', parseShare);
+}
+
+function addDecayOptions(command) {
+  return command
+    .option('--decay-rate <rate>', 'JBF knowledge decay rate per year; a line\'s weight is multiplied by e^-rate per year of age (default: 0.5)', parsePositiveNumber)
+    .option('--time-window <days>', 'JBF history window in days (default: 548)', parsePositiveInteger);
+}
+
+function addAuthorshipOptions(command) {
+  return command
+    .option('-i, --ignore-extensions <extensions>', 'comma-separated list of file extensions to ignore (e.g., ".min.js,.test.js")')
+    .option('--ignore-dot-files-and-folders', 'ignore all files and folders starting with a dot (.)')
+    .option('--ignore-authors <authors>', 'comma-separated list of authors to exclude from analysis (e.g., "dependabot,bot-user")')
+    .option('--jobs <n>', 'number of git blame processes to run in parallel (default: 1)', parsePositiveInteger)
+    .option('--cache [dir]', 'reuse blame results of unchanged files from an on-disk cache (default: ~/.cache/bus-factor-analyzer)')
+    .option('--config <file>', 'read option defaults from this config file instead of .busfactorrc or busfactor.config.json');
+}
+
+function addFilterOptions(command) {
+  return addAuthorshipOptions(command)
+    .option('-r, --ref <ref>', 'branch, tag or commit to analyze instead of the current HEAD')
+    .option('--aliases <file>', 'JSON file mapping a contributor name to the names and emails they commit under')
+    .addHelpText('after', '\n<repo-url> may also be a local working-tree path or a file:// URL.');
+}
+
+function parseListOption(value) {
+  return value ? value.split(',').map(item => item.trim()) : [];
+}
+
+function parseAnalysisOptions(options, method) {
+  return {
+    ...options,
+    method,
+    ignoreExtensions: parseListOption(options.ignoreExtensions),
+    ignoreAuthors: parseListOption(options.ignoreAuthors)
+  };
+}
+
+function displayDirectoryBreakdown(breakdown) {
+  console.log(chalk.white.bold(`\nDirectory Breakdown (depth ${breakdown.depth}, riskiest first):`));
+  console.log(chalk.white.bold(`  ${'Directory'.padEnd(40)}${'Bus Factor'.padEnd(12)}${'Risk'.padEnd(10)}${'Files'.padEnd(8)}Critical Contributors`));
+  breakdown.directories.forEach(entry => {
+    const risk = riskColor(entry.risk)(entry.risk.padEnd(10));
+    const directory = entry.directory.length > 38 ? `${entry.directory.substring(0, 35)}...` : entry.directory;
+    console.log(`  ${directory.padEnd(40)}${String(entry.busFactor).padEnd(12)}${risk}${String(entry.totalFiles).padEnd(8)}${entry.criticalContributors.join(', ')}`);
+  });
+}
+
+// Marks critical contributors who have already left
+function formatCriticalContributors(report) {
+  const statuses = new Map(report.contributorActivity
+    ? report.contributorActivity.contributors.map(entry => [entry.author, entry.status])
+    : []);
+  return report.summary.criticalContributors
+    .map(author => statuses.has(author) && statuses.get(author) !== 'active' ? `${author} ${chalk.red(`(${statuses.get(author)})`)}` : author)
+    .join(', ');
+}
+
+function displayContributorActivity(activity) {
+  const departed = activity.departed.length > 0 ? `, departed: ${activity.departed.join(', ')}` : '';
+  console.log(chalk.white.bold(`\nContributor Activity (inactive after ${activity.inactiveAfter} days${departed}):`));
+  console.log(`  Bus Factor of the Current Team: ${chalk.yellow.bold(activity.currentBusFactor.busFactor)} (${riskColor(activity.currentBusFactor.risk)(activity.currentBusFactor.risk)})`);
+  console.log(`  Current Knowledge Holders: ${activity.currentKnowledgeHolders.length}, Already Left: ${activity.formerKnowledgeHolders.length}\n`);
+  
+  const byAuthor = new Map(activity.contributors.map(entry => [entry.author, entry]));
+  const format = (author) => {
+    const entry = byAuthor.get(author);
+    const lastCommit = entry.lastCommit ? entry.lastCommit.substring(0, 10) : 'none';
+    const status = entry.status === 'active' ? '' : `${entry.status}, `;
+    return `${author}  ${chalk.gray(`${status}owns ${entry.filesOwned} files, last commit ${lastCommit}, active in ${entry.activeMonths} months`)}`;
+  };
+  displayList('Current Knowledge Holders', activity.currentKnowledgeHolders, format, 10);
+  displayList('Knowledge Holders Who Left', activity.formerKnowledgeHolders, format, 10);
+}
+
+function displayDepartureSimulation(simulation) {
+  const remaining = simulation.remainingBusFactor;
+  console.log(chalk.white.bold(`\nDeparture Simulation (${simulation.departed.join(', ')}):`));
+  console.log(`  Orphaned Files: ${simulation.orphanedFiles.length}/${simulation.totalFiles} (${(simulation.ownerlessRatio * 100).toFixed(2)}%)`);
+  console.log(`  Remaining Bus Factor: ${chalk.yellow.bold(remaining.busFactor)} (${riskColor(remaining.risk)(remaining.risk)})`);
+  console.log(`  Critical Remaining Contributors: ${formatOwners(remaining.criticalContributors)}\n`);
+  
+  if (simulation.orphanedFiles.length === 0) {
+    return;
   }
+  displayList('Affected Directories', simulation.affectedDirectories, entry =>
+    `${entry.directory}  ${chalk.gray(`${entry.orphanedFiles}/${entry.files} files orphaned`)}`);
+  displayList('Orphaned Files and Successors', simulation.orphanedFiles, entry => {
+    const successor = entry.successor
+      ? `${entry.successor.author} (${(entry.successor.share * 100).toFixed(0)}% of the lines)`
+      : chalk.red('nobody');
+    return `${entry.file}  ${chalk.gray(`owned by ${entry.formerOwners.join(', ')} →`)} ${successor}`;
+  });
+}
+
+function displayTimeline(timeline, options) {
+  if (options.quiet) {
+    timeline.points.forEach(point => {
+      console.log(`${point.date.substring(0, 10)} ${point.busFactor}`);
+    });
+    return;
+  }
+  
+  console.log(chalk.blue.bold(`\n\n📈 Bus Factor Timeline (${timeline.method.toUpperCase()}, ${timeline.interval})\n`));
+  
+  if (timeline.points.length === 0) {
+    console.log(chalk.yellow('  No sample points found.\n'));
+    return;
+  }
+  
+  console.log(chalk.white.bold(`  ${'Date'.padEnd(12)}${'Ref'.padEnd(20)}${'Bus Factor'.padEnd(12)}${'Risk'.padEnd(10)}${'Files'.padEnd(8)}Contributors`));
+  timeline.points.forEach(point => {
+    const risk = riskColor(point.risk)(point.risk.padEnd(10));
+    console.log(`  ${point.date.substring(0, 10).padEnd(12)}${point.ref.substring(0, 18).padEnd(20)}${String(point.busFactor).padEnd(12)}${risk}${String(point.totalFiles).padEnd(8)}${point.totalContributors}`);
+  });
+  
+  const { from, to, delta } = timeline.trend;
+  const trendColor = delta > 0 ? chalk.green : delta < 0 ? chalk.red : chalk.gray;
+  console.log(`\n  Trend: ${from} → ${to} (${trendColor(delta > 0 ? `+${delta}` : String(delta))})\n`);
+}
+
+// Lists at most `limit` entries and says how many were left out
+function displayList(title, entries, format, limit = 20) {
+  console.log(chalk.white.bold(`${title} (${entries.length}):`));
+  entries.slice(0, limit).forEach(entry => console.log(`  ${format(entry)}`));
+  if (entries.length > limit) {
+    console.log(chalk.gray(`  ... and ${entries.length - limit} more (use --json for the full list)`));
+  }
+  console.log();
+}
+
+function displayCodeownersAudit(audit, options) {
+  if (options.quiet) {
+    console.log(`${audit.declaredBusFactor.busFactor} ${audit.inactiveOwnerFiles.length} ${audit.unownedFiles.length}`);
+    return;
+  }
+  
+  console.log(chalk.blue.bold(`\n📋 CODEOWNERS Audit (${audit.codeowners})\n`));
+  
+  console.log(chalk.white.bold('Summary:'));
+  console.log(`  Rules: ${audit.rules}`);
+  console.log(`  Files with a declared owner: ${audit.coveredFiles}/${audit.totalFiles}`);
+  console.log(`  Declared Bus Factor: ${chalk.yellow.bold(audit.declaredBusFactor.busFactor)} (computed from authorship: ${audit.computedBusFactor})`);
+  console.log(`  Critical Declared Owners: ${audit.declaredBusFactor.criticalOwners.join(', ')}\n`);
+  
+  displayList('Files whose declared owners wrote nothing', audit.inactiveOwnerFiles, entry =>
+    `${entry.file}  ${chalk.gray(`declared ${entry.declaredOwners.join(' ')}, written by ${entry.authors.join(', ') || 'nobody'}`)}`);
+  displayList('Files without a declared owner', audit.unownedFiles, file => file);
+  
+  if (audit.unresolvedOwners.length > 0) {
+    console.log(chalk.yellow(`⚠️  Owners without a matching alias handle or commit email: ${audit.unresolvedOwners.join(', ')}`));
+    console.log(chalk.gray('   Their files are left out of the "wrote nothing" check.\n'));
+  }
+}
+
+function displayReviewRisk(review, options) {
+  if (options.quiet) {
+    console.log(`${review.summary.risk} ${review.summary.flaggedFiles}`);
+    return;
+  }
+  
+  console.log(chalk.blue.bold(`\n\n🔎 Review Risk (${review.range})\n`));
+  
+  console.log(chalk.white.bold('Summary:'));
+  console.log(`  Risk Level: ${riskColor(review.summary.risk).bold(review.summary.risk)}`);
+  console.log(`  Changed Files: ${review.summary.changedFiles}`);
+  console.log(`  Flagged Files: ${review.summary.flaggedFiles}`);
+  console.log(`  Change Authors: ${formatOwners(review.changeAuthors)}\n`);
+  
+  if (review.files.length === 0) {
+    console.log(chalk.yellow('  No files changed in this range.\n'));
+    return;
+  }
+  
+  console.log(chalk.white.bold(`  ${'Risk'.padEnd(10)}${'File'.padEnd(40)}${'Owners'.padEnd(30)}Suggested Reviewers`));
+  review.files.forEach(entry => {
+    const risk = riskColor(entry.risk)(entry.risk.padEnd(10));
+    const file = entry.file.length > 38 ? `...${entry.file.slice(-35)}` : entry.file;
+    const owners = entry.authors
+      .filter(author => entry.owners.includes(author.author))
+      .map(author => `${author.author} ${(author.share * 100).toFixed(0)}%${author.inactive ? ' (inactive)' : ''}`)
+      .join(', ');
+    console.log(`  ${risk}${file.padEnd(40)}${(owners || '-').padEnd(30)}${entry.reviewers.join(', ') || '-'}`);
+    if (entry.risk !== 'LOW' && !options.summary) {
+      entry.reasons.forEach(reason => console.log(chalk.gray(`  ${''.padEnd(10)}↳ ${reason}`)));
+    }
+  });
+  const departed = review.departed.length > 0 ? `; departed: ${review.departed.join(', ')}` : '';
+  console.log(chalk.gray(`\n  Inactive: no commit in the ${review.inactiveAfter} days before the newest commit of ${review.head}${departed}\n`));
+}
+
+function formatDelta(delta) {
+  const color = delta > 0 ? chalk.green : delta < 0 ? chalk.red : chalk.gray;
+  return color(delta > 0 ? `+${delta}` : String(delta));
+}
+
+function formatOwners(owners) {
+  return owners.length > 0 ? owners.join(', ') : chalk.gray('(none)');
+}
+
+function displayDiff(diff, options) {
+  if (options.quiet) {
+    console.log(`${diff.busFactor.old} ${diff.busFactor.new} ${diff.busFactor.delta}`);
+    return;
+  }
+  
+  console.log(chalk.blue.bold('\n🔀 Report Comparison\n'));
+  
+  diff.warnings.forEach(warning => console.warn(chalk.yellow(`⚠️  ${warning}`)));
+  
+  const label = (info) => info.ref ? `${info.method} @ ${info.ref}` : info.method;
+  console.log(`  Old: ${label(diff.old)}`);
+  console.log(`  New: ${label(diff.new)}\n`);
+  
+  console.log(chalk.white.bold('Summary:'));
+  console.log(`  Bus Factor: ${diff.busFactor.old} → ${chalk.yellow.bold(diff.busFactor.new)} (${formatDelta(diff.busFactor.delta)})`);
+  console.log(`  Risk: ${riskColor(diff.risk.old)(diff.risk.old)} → ${riskColor(diff.risk.new)(diff.risk.new)}`);
+  console.log(`  Files: ${diff.files.old} → ${diff.files.new} (${diff.files.added} added, ${diff.files.removed} removed)\n`);
+  
+  console.log(chalk.white.bold('Critical Contributors:'));
+  if (diff.criticalContributors.added.length === 0 && diff.criticalContributors.removed.length === 0) {
+    console.log(chalk.gray('  No changes'));
+  }
+  diff.criticalContributors.added.forEach(author => console.log(chalk.red(`  + ${author} became critical`)));
+  diff.criticalContributors.removed.forEach(author => console.log(chalk.green(`  - ${author} is no longer critical`)));
+  
+  if (options.summary) {
+    console.log();
+    return;
+  }
+  
+  console.log(chalk.white.bold(`\nOwnership Changes (${diff.ownershipChanges.length}):`));
+  diff.ownershipChanges.forEach(({ file, oldOwners, newOwners }) => {
+    console.log(`  ${file}: ${formatOwners(oldOwners)} → ${formatOwners(newOwners)}`);
+  });
+  
+  console.log(chalk.white.bold(`\nNew Single-Author Files (${diff.newSingleOwnerFiles.length}):`));
+  diff.newSingleOwnerFiles.forEach(({ file, owner }) => {
+    console.log(`  ${file} (${owner})`);
+  });
+  console.log();
+}
+
+// Commands that calculator methods must not shadow
+const BUILTIN_COMMANDS = ['analyze', 'all', 'codeowners', 'review-risk', 'timeline', 'validate', 'diff', 'batch', 'help'];
+
+// Options only some built-in methods understand
+const METHOD_OPTIONS = {
+  abf: (command) => command.addOption(
+    new Option('--doa <model>', 'degree-of-authorship model: blamed lines, or the Fritz et al. formula over git log --follow')
+      .choices(['lines', 'fritz'])
+      .default('lines')
+  ),
+  jbf: addDecayOptions
+};
+
+function collectOption(value, previous = []) {
+  return [...previous, value];
+}
+
+// Calculator modules have to be loaded before the subcommands are defined,
+// so --calculator is read from the raw arguments ahead of parsing
+function getCalculatorPaths(argv) {
+  const paths = [];
+  argv.forEach((arg, index) => {
+    if (arg === '--calculator' && index + 1 < argv.length) {
+      paths.push(argv[index + 1]);
+    } else if (arg.startsWith('--calculator=')) {
+      paths.push(arg.slice('--calculator='.length));
+    }
+  });
+  return paths;
 }
 
 async function main() {
@@ -204,40 +1122,208 @@ async function main() {
   program
     .name('busfactor-analyzer')
     .description('A bus factor analyzer for Git repositories')
-    .version(version);
+    .version(version)
+    .option('--calculator <path>', 'load a custom bus factor calculator module (repeatable)', collectOption);
   
-  // ABF subcommand
-  program
-    .command('abf <repo-url>')
-    .description('Analyze bus factor using the ABF (Augmented Bus Factor) method')
-    .option('-j, --json', 'output results as JSON')
-    .option('-q, --quiet', 'output only the bus factor value')
-    .option('-s, --summary', 'show only summary information')
-    .option('-i, --ignore-extensions <extensions>', 'comma-separated list of file extensions to ignore (e.g., ".min.js,.test.js")')
-    .option('--ignore-dot-files-and-folders', 'ignore all files and folders starting with a dot (.)')
+  for (const modulePath of getCalculatorPaths(process.argv)) {
+    try {
+      const method = await loadCalculator(modulePath);
+      if (BUILTIN_COMMANDS.includes(method)) {
+        throw new Error(`Calculator method "${method}" clashes with the ${method} command`);
+      }
+    } catch (error) {
+      console.error(chalk.red(`❌ Error: ${error.message}`));
+      process.exit(1);
+    }
+  }
+  
+  // One subcommand per registered calculation method
+  const methods = [];
+  for (const CalculatorClass of getRegisteredCalculators()) {
+    const { method } = CalculatorClass;
+    methods.push(method);
+    
+    const addMethodOptions = METHOD_OPTIONS[method] || (command => command);
+    addAnalysisOptions(addMethodOptions(
+      program
+        .command(`${method} <repo-url>`)
+        .description(CalculatorClass.description || `Analyze bus factor using the ${method.toUpperCase()} method`)
+    )).action((repoUrl, options, command) => {
+      analyzeBusFactor(repoUrl, parseAnalysisOptions(options, method), command);
+    });
+  }
+  
+  // Analyze subcommand: the method comes from --method or the config file
+  addAnalysisOptions(addDecayOptions(
+    program
+      .command('analyze <repo-url>')
+      .description('Analyze bus factor with the method from --method or the config file (default: abf)')
+      .addOption(
+        new Option('-m, --method <method>', 'calculation method')
+          .choices(methods)
+          .default('abf')
+      )
+      .addOption(
+        new Option('--doa <model>', 'ABF degree-of-authorship model')
+          .choices(['lines', 'fritz'])
+          .default('lines')
+      )
+  )).action((repoUrl, options, command) => {
+    analyzeBusFactor(repoUrl, parseAnalysisOptions(options, options.method), command);
+  });
+  
+  // All subcommand
+  addFilterOptions(addCalculatorOptions(addActivityOptions(addDecayOptions(addQualityGateOptions(
+    program
+      .command('all <repo-url>')
+      .description('Analyze bus factor with every method from a single authorship analysis')
+      .option('--methods <list>', 'comma-separated methods to run (default: all)')
+      .addOption(
+        new Option('--doa <model>', 'ABF degree-of-authorship model')
+          .choices(['lines', 'fritz'])
+          .default('lines')
+      )
+      .option('-j, --json', 'output results as JSON')
+      .option('-q, --quiet', 'output only the bus factor of each method')
+      .option('-s, --summary', 'show only the side-by-side summary')
+      .addOption(
+        new Option('-f, --format <format>', 'report format')
+          .choices(['text', 'json'])
+          .default('text')
+      )
+      .option('-o, --output <file>', 'write the report to a file instead of stdout')
+  ))))).action((repoUrl, options, command) => {
+    analyzeAllMethods(repoUrl, { ...parseAnalysisOptions(options), methods: parseListOption(options.methods) }, command);
+  });
+  
+  // CODEOWNERS subcommand
+  addFilterOptions(addCalculatorOptions(addDecayOptions(
+    program
+      .command('codeowners <repo-url>')
+      .description('Generate a CODEOWNERS file from the computed file ownership')
+      .addOption(
+        new Option('-m, --method <method>', 'calculation method that decides file ownership')
+          .choices(methods)
+          .default('abf')
+      )
+      .addOption(
+        new Option('--doa <model>', 'ABF degree-of-authorship model')
+          .choices(['lines', 'fritz'])
+          .default('lines')
+      )
+      .option('--dominance <ratio>', 'share of a directory\'s owned files one owner needs for a directory rule (default: 0.8)', parseShare)
+      .option('--backup-share <ratio>', 'share of the lines a further author needs to be listed as backup owner (default: 0.25)', parseShare)
+      .option('-o, --output <file>', 'write the CODEOWNERS file instead of printing it')
+      .option('--audit', 'compare the existing CODEOWNERS file with the computed authorship instead')
+      .option('--codeowners-file <file>', 'CODEOWNERS file to audit (default: .github/CODEOWNERS, CODEOWNERS or docs/CODEOWNERS in the repository)')
+      .option('-j, --json', 'output the audit as JSON')
+      .option('-q, --quiet', 'output only the CODEOWNERS content, or the declared bus factor and file counts of an audit')
+  ))).action((repoUrl, options, command) => {
+    generateCodeowners(repoUrl, parseAnalysisOptions(options, options.method), command);
+  });
+  
+  // Review risk subcommand
+  addActivityOptions(
+    program
+      .command('review-risk <repo-url> <range>')
+      .description('Flag changed files in a commit range (<base>..<head>) that only one or only departed contributors understand')
+  )
+    .option('--author-threshold <n>', 'minimum line share to count as an owner of a file (default: 0.25)', parseShare)
     .option('--ignore-authors <authors>', 'comma-separated list of authors to exclude from analysis (e.g., "dependabot,bot-user")')
-    .action((repoUrl, options) => {
-      const ignoreExtensions = options.ignoreExtensions ? options.ignoreExtensions.split(',').map(ext => ext.trim()) : [];
-      const ignoreAuthors = options.ignoreAuthors ? options.ignoreAuthors.split(',').map(author => author.trim()) : [];
-      analyzeBusFactor(repoUrl, { ...options, method: 'abf', ignoreExtensions, ignoreAuthors });
+    .option('--aliases <file>', 'JSON file mapping a contributor name to the names and emails they commit under')
+    .option('--cache [dir]', 'reuse blame results of unchanged files from an on-disk cache (default: ~/.cache/bus-factor-analyzer)')
+    .option('--config <file>', 'read option defaults from this config file instead of .busfactorrc or busfactor.config.json')
+    .addOption(
+      new Option('--fail-on-risk <level>', `exit with code ${QUALITY_GATE_EXIT_CODE} when a changed file is at or above this risk`)
+        .choices(['CRITICAL', 'HIGH'])
+    )
+    .option('-s, --summary', 'leave out the reason of each flagged file')
+    .option('-j, --json', 'output results as JSON')
+    .option('-q, --quiet', 'output only the overall risk and the number of flagged files')
+    .addHelpText('after', '\nOwnership is taken at <base>. For remote repositories use remote branches, e.g. origin/main..origin/feature.')
+    .action((repoUrl, range, options, command) => {
+      analyzeReviewRisk(repoUrl, range, parseAnalysisOptions(options), command);
     });
   
-  // JBF subcommand
+  // Timeline subcommand
+  addFilterOptions(addCalculatorOptions(addDecayOptions(
+    program
+      .command('timeline <repo-url>')
+      .description('Calculate the bus factor at sampled points in the commit history')
+      .addOption(
+        new Option('-m, --method <method>', 'calculation method')
+          .choices(methods)
+          .default('abf')
+      )
+      .addOption(
+        new Option('--doa <model>', 'ABF degree-of-authorship model')
+          .choices(['lines', 'fritz'])
+          .default('lines')
+      )
+      .addOption(
+        new Option('--interval <interval>', 'sample every N commits, months or tags')
+          .choices(TIMELINE_INTERVALS)
+          .default('monthly')
+      )
+      .option('--every <n>', 'sampling step (default: 100 for commits, 1 otherwise)', parsePositiveInteger)
+      .option('-j, --json', 'output results as JSON')
+      .option('-q, --quiet', 'output only dates and bus factor values')
+  ))).action((repoUrl, options, command) => {
+    analyzeTimeline(repoUrl, parseAnalysisOptions(options, options.method), command);
+  });
+  
+  // Validate subcommand
   program
-    .command('jbf <repo-url>')
-    .description('Analyze bus factor using the JBF (Jabrayilzade Bus Factor) method')
-    .option('-j, --json', 'output results as JSON')
-    .option('-q, --quiet', 'output only the bus factor value')
-    .option('-s, --summary', 'show only summary information')
-    .option('-i, --ignore-extensions <extensions>', 'comma-separated list of file extensions to ignore (e.g., ".min.js,.test.js")')
-    .option('--ignore-dot-files-and-folders', 'ignore all files and folders starting with a dot (.)')
-    .option('--ignore-authors <authors>', 'comma-separated list of authors to exclude from analysis (e.g., "dependabot,bot-user")')
-    .action((repoUrl, options) => {
-      const ignoreExtensions = options.ignoreExtensions ? options.ignoreExtensions.split(',').map(ext => ext.trim()) : [];
-      const ignoreAuthors = options.ignoreAuthors ? options.ignoreAuthors.split(',').map(author => author.trim()) : [];
-      analyzeBusFactor(repoUrl, { ...options, method: 'jbf', ignoreExtensions, ignoreAuthors });
+    .command('validate <report>')
+    .description('Check a JSON report against the bundled ABF/JBF report schema')
+    .addOption(
+      new Option('-m, --method <method>', 'schema to validate against (default: detected from the report)')
+        .choices(['abf', 'jbf'])
+    )
+    .option('-j, --json', 'output the validation result as JSON')
+    .option('-q, --quiet', 'no output, only the exit code')
+    .action((reportPath, options) => {
+      validateReportFile(reportPath, options);
+    });
+  
+  // Diff subcommand
+  program
+    .command('diff <old-report> <new-report>')
+    .description('Compare two JSON reports and show what changed')
+    .option('-j, --json', 'output the comparison as JSON')
+    .option('-q, --quiet', 'output only the old and new bus factor and the delta')
+    .option('-s, --summary', 'show only bus factor, risk and critical contributor changes')
+    .action((oldPath, newPath, options) => {
+      compareReports(oldPath, newPath, options);
     });
   
+  // Batch subcommand
+  addAuthorshipOptions(addCalculatorOptions(addDecayOptions(
+    program
+      .command('batch <csv>')
+      .description('Analyze every repository listed in a CSV file (name, repository url)')
+      .addOption(
+        new Option('-m, --method <method>', 'calculation method')
+          .choices(methods)
+          .default('abf')
+      )
+      .addOption(
+        new Option('--doa <model>', 'ABF degree-of-authorship model')
+          .choices(['lines', 'fritz'])
+          .default('lines')
+      )
+      .option('-c, --concurrency <n>', 'number of repositories analyzed at the same time', parsePositiveInteger, 2)
+      .addOption(
+        new Option('-f, --format <format>', 'output format of the results table')
+          .choices(['csv', 'json'])
+          .default('csv')
+      )
+      .option('-o, --output <file>', 'write the results table to a file instead of stdout')
+      .option('-q, --quiet', 'output only the results table')
+  ))).action((csvPath, options, command) => {
+    analyzeBatch(csvPath, parseAnalysisOptions(options, options.method), command);
+  });
+  
   program.parse();
 }
 
@@ -1,12 +1,31 @@
 import { EventEmitter } from 'events';
+import { DEFAULT_AUTHOR_SHARE, getFileAuthorsByShare, ownersOf } from './ownership.js';
 
 export class JBFBusFactorCalculator extends EventEmitter {
+  static method = 'jbf';
+  static description = 'Analyze bus factor using the JBF (Jabrayilzade Bus Factor) method';
+
   constructor(options = {}) {
     super();
     this.quiet = options.quiet || false;
     this.decayRate = options.decayRate || 0.5; // Exponential decay rate
     this.timeWindow = options.timeWindow || 548; // 1.5 years in days
     this.threshold = options.threshold || 0.5;
+    this.multiAuthor = options.multiAuthor || false;
+    this.authorThreshold = options.authorThreshold || DEFAULT_AUTHOR_SHARE;
+  }
+
+  async calculate(fileAuthorship, analysisData) {
+    return this.calculateJBF(fileAuthorship, analysisData);
+  }
+
+  // Commit history for every file of the analysis, read once so calculations
+  // over subsets of the files (e.g. per directory) can share it
+  async readHistory(fileAuthorship, analysisData) {
+    const referenceTime = analysisData.referenceDate ? new Date(analysisData.referenceDate).getTime() : Date.now();
+    return {
+      fileCommitData: await this.getFileCommitHistory(analysisData.repoPath, fileAuthorship, analysisData.ref, referenceTime, analysisData.identityResolver)
+    };
   }
 
   async calculateJBF(fileAuthorship, analysisData) {
@@ -16,18 +35,28 @@ export class JBFBusFactorCalculator extends EventEmitter {
       this.emit('info', `   📊 Step 1: Calculating time-weighted Degree of Authorship (DOA)...`);
     }
 
+    // Historical snapshots decay knowledge relative to their own date, not today
+    const referenceTime = analysisData.referenceDate ? new Date(analysisData.referenceDate).getTime() : Date.now();
+    
     // Get commit history with timestamps for knowledge decay
-    const fileCommitData = await this.getFileCommitHistory(analysisData.repoPath, fileAuthorship);
+    const { fileCommitData } = analysisData.fileCommitData
+      ? analysisData
+      : await this.readHistory(fileAuthorship, analysisData);
     
     // Calculate time-weighted DOA
-    const weightedFileAuthorship = this.applyKnowledgeDecay(fileAuthorship, fileCommitData);
+    const weightedFileAuthorship = this.applyKnowledgeDecay(fileAuthorship, fileCommitData, referenceTime);
     const fileOwnership = this.getFileOwnership(weightedFileAuthorship);
+    // In multi-author mode every author above the weighted share keeps the file
+    const fileAuthors = this.multiAuthor
+      ? getFileAuthorsByShare(weightedFileAuthorship, this.authorThreshold)
+      : null;
+    const removalOwnership = fileAuthors || fileOwnership;
     
     if (!this.quiet) {
       this.emit('info', `   📊 Step 2: Aggregating author contributions with decay weights...`);
     }
     
-    const authorDOA = this.calculateAuthorDOA(fileOwnership, weightedFileAuthorship);
+    const authorDOA = this.calculateAuthorDOA(removalOwnership, weightedFileAuthorship);
     const sortedAuthors = Object.entries(authorDOA)
       .sort((a, b) => b[1].weightedDOA - a[1].weightedDOA)
       .map(([author, data]) => ({ 
@@ -49,13 +78,7 @@ export class JBFBusFactorCalculator extends EventEmitter {
       removedAuthors.push(author);
       busFactor++;
 
-      let ownerlessFiles = 0;
-      for (const owner of Object.values(fileOwnership)) {
-        if (removedAuthors.includes(owner)) {
-          ownerlessFiles++;
-        }
-      }
-
+      const ownerlessFiles = this.countOwnerlessFiles(removalOwnership, removedAuthors);
       const ownerlessRatio = ownerlessFiles / totalFiles;
       const ownerlessPercent = (ownerlessRatio * 100).toFixed(1);
       
@@ -77,34 +100,38 @@ export class JBFBusFactorCalculator extends EventEmitter {
     return {
       busFactor,
       removedAuthors,
-      ownerlessRatio: this.calculateFinalOwnerlessRatio(fileOwnership, removedAuthors),
+      ownerlessRatio: this.calculateFinalOwnerlessRatio(removalOwnership, removedAuthors),
       authorDetails: sortedAuthors,
       analysisMetadata: {
         decayRate: this.decayRate,
         timeWindow: this.timeWindow,
-        threshold: this.threshold
+        threshold: this.threshold,
+        ...(this.multiAuthor && { authorThreshold: this.authorThreshold })
       },
       fileOwnership,
+      ...(fileAuthors && { fileAuthors }),
       weightedFileAuthorship
     };
   }
 
-  async getFileCommitHistory(repoPath, fileAuthorship) {
+  async getFileCommitHistory(repoPath, fileAuthorship, ref = null, referenceTime = Date.now(), identityResolver = null) {
     const simpleGit = (await import('simple-git')).default;
     const git = simpleGit(repoPath);
     
-    const currentDate = new Date();
+    const currentDate = new Date(referenceTime);
     const cutoffDate = new Date(currentDate.getTime() - this.timeWindow * 24 * 60 * 60 * 1000);
     
     const fileCommitData = {};
     
     try {
       // Get all commit data in one command - much more efficient than N+1 queries
+      // When a ref is analyzed only its own history counts, otherwise all branches do
       const allCommits = await git.raw([
         'log',
-        '--all',
+        ref || '--all',
         '--since=' + cutoffDate.toISOString(),
-        '--pretty=format:%H|%at|%an',
+        // %aN/%aE honor .mailmap, matching the names git blame reports
+        '--pretty=format:%H|%at|%aN|%aE',
         '--name-only',
         '--no-merges'
       ]);
@@ -123,7 +150,8 @@ export class JBFBusFactorCalculator extends EventEmitter {
         const lines = commitBlock.split('\n');
         if (lines.length < 2) continue;
         
-        const [hash, timestamp, author] = lines[0].split('|');
+        const [hash, timestamp, name, email] = lines[0].split('|');
+        const author = identityResolver ? identityResolver.resolve(name, email) : name;
         const timestampMs = parseInt(timestamp) * 1000;
         
         // Files changed in this commit (lines after the first)
@@ -154,9 +182,9 @@ export class JBFBusFactorCalculator extends EventEmitter {
     return fileCommitData;
   }
 
-  applyKnowledgeDecay(fileAuthorship, fileCommitData) {
+  applyKnowledgeDecay(fileAuthorship, fileCommitData, referenceTime = Date.now()) {
     const weightedAuthorship = {};
-    const currentTime = Date.now();
+    const currentTime = referenceTime;
     
     for (const [file, authors] of Object.entries(fileAuthorship)) {
       weightedAuthorship[file] = {};
@@ -232,7 +260,7 @@ export class JBFBusFactorCalculator extends EventEmitter {
         }
         
         // Track if this author owns the file
-        if (fileOwnership[file] === author) {
+        if (ownersOf(fileOwnership[file]).includes(author)) {
           authorDOA[author].filesOwned++;
         }
         
@@ -249,17 +277,25 @@ export class JBFBusFactorCalculator extends EventEmitter {
     return authorDOA;
   }
 
-  calculateFinalOwnerlessRatio(fileOwnership, removedAuthors) {
+  countOwnerlessFiles(fileOwnership, removedAuthors) {
     let ownerlessFiles = 0;
-    const totalFiles = Object.keys(fileOwnership).length;
     
+    // Files that never had an owner do not become ownerless, as in ABF
     for (const owner of Object.values(fileOwnership)) {
-      if (removedAuthors.includes(owner) || owner === null) {
+      const owners = ownersOf(owner);
+      if (owners.length > 0 && owners.every(author => removedAuthors.includes(author))) {
         ownerlessFiles++;
       }
     }
     
-    return ownerlessFiles / totalFiles;
+    return ownerlessFiles;
+  }
+
+  // Unlike the removal loop, the final ratio includes files without any owner
+  calculateFinalOwnerlessRatio(fileOwnership, removedAuthors) {
+    const owners = Object.values(fileOwnership);
+    const neverOwned = owners.filter(owner => ownersOf(owner).length === 0).length;
+    return (this.countOwnerlessFiles(fileOwnership, removedAuthors) + neverOwned) / owners.length;
   }
 
   generateReport(analysisData, jbfResult, repoUrl) {
@@ -284,6 +320,7 @@ export class JBFBusFactorCalculator extends EventEmitter {
 
     const report = {
       repositoryUrl: repoUrl,
+      ref: analysisData.ref || null,
       summary: {
         busFactor: jbfResult.busFactor,
         totalFiles: analysisData.totalFiles,
@@ -295,8 +332,10 @@ export class JBFBusFactorCalculator extends EventEmitter {
       analysis: {
         method: 'Jabrayilzade et al. - JBF (Time-Weighted Bus Factor)',
         description: 'Advanced method using knowledge decay and time-weighted contributions',
-        finalOwnerlessRatio: jbfResult.ownerlessRatio,
+        // 0/0 for repositories without files; the report stays valid JSON
+        finalOwnerlessRatio: Number.isNaN(jbfResult.ownerlessRatio) ? 0 : jbfResult.ownerlessRatio,
         threshold: jbfResult.analysisMetadata.threshold,
+        ownershipMode: jbfResult.fileAuthors ? 'multi' : 'single',
         metadata: {
           decayRate: jbfResult.analysisMetadata.decayRate,
           timeWindowDays: jbfResult.analysisMetadata.timeWindow,
@@ -306,7 +345,8 @@ export class JBFBusFactorCalculator extends EventEmitter {
       constants: {
         threshold: jbfResult.analysisMetadata.threshold,
         decayRate: jbfResult.analysisMetadata.decayRate,
-        timeWindow: jbfResult.analysisMetadata.timeWindow
+        timeWindow: jbfResult.analysisMetadata.timeWindow,
+        ...(jbfResult.analysisMetadata.authorThreshold && { authorThreshold: jbfResult.analysisMetadata.authorThreshold })
       },
       topContributors: jbfResult.authorDetails.slice(0, 10).map(({ author, doa, recentContributions }) => ({
         author,
@@ -315,6 +355,7 @@ export class JBFBusFactorCalculator extends EventEmitter {
         recentActivityScore: recentContributions.toFixed(0)
       })),
       fileOwnership: jbfResult.fileOwnership,
+      ...(jbfResult.fileAuthors && { fileAuthors: jbfResult.fileAuthors }),
       fileAuthorshipMap: fileAuthorshipWithPercentages,
       interpretation: this.interpretResults(jbfResult.busFactor),
       errors: analysisData.errors || []
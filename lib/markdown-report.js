@@ -0,0 +1,218 @@
+import { formatPercent, getAtRiskFiles, getDirectoryExposure, getMethodName, withReportDefaults } from './report-utils.js';
+
+const RISK_MARKERS = {
+  CRITICAL: '🔴',
+  HIGH: '🟠',
+  MODERATE: '🔵',
+  LOW: '🟢'
+};
+
+export const MARKDOWN_ROW_LIMIT = 10;
+
+// Escapes text for use in Markdown paragraphs and table cells
+export function escapeMarkdown(value) {
+  return String(value)
+    .replace(/([\\`*_[\]<>|])/g, '\\$1')
+    .replace(/\r?\n/g, ' ');
+}
+
+function code(value) {
+  // Pipes would still end a table cell inside a code span
+  return `\`${String(value).replace(/`/g, "'").replace(/\|/g, '\\|')}\``;
+}
+
+function table(headers, rows) {
+  return [
+    `| ${headers.join(' | ')} |`,
+    `| ${headers.map(() => '---').join(' | ')} |`,
+    ...rows.map(row => `| ${row.join(' | ')} |`)
+  ].join('\n');
+}
+
+function names(list) {
+  return list.length > 0 ? list.map(escapeMarkdown).join(', ') : '_none_';
+}
+
+function renderSummary(report) {
+  const { summary, analysis, interpretation } = report;
+  return [
+    '## Summary',
+    '',
+    table(['Metric', 'Value'], [
+      ['Bus Factor', `**${summary.busFactor}**`],
+      ['Risk', `${RISK_MARKERS[interpretation.risk] || ''} ${interpretation.risk}`.trim()],
+      ['Files', summary.totalFiles],
+      ['Contributors', summary.totalContributors],
+      ['Critical Contributors', names(summary.criticalContributors)],
+      ['Ownerless Files', formatPercent(analysis.finalOwnerlessRatio)]
+    ])
+  ].join('\n');
+}
+
+function renderRisk(report) {
+  const { interpretation } = report;
+  const lines = [];
+  if (interpretation.message) {
+    lines.push('', `> ${escapeMarkdown(interpretation.message)}`);
+  }
+  if (interpretation.recommendation) {
+    lines.push('', `**Recommendation:** ${escapeMarkdown(interpretation.recommendation)}`);
+  }
+  // The risk level itself is already in the summary table
+  return lines.length > 0 ? ['## Risk Assessment', ...lines].join('\n') : null;
+}
+
+function renderTopContributors(report) {
+  const weighted = getMethodName(report) === 'JBF';
+  const headers = ['#', 'Contributor', weighted ? 'Weighted DOA' : 'DOA', 'Files Owned'];
+  if (weighted) {
+    headers.push('Recent Activity');
+  }
+
+  const rows = report.topContributors.map((contributor, index) => {
+    const row = [index + 1, escapeMarkdown(contributor.author), contributor.degreeOfAuthorship, contributor.filesOwned];
+    if (weighted) {
+      row.push(contributor.recentActivityScore);
+    }
+    return row;
+  });
+
+  return ['## Top Contributors', '', rows.length > 0 ? table(headers, rows) : '_No contributors found._'].join('\n');
+}
+
+function renderDirectories(report) {
+  // The per-directory bus factor is used when --by-directory was given
+  if (report.directoryBreakdown) {
+    const rows = report.directoryBreakdown.directories.slice(0, MARKDOWN_ROW_LIMIT).map(entry => [
+      code(entry.directory),
+      entry.busFactor,
+      `${RISK_MARKERS[entry.risk] || ''} ${entry.risk}`.trim(),
+      entry.totalFiles,
+      names(entry.criticalContributors)
+    ]);
+    return [
+      '## Riskiest Directories',
+      '',
+      table(['Directory', 'Bus Factor', 'Risk', 'Files', 'Critical Contributors'], rows)
+    ].join('\n');
+  }
+
+  const rows = getDirectoryExposure(report)
+    .filter(entry => entry.atRiskFiles > 0)
+    .slice(0, MARKDOWN_ROW_LIMIT)
+    .map(entry => [code(entry.directory), `${entry.atRiskFiles}/${entry.files}`, formatPercent(entry.ratio)]);
+
+  return [
+    '## Riskiest Directories',
+    '',
+    'Share of files in each directory that only critical contributors own.',
+    '',
+    rows.length > 0 ? table(['Directory', 'At-Risk Files', 'Share'], rows) : '_No directory depends only on critical contributors._'
+  ].join('\n');
+}
+
+function renderFiles(report) {
+  const files = getAtRiskFiles(report);
+  const rows = files.slice(0, MARKDOWN_ROW_LIMIT).map(entry => [
+    code(entry.file),
+    names(entry.owners),
+    formatPercent(entry.topAuthorShare),
+    entry.lines
+  ]);
+
+  const lines = [
+    '## Riskiest Files',
+    '',
+    'Largest files that would be left without an owner if the critical contributors left.',
+    '',
+    rows.length > 0 ? table(['File', 'Owner', 'Top Author Share', 'Lines'], rows) : '_No files depend only on critical contributors._'
+  ];
+  if (files.length > MARKDOWN_ROW_LIMIT) {
+    lines.push('', `_…and ${files.length - MARKDOWN_ROW_LIMIT} more._`);
+  }
+  return lines.join('\n');
+}
+
+function renderContributorActivity(activity) {
+  const { knowledgeLost, currentBusFactor } = activity;
+  const holders = activity.contributors.filter(entry => entry.filesOwned > 0);
+  const rows = holders.slice(0, MARKDOWN_ROW_LIMIT).map(entry => [
+    escapeMarkdown(entry.author),
+    entry.status === 'active' ? 'active' : `**${entry.status}**`,
+    entry.filesOwned,
+    entry.lastCommit ? entry.lastCommit.substring(0, 10) : '_none_',
+    entry.activeMonths
+  ]);
+
+  const lines = [
+    '## Contributor Activity',
+    '',
+    `Contributors without a commit in ${activity.inactiveAfter} days count as inactive.`,
+    '',
+    table(['Metric', 'Value'], [
+      ['Knowledge Already Lost', `${knowledgeLost.count} files (${formatPercent(knowledgeLost.ratio)})`],
+      ['Bus Factor of the Current Team', `**${currentBusFactor.busFactor}**`],
+      ['Current Knowledge Holders', names(activity.currentKnowledgeHolders)],
+      ['Knowledge Holders Who Left', names(activity.formerKnowledgeHolders)]
+    ])
+  ];
+  if (rows.length > 0) {
+    lines.push('', table(['Contributor', 'Status', 'Files Owned', 'Last Commit', 'Active Months'], rows));
+  }
+  if (holders.length > MARKDOWN_ROW_LIMIT) {
+    lines.push('', `_…and ${holders.length - MARKDOWN_ROW_LIMIT} more._`);
+  }
+  return lines.join('\n');
+}
+
+function renderDepartureSimulation(simulation) {
+  const remaining = simulation.remainingBusFactor;
+  const lines = [
+    `## Departure Simulation: ${names(simulation.departed)}`,
+    '',
+    table(['Metric', 'Value'], [
+      ['Orphaned Files', `${simulation.orphanedFiles.length}/${simulation.totalFiles} (${formatPercent(simulation.ownerlessRatio)})`],
+      ['Remaining Bus Factor', `**${remaining.busFactor}**`],
+      ['Remaining Risk', `${RISK_MARKERS[remaining.risk] || ''} ${remaining.risk}`.trim()],
+      ['Critical Remaining Contributors', names(remaining.criticalContributors)]
+    ])
+  ];
+
+  if (simulation.orphanedFiles.length > 0) {
+    const rows = simulation.orphanedFiles.slice(0, MARKDOWN_ROW_LIMIT).map(entry => [
+      code(entry.file),
+      names(entry.formerOwners),
+      entry.successor ? `${escapeMarkdown(entry.successor.author)} (${formatPercent(entry.successor.share)})` : '_nobody_',
+      entry.lines
+    ]);
+    lines.push('', table(['File', 'Former Owner', 'Successor', 'Lines'], rows));
+    if (simulation.orphanedFiles.length > MARKDOWN_ROW_LIMIT) {
+      lines.push('', `_…and ${simulation.orphanedFiles.length - MARKDOWN_ROW_LIMIT} more._`);
+    }
+  }
+  return lines.join('\n');
+}
+
+export function renderMarkdownReport(input) {
+  const report = withReportDefaults(input);
+  const heading = report.repositoryUrl ? `# Bus Factor Report: ${escapeMarkdown(report.repositoryUrl)}` : '# Bus Factor Report';
+  const details = [];
+  if (report.analysis.method) {
+    details.push(`**Method:** ${escapeMarkdown(report.analysis.method)}`);
+  }
+  if (report.ref) {
+    details.push(`**Ref:** ${code(report.ref)}`);
+  }
+
+  return [
+    heading,
+    details.join(' · ') || null,
+    renderSummary(report),
+    renderRisk(report),
+    renderTopContributors(report),
+    renderDirectories(report),
+    renderFiles(report),
+    ...(report.contributorActivity ? [renderContributorActivity(report.contributorActivity)] : []),
+    ...(report.departureSimulation ? [renderDepartureSimulation(report.departureSimulation)] : [])
+  ].filter(Boolean).join('\n\n') + '\n';
+}
@@ -0,0 +1,27 @@
+// Default minimum share of a file's (weighted) lines for an author to count
+// as one of its owners in multi-author mode
+export const DEFAULT_AUTHOR_SHARE = 0.25;
+
+// Normalizes an ownership entry (single owner, null or list of authors) to a list
+export function ownersOf(entry) {
+  if (Array.isArray(entry)) {
+    return entry;
+  }
+  return entry ? [entry] : [];
+}
+
+// Lists every author holding at least `threshold` of a file's lines, largest share first
+export function getFileAuthorsByShare(fileAuthorship, threshold = DEFAULT_AUTHOR_SHARE) {
+  const fileAuthors = {};
+
+  for (const [file, authors] of Object.entries(fileAuthorship)) {
+    const totalLines = Object.values(authors).reduce((sum, lines) => sum + lines, 0);
+
+    fileAuthors[file] = totalLines === 0 ? [] : Object.entries(authors)
+      .filter(([, lines]) => lines / totalLines >= threshold)
+      .sort((a, b) => b[1] - a[1])
+      .map(([author]) => author);
+  }
+
+  return fileAuthors;
+}
@@ -0,0 +1,29 @@
+// Exit code used when an analysis succeeds but crosses a configured limit.
+// Distinct from 1, which means the analysis itself failed.
+export const QUALITY_GATE_EXIT_CODE = 2;
+
+// Risk levels from least to most severe
+export const RISK_LEVELS = ['LOW', 'MODERATE', 'HIGH', 'CRITICAL'];
+
+// Checks a report against --fail-under and --fail-on-risk
+export function evaluateQualityGate(report, limits = {}) {
+  const reasons = [];
+  const { busFactor } = report.summary;
+  const { risk } = report.interpretation;
+
+  if (limits.failUnder !== undefined && busFactor < limits.failUnder) {
+    reasons.push(`bus factor ${busFactor} is below the minimum of ${limits.failUnder}`);
+  }
+
+  if (limits.failOnRisk !== undefined) {
+    const limit = RISK_LEVELS.indexOf(limits.failOnRisk);
+    if (limit === -1) {
+      throw new Error(`Unknown risk level: ${limits.failOnRisk} (expected one of ${RISK_LEVELS.join(', ')})`);
+    }
+    if (RISK_LEVELS.indexOf(risk) >= limit) {
+      reasons.push(`risk level ${risk} is at or above ${limits.failOnRisk}`);
+    }
+  }
+
+  return { passed: reasons.length === 0, reasons };
+}
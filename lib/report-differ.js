@@ -0,0 +1,87 @@
+import { getFileOwners, getMethodName } from './report-utils.js';
+
+function describeReport(report) {
+  return {
+    repositoryUrl: report.repositoryUrl || null,
+    ref: report.ref || null,
+    method: getMethodName(report),
+    busFactor: report.summary.busFactor,
+    risk: report.interpretation.risk
+  };
+}
+
+function sameOwners(a, b) {
+  const sortedB = [...b].sort();
+  return a.length === b.length && [...a].sort().every((owner, index) => owner === sortedB[index]);
+}
+
+function authorCount(authorship) {
+  return Object.values(authorship).filter(({ lines }) => lines > 0).length;
+}
+
+// Compares two reports of the same repository, e.g. from two releases
+export function diffReports(oldReport, newReport) {
+  const warnings = [];
+  const oldInfo = describeReport(oldReport);
+  const newInfo = describeReport(newReport);
+
+  if (oldInfo.method !== newInfo.method) {
+    warnings.push(`Reports use different methods (${oldInfo.method} vs ${newInfo.method}), bus factors are not directly comparable`);
+  }
+  if (oldInfo.repositoryUrl && newInfo.repositoryUrl && oldInfo.repositoryUrl !== newInfo.repositoryUrl) {
+    warnings.push(`Reports are for different repositories (${oldInfo.repositoryUrl} vs ${newInfo.repositoryUrl})`);
+  }
+
+  const oldCritical = new Set(oldReport.summary.criticalContributors);
+  const newCritical = new Set(newReport.summary.criticalContributors);
+
+  const oldFiles = oldReport.fileAuthorshipMap || {};
+  const newFiles = newReport.fileAuthorshipMap || {};
+  const ownershipChanges = [];
+  const newSingleOwnerFiles = [];
+
+  // Only files present in both reports are compared; added files are counted separately
+  for (const [file, authorship] of Object.entries(newFiles)) {
+    if (!oldFiles[file]) {
+      continue;
+    }
+
+    const oldOwners = getFileOwners(oldReport, file);
+    const newOwners = getFileOwners(newReport, file);
+    if (!sameOwners(oldOwners, newOwners)) {
+      ownershipChanges.push({ file, oldOwners, newOwners });
+    }
+
+    if (authorCount(authorship) === 1 && authorCount(oldFiles[file]) > 1) {
+      newSingleOwnerFiles.push({ file, owner: Object.keys(authorship).find(author => authorship[author].lines > 0) });
+    }
+  }
+
+  return {
+    old: oldInfo,
+    new: newInfo,
+    busFactor: {
+      old: oldInfo.busFactor,
+      new: newInfo.busFactor,
+      delta: newInfo.busFactor - oldInfo.busFactor
+    },
+    risk: {
+      old: oldInfo.risk,
+      new: newInfo.risk,
+      changed: oldInfo.risk !== newInfo.risk
+    },
+    criticalContributors: {
+      added: [...newCritical].filter(author => !oldCritical.has(author)),
+      removed: [...oldCritical].filter(author => !newCritical.has(author))
+    },
+    files: {
+      old: Object.keys(oldFiles).length,
+      new: Object.keys(newFiles).length,
+      added: Object.keys(newFiles).filter(file => !oldFiles[file]).length,
+      removed: Object.keys(oldFiles).filter(file => !newFiles[file]).length
+    },
+    ownershipChanges,
+    newSingleOwnerFiles,
+    warnings
+  };
+}
@@ -0,0 +1,171 @@
+import { ownersOf } from './ownership.js';
+
+// Helpers shared by the report renderers (text, HTML, Markdown, CSV). They only read the
+// JSON report, so reports produced elsewhere can be rendered too.
+
+export function getMethodName(report) {
+  const method = report.analysis && report.analysis.method;
+  return typeof method === 'string' && method.includes('JBF') ? 'JBF' : 'ABF';
+}
+
+// Ratios a report does not have are shown as "-"
+export function formatPercent(ratio) {
+  return typeof ratio === 'number' ? `${(ratio * 100).toFixed(2)}%` : '-';
+}
+
+// Custom calculators only have to report summary.busFactor and
+// interpretation.risk. Renderers start from this copy, in which the other
+// summary fields they show are present (missing values are shown as "-");
+// they still check analysis.method and analysis.threshold before use.
+export function withReportDefaults(report) {
+  const summary = report.summary;
+  const analysis = report.analysis || {};
+  const interpretation = report.interpretation;
+  return {
+    ...report,
+    summary: {
+      ...summary,
+      totalFiles: summary.totalFiles === undefined ? '-' : summary.totalFiles,
+      totalContributors: summary.totalContributors === undefined ? '-' : summary.totalContributors,
+      criticalContributors: summary.criticalContributors || []
+    },
+    analysis: {
+      ...analysis,
+      finalOwnerlessRatio: analysis.finalOwnerlessRatio === undefined ? null : analysis.finalOwnerlessRatio
+    },
+    topContributors: report.topContributors || [],
+    fileAuthorshipMap: report.fileAuthorshipMap || {},
+    interpretation: {
+      ...interpretation,
+      message: interpretation.message || '',
+      recommendation: interpretation.recommendation || ''
+    }
+  };
+}
+
+// Every owner of a file: all significant authors in multi-author mode,
+// otherwise the primary owner (none for ownerless files)
+export function getFileOwners(report, file) {
+  if (report.fileAuthors && report.fileAuthors[file]) {
+    return ownersOf(report.fileAuthors[file]);
+  }
+  return ownersOf(report.fileOwnership ? report.fileOwnership[file] : null);
+}
+
+// Time-weighted lines for JBF reports, blamed lines otherwise
+export function getAuthorLines(entry) {
+  return entry.weightedLines !== undefined ? Number(entry.weightedLines) : entry.lines;
+}
+
+export function getFileLines(authorship) {
+  return Object.values(authorship).reduce((sum, { lines }) => sum + lines, 0);
+}
+
+// Per-contributor totals over all files, most lines first.
+// Unlike topContributors this covers every contributor.
+export function summarizeContributors(report) {
+  const contributors = new Map();
+  const contributor = (author) => {
+    if (!contributors.has(author)) {
+      contributors.set(author, { author, lines: 0, filesTouched: 0, filesOwned: 0 });
+    }
+    return contributors.get(author);
+  };
+
+  let totalLines = 0;
+  for (const [file, authors] of Object.entries(report.fileAuthorshipMap || {})) {
+    for (const [author, { lines }] of Object.entries(authors)) {
+      const entry = contributor(author);
+      entry.lines += lines;
+      entry.filesTouched++;
+      totalLines += lines;
+    }
+    for (const owner of getFileOwners(report, file)) {
+      contributor(owner).filesOwned++;
+    }
+  }
+
+  const critical = new Set(report.summary ? report.summary.criticalContributors : []);
+
+  return [...contributors.values()]
+    .map(entry => ({
+      ...entry,
+      share: totalLines > 0 ? entry.lines / totalLines : 0,
+      critical: critical.has(entry.author)
+    }))
+    .sort((a, b) => b.lines - a.lines || a.author.localeCompare(b.author));
+}
+
+// Nests the analyzed files into a directory tree; sizes are line counts
+export function buildDirectoryTree(report) {
+  const root = { name: '.', path: '', lines: 0, children: [] };
+
+  for (const [file, authorship] of Object.entries(report.fileAuthorshipMap || {})) {
+    const parts = file.split('/');
+    const lines = getFileLines(authorship);
+    let node = root;
+    node.lines += lines;
+
+    for (const [index, name] of parts.slice(0, -1).entries()) {
+      let child = node.children.find(entry => entry.children && entry.name === name);
+      if (!child) {
+        child = { name, path: parts.slice(0, index + 1).join('/'), lines: 0, children: [] };
+        node.children.push(child);
+      }
+      child.lines += lines;
+      node = child;
+    }
+
+    node.children.push({
+      name: parts[parts.length - 1],
+      path: file,
+      lines,
+      owners: getFileOwners(report, file)
+    });
+  }
+
+  return root;
+}
+
+// Files left without an owner once the critical contributors are gone,
+// largest first
+export function getAtRiskFiles(report) {
+  const critical = new Set(report.summary ? report.summary.criticalContributors : []);
+
+  return Object.entries(report.fileAuthorshipMap || {})
+    .map(([file, authorship]) => {
+      const lines = getFileLines(authorship);
+      const topLines = Math.max(0, ...Object.values(authorship).map(entry => entry.lines));
+      return {
+        file,
+        owners: getFileOwners(report, file),
+        lines,
+        topAuthorShare: lines > 0 ? topLines / lines : 0
+      };
+    })
+    .filter(entry => entry.owners.length > 0 && entry.owners.every(owner => critical.has(owner)))
+    .sort((a, b) => b.lines - a.lines || a.file.localeCompare(b.file));
+}
+
+// Share of at-risk files per directory (first `depth` path segments), highest first
+export function getDirectoryExposure(report, depth = 1) {
+  const atRisk = new Set(getAtRiskFiles(report).map(entry => entry.file));
+  const directories = new Map();
+
+  for (const file of Object.keys(report.fileAuthorshipMap || {})) {
+    const parts = file.split('/').slice(0, -1);
+    const directory = parts.length > 0 ? parts.slice(0, depth).join('/') : '.';
+    if (!directories.has(directory)) {
+      directories.set(directory, { directory, files: 0, atRiskFiles: 0 });
+    }
+    const entry = directories.get(directory);
+    entry.files++;
+    if (atRisk.has(file)) {
+      entry.atRiskFiles++;
+    }
+  }
+
+  return [...directories.values()]
+    .map(entry => ({ ...entry, ratio: entry.atRiskFiles / entry.files }))
+    .sort((a, b) => b.ratio - a.ratio || b.files - a.files || a.directory.localeCompare(b.directory));
+}
@@ -0,0 +1,91 @@
+import Ajv from 'ajv';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SCHEMA_DIR = path.join(__dirname, '..', 'schemas');
+
+export const REPORT_SCHEMAS = {
+  abf: 'abf-report.schema.json',
+  jbf: 'jbf-report.schema.json'
+};
+
+const validators = {};
+
+function getValidator(method) {
+  if (!REPORT_SCHEMAS[method]) {
+    throw new Error(`No report schema for method: ${method}`);
+  }
+
+  if (!validators[method]) {
+    const ajv = new Ajv({ allErrors: true });
+    // ajv-formats is not a dependency, so the one format the schemas use is defined here
+    ajv.addFormat('date-time', value => !isNaN(Date.parse(value)));
+    const schema = fs.readJsonSync(path.join(SCHEMA_DIR, REPORT_SCHEMAS[method]));
+    validators[method] = ajv.compile(schema);
+  }
+
+  return validators[method];
+}
+
+// Formats one Ajv error as "/path message"
+export function formatSchemaError(error) {
+  const location = error.instancePath || '/';
+  if (error.keyword === 'additionalProperties') {
+    return `${location} must not have property "${error.params.additionalProperty}"`;
+  }
+  if (error.keyword === 'const') {
+    return `${location} ${error.message} "${error.params.allowedValue}"`;
+  }
+  if (error.keyword === 'enum') {
+    return `${location} ${error.message}: ${error.params.allowedValues.join(', ')}`;
+  }
+  return `${location} ${error.message}`;
+}
+
+// Infers the calculation method from the analysis block of a report
+export function detectReportMethod(report) {
+  const method = report && report.analysis && report.analysis.method;
+  if (typeof method !== 'string') {
+    return null;
+  }
+  if (method.includes('ABF')) {
+    return 'abf';
+  }
+  if (method.includes('JBF')) {
+    return 'jbf';
+  }
+  return null;
+}
+
+export function validateReport(report, method = detectReportMethod(report)) {
+  if (!method) {
+    return {
+      valid: false,
+      method: null,
+      errors: ['/analysis/method does not name a known calculation method (ABF or JBF)']
+    };
+  }
+
+  const validate = getValidator(method);
+  const valid = validate(report);
+
+  return {
+    valid,
+    method,
+    errors: valid ? [] : validate.errors.map(formatSchemaError)
+  };
+}
+
+// Throws with every schema violation listed, one per line
+export function assertValidReport(report, method) {
+  const result = validateReport(report, method);
+  if (!result.valid) {
+    const schemaName = result.method ? `${result.method.toUpperCase()} report schema` : 'report schemas';
+    throw new Error(`Report does not match the ${schemaName}:\n${result.errors.map(error => `  - ${error}`).join('\n')}`);
+  }
+  return result;
+}
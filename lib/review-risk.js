@@ -0,0 +1,198 @@
+import { EventEmitter } from 'events';
+import { AuthorshipAnalyzer } from './authorship-analyzer.js';
+import { DEFAULT_INACTIVE_DAYS, getContributorStatus, readCommitAuthors, summarizeActivity } from './contributor-activity.js';
+import { IdentityResolver } from './identity-resolver.js';
+import { DEFAULT_AUTHOR_SHARE } from './ownership.js';
+import { RISK_LEVELS } from './quality-gate.js';
+
+// Extra reviewers suggested for a risky file
+const MAX_REVIEWERS = 2;
+
+// Reviews a commit range against the authorship of the files it changes.
+// Ownership is taken at the base of the range: the people who understand
+// the code as it was before the change.
+export class ReviewRiskAnalyzer extends EventEmitter {
+  constructor(repoPath, options = {}) {
+    super();
+    this.repoPath = repoPath;
+    this.quiet = options.quiet || false;
+    this.identityResolver = options.identityResolver || new IdentityResolver();
+    this.authorThreshold = options.authorThreshold || DEFAULT_AUTHOR_SHARE;
+    this.inactiveAfter = options.inactiveAfter || DEFAULT_INACTIVE_DAYS;
+    this.departed = options.departed || [];
+    this.ignoreAuthors = options.ignoreAuthors || [];
+    this.analyzerOptions = options.analyzerOptions || {};
+  }
+
+  // Accepts base..head and base...head; an empty side means HEAD
+  static parseRange(range) {
+    const match = /^(.*?)(\.{2,3})(.*)$/.exec(range || '');
+    // Either side is passed to git, so it must not look like an option
+    if (!match || !match[1] || /^-|\s/.test(match[1]) || /^-|\s/.test(match[3])) {
+      throw new Error(`Invalid commit range "${range}" (expected <base>..<head>)`);
+    }
+    return { base: match[1], head: match[3] || 'HEAD', symmetric: match[2] === '...' };
+  }
+
+  async getChangedFiles({ base, head, symmetric }, git) {
+    const output = await git.raw(['diff', '--name-status', '-z', '-M', `${base}${symmetric ? '...' : '..'}${head}`]);
+    const fields = output.split('\0').filter(Boolean);
+    const changes = [];
+    for (let index = 0; index < fields.length;) {
+      const status = fields[index++][0];
+      // Renamed and copied files list the old path first
+      const previousPath = status === 'R' || status === 'C' ? fields[index++] : null;
+      const file = fields[index++];
+      changes.push({ file, status, previousPath });
+    }
+    return changes;
+  }
+
+  async getChangeAuthors({ base, head, symmetric }, git) {
+    const output = await git.raw(['log', '--format=%aN%x00%aE', `${base}${symmetric ? '...' : '..'}${head}`]);
+    return output.split('\n').filter(Boolean).map(line => {
+      const [name, email] = line.split('\0');
+      return { name, email };
+    });
+  }
+
+  assessFile(change, authors, activity, changeAuthors, referenceTime) {
+    const totalLines = Object.values(authors).reduce((sum, lines) => sum + lines, 0);
+    const ranked = Object.entries(authors)
+      .filter(([, lines]) => lines > 0)
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([author, lines]) => ({
+        author,
+        lines,
+        share: lines / totalLines,
+        lastCommit: activity[author] ? activity[author].lastCommit : null,
+        inactive: getContributorStatus(author, activity, {
+          inactiveAfter: this.inactiveAfter,
+          departed: this.departed,
+          referenceTime
+        }) !== 'active'
+      }));
+
+    const owners = ranked.filter(entry => entry.share >= this.authorThreshold);
+    const result = {
+      file: change.file,
+      status: change.status,
+      previousPath: change.previousPath,
+      owners: owners.map(entry => entry.author),
+      topAuthorShare: ranked.length > 0 ? ranked[0].share : 0,
+      authors: ranked,
+      risk: 'LOW',
+      reasons: [],
+      reviewers: []
+    };
+
+    if (change.status === 'A' || ranked.length === 0) {
+      result.reasons.push(change.status === 'A' ? 'new file' : 'no authorship at the base');
+      return result;
+    }
+
+    // Without a significant owner the knowledge is spread out, which is LOW
+    if (owners.length === 0) {
+      result.reasons.push('no author holds a significant share');
+      return result;
+    }
+
+    if (owners.every(entry => entry.inactive)) {
+      result.risk = 'CRITICAL';
+      result.reasons.push(`every owner has departed or is inactive for more than ${this.inactiveAfter} days`);
+    } else if (owners.length === 1) {
+      result.risk = 'HIGH';
+      result.reasons.push(`only ${owners[0].author} holds a significant share`);
+    }
+
+    if (result.risk !== 'LOW') {
+      result.reviewers = ranked
+        .filter(entry => !entry.inactive && !changeAuthors.includes(entry.author))
+        .slice(0, MAX_REVIEWERS)
+        .map(entry => entry.author);
+      if (result.reviewers.length === 0) {
+        result.reasons.push('no active author besides the change authors');
+      }
+    }
+
+    return result;
+  }
+
+  async analyze(rangeText) {
+    const range = ReviewRiskAnalyzer.parseRange(rangeText);
+    const analyzer = new AuthorshipAnalyzer(this.repoPath, {
+      ...this.analyzerOptions,
+      quiet: this.quiet,
+      identityResolver: this.identityResolver
+    });
+    analyzer.on('warning', (message) => this.emit('warning', message));
+    const git = analyzer.git;
+
+    // base...head compares against the merge base, so ownership is taken there
+    analyzer.ref = range.symmetric
+      ? (await git.raw(['merge-base', range.base, range.head])).trim()
+      : range.base;
+    if (analyzer.cache) {
+      await analyzer.loadBlobIds();
+    }
+
+    const changes = await this.getChangedFiles(range, git);
+    const changeIdentities = await this.getChangeAuthors(range, git);
+    const commits = await readCommitAuthors(this.repoPath, range.head);
+    this.identityResolver.learnHistory(commits);
+
+    if (!this.quiet) {
+      this.emit('info', `\n🔍 ${changes.length} files changed in ${rangeText}`);
+    }
+
+    // Blame everything first so identities resolve the same way in every file
+    const blamed = [];
+    for (const [index, change] of changes.entries()) {
+      const basePath = change.previousPath || change.file;
+      const identities = change.status === 'A' ? [] : await analyzer.blameIdentities(basePath);
+      this.identityResolver.learn(identities);
+      blamed.push(identities);
+      if (!this.quiet) {
+        this.emit('progress', { processed: index + 1, total: changes.length, file: change.file });
+      }
+    }
+
+    const activity = summarizeActivity(commits, this.identityResolver);
+    const changeAuthors = [...new Set(changeIdentities.map(({ name, email }) => this.identityResolver.resolve(name, email)))];
+    // Inactivity is measured from the newest commit of the range, so old ranges can be reviewed too
+    const referenceTime = commits.length > 0 ? Date.parse(commits[0].date) : Date.now();
+
+    const files = changes.map((change, index) => {
+      const authors = analyzer.resolveAuthors(blamed[index]);
+      for (const author of this.ignoreAuthors) {
+        delete authors[author];
+      }
+      return this.assessFile(change, authors, activity, changeAuthors, referenceTime);
+    });
+    // Riskiest first, so the files that need extra reviewers lead the list
+    files.sort((a, b) => RISK_LEVELS.indexOf(b.risk) - RISK_LEVELS.indexOf(a.risk) || a.file.localeCompare(b.file));
+
+    const counts = Object.fromEntries(RISK_LEVELS.map(level => [level, 0]));
+    for (const file of files) {
+      counts[file.risk]++;
+    }
+    const risk = [...RISK_LEVELS].reverse().find(level => counts[level] > 0) || 'LOW';
+
+    return {
+      range: rangeText,
+      base: range.base,
+      head: range.head,
+      changeAuthors,
+      inactiveAfter: this.inactiveAfter,
+      departed: this.departed,
+      summary: {
+        risk,
+        changedFiles: files.length,
+        flaggedFiles: files.filter(file => file.risk !== 'LOW').length,
+        byRisk: counts
+      },
+      files,
+      errors: analyzer.errors
+    };
+  }
+}
@@ -0,0 +1,140 @@
+import simpleGit from 'simple-git';
+import { EventEmitter } from 'events';
+import { AuthorshipAnalyzer } from './authorship-analyzer.js';
+import { BusFactorCalculator } from './bus-factor-calculator.js';
+
+export const TIMELINE_INTERVALS = ['commits', 'monthly', 'tags'];
+
+export class TimelineAnalyzer extends EventEmitter {
+  constructor(repoPath, options = {}) {
+    super();
+    this.repoPath = repoPath;
+    this.git = simpleGit(repoPath);
+    this.quiet = options.quiet || false;
+    this.method = options.method || 'abf';
+    this.interval = options.interval || 'monthly';
+    this.every = options.every || (this.interval === 'commits' ? 100 : 1);
+    this.ref = options.ref || 'HEAD';
+    this.analyzerOptions = options.analyzerOptions || {};
+    this.calculatorOptions = options.calculatorOptions || {};
+
+    if (!TIMELINE_INTERVALS.includes(this.interval)) {
+      throw new Error(`Unknown timeline interval: ${this.interval} (expected one of ${TIMELINE_INTERVALS.join(', ')})`);
+    }
+  }
+
+  async getCommitHistory() {
+    // First-parent history keeps the timeline on the mainline of the ref
+    const output = await this.git.raw(['log', '--first-parent', '--reverse', '--format=%H|%cI', this.ref]);
+    return output
+      .split('\n')
+      .filter(line => line.trim() !== '')
+      .map(line => {
+        const [hash, date] = line.split('|');
+        return { ref: hash, label: hash.substring(0, 7), date };
+      });
+  }
+
+  async getTags() {
+    const output = await this.git.raw([
+      'for-each-ref',
+      '--sort=creatordate',
+      '--format=%(refname:short)|%(creatordate:iso-strict)',
+      'refs/tags'
+    ]);
+    return output
+      .split('\n')
+      .filter(line => line.trim() !== '')
+      .map(line => {
+        const [tag, date] = line.split('|');
+        return { ref: tag, label: tag, date };
+      });
+  }
+
+  async getSamplePoints() {
+    if (this.interval === 'tags') {
+      return this.takeEvery(await this.getTags());
+    }
+
+    const commits = await this.getCommitHistory();
+
+    if (this.interval === 'commits') {
+      return this.takeEvery(commits);
+    }
+
+    // Monthly: the last commit of every month that saw activity
+    const lastCommitPerMonth = new Map();
+    for (const commit of commits) {
+      lastCommitPerMonth.set(commit.date.substring(0, 7), commit);
+    }
+    return this.takeEvery([...lastCommitPerMonth.values()]);
+  }
+
+  takeEvery(points) {
+    // Always keep the most recent point so the timeline ends at the present
+    return points.filter((point, index) =>
+      (points.length - 1 - index) % this.every === 0
+    );
+  }
+
+  async analyze(repoUrl) {
+    const samples = await this.getSamplePoints();
+
+    if (!this.quiet) {
+      this.emit('info', `\n📈 Sampling ${samples.length} points (${this.interval}, every ${this.every})...`);
+    }
+
+    // Sub-analyses stay silent, only timeline progress is reported
+    const calculator = new BusFactorCalculator({ ...this.calculatorOptions, quiet: true });
+    const points = [];
+
+    for (const [index, sample] of samples.entries()) {
+      if (!this.quiet) {
+        this.emit('progress', {
+          processed: index + 1,
+          total: samples.length,
+          ref: sample.label,
+          date: sample.date
+        });
+      }
+
+      const analyzer = new AuthorshipAnalyzer(this.repoPath, {
+        ...this.analyzerOptions,
+        quiet: true,
+        ref: sample.ref
+      });
+      analyzer.on('warning', (message) => this.emit('warning', message));
+
+      const analysisData = await analyzer.analyzeAuthorship();
+      analysisData.referenceDate = sample.date;
+
+      const report = await calculator.calculate(this.method, analysisData.fileAuthorship, analysisData, repoUrl);
+
+      points.push({
+        ref: sample.label,
+        date: sample.date,
+        busFactor: report.summary.busFactor,
+        risk: report.interpretation.risk,
+        totalFiles: report.summary.totalFiles,
+        totalContributors: report.summary.totalContributors,
+        criticalContributors: report.summary.criticalContributors
+      });
+    }
+
+    const first = points[0];
+    const last = points[points.length - 1];
+
+    return {
+      repositoryUrl: repoUrl,
+      method: this.method,
+      interval: this.interval,
+      every: this.every,
+      points,
+      trend: {
+        from: first ? first.busFactor : null,
+        to: last ? last.busFactor : null,
+        delta: first && last ? last.busFactor - first.busFactor : 0
+      }
+    };
+  }
+}
@@ -1,7 +1,14 @@
-import { describe, it, beforeEach } from 'node:test';
+import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert/strict';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import fs from 'fs-extra';
+import simpleGit from 'simple-git';
 import { ABFBusFactorCalculator } from '../lib/abf-bus-factor-calculator.js';
 
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
 describe('ABFBusFactorCalculator', () => {
   let calculator;
 
@@ -533,4 +540,249 @@ describe('ABFBusFactorCalculator', () => {
       assert.equal(result.busFactor, 2);
     });
   });
-});
\ No newline at end of file
+
+  describe('configurable threshold', () => {
+    it('should default to 0.5', () => {
+      assert.equal(calculator.threshold, 0.5);
+    });
+
+    it('should stop at the configured ownerless ratio', () => {
+      const strictCalculator = new ABFBusFactorCalculator({ threshold: 0.7 });
+      const fileAuthorship = {
+        'file1.js': { 'A': 100 },
+        'file2.js': { 'A': 100 },
+        'file3.js': { 'B': 100 },
+        'file4.js': { 'C': 100 }
+      };
+
+      // A alone orphans 50%, which exceeds 0.3 but not 0.7
+      assert.equal(new ABFBusFactorCalculator({ threshold: 0.3 }).calculateABF(fileAuthorship).busFactor, 1);
+      assert.equal(strictCalculator.calculateABF(fileAuthorship).busFactor, 2);
+    });
+
+    it('should record the threshold in the report', () => {
+      const strictCalculator = new ABFBusFactorCalculator({ threshold: 0.7 });
+      const report = strictCalculator.generateReport({
+        fileAuthorship: {},
+        totalAuthorship: {},
+        totalFiles: 0
+      }, { busFactor: 1, removedAuthors: [], ownerlessRatio: 0, authorDetails: [] });
+
+      assert.equal(report.analysis.threshold, 0.7);
+      assert.equal(report.constants.threshold, 0.7);
+      assert.ok(report.analysis.description.includes('>70%'));
+    });
+  });
+
+  describe('multi-author mode', () => {
+    let multiCalculator;
+
+    beforeEach(() => {
+      multiCalculator = new ABFBusFactorCalculator({ multiAuthor: true });
+    });
+
+    it('should keep co-owned files owned until all authors are removed', () => {
+      const fileAuthorship = {
+        'shared1.js': { 'Alice': 51, 'Bob': 49 },
+        'shared2.js': { 'Alice': 51, 'Bob': 49 },
+        'alice.js': { 'Alice': 100 },
+        'carol.js': { 'Carol': 100 }
+      };
+
+      // Single-owner mode loses three files as soon as Alice is removed
+      assert.equal(calculator.calculateABF(fileAuthorship).busFactor, 1);
+
+      const result = multiCalculator.calculateABF(fileAuthorship);
+
+      assert.deepEqual(result.fileAuthors['shared1.js'], ['Alice', 'Bob']);
+      assert.equal(result.fileOwnership['shared1.js'], 'Alice');
+      assert.equal(result.busFactor, 2);
+      assert.deepEqual(result.removedAuthors, ['Alice', 'Bob']);
+      assert.equal(result.ownerlessRatio, 0.75);
+    });
+
+    it('should honor the configured author share', () => {
+      const strictCalculator = new ABFBusFactorCalculator({ multiAuthor: true, authorThreshold: 0.6 });
+
+      const result = strictCalculator.calculateABF({ 'file.js': { 'Alice': 55, 'Bob': 45 } });
+
+      assert.deepEqual(result.fileAuthors, { 'file.js': [] });
+      assert.equal(result.busFactor, 0);
+    });
+
+    it('should count files authored per author as DOA', () => {
+      const doa = multiCalculator.calculateAuthorDOA({
+        'file1.js': ['Alice', 'Bob'],
+        'file2.js': ['Alice'],
+        'file3.js': []
+      });
+
+      assert.deepEqual(doa, { 'Alice': 2 / 3, 'Bob': 1 / 3 });
+    });
+
+    it('should keep every DOA author with --doa fritz', async () => {
+      const fritzCalculator = new ABFBusFactorCalculator({ doaModel: 'fritz', multiAuthor: true, authorThreshold: 0.7 });
+      fritzCalculator.getFileHistory = async () => ({
+        'file1.js': ['Alice', 'Bob', 'Bob', 'Bob']
+      });
+
+      const result = await fritzCalculator.calculateABFWithDOA({ 'file1.js': { 'Bob': 4 } }, { repoPath: '.' });
+
+      assert.deepEqual(result.fileAuthors, { 'file1.js': ['Alice', 'Bob'] });
+    });
+
+    it('should report file authors and the ownership mode', () => {
+      const fileAuthorship = { 'file1.js': { 'Alice': 60, 'Bob': 40 } };
+      const result = multiCalculator.calculateABF(fileAuthorship);
+
+      const report = multiCalculator.generateReport({
+        fileAuthorship,
+        totalAuthorship: { 'Alice': 60, 'Bob': 40 },
+        totalFiles: 1
+      }, result);
+
+      assert.equal(report.analysis.ownershipMode, 'multi');
+      assert.equal(report.constants.authorThreshold, 0.25);
+      assert.deepEqual(report.fileAuthors, { 'file1.js': ['Alice', 'Bob'] });
+      assert.equal(report.fileOwnership['file1.js'], 'Alice');
+    });
+  });
+
+  describe('Fritz et al. DOA model', () => {
+    let fritzCalculator;
+
+    beforeEach(() => {
+      fritzCalculator = new ABFBusFactorCalculator({ doaModel: 'fritz' });
+    });
+
+    it('should default to the line-based model', () => {
+      assert.equal(calculator.doaModel, 'lines');
+      assert.equal(fritzCalculator.doaModel, 'fritz');
+    });
+
+    it('should reject unknown DOA models', () => {
+      assert.throws(() => new ABFBusFactorCalculator({ doaModel: 'magic' }), /Unknown DOA model: magic/);
+    });
+
+    it('should compute FA, DL and AC from the change history', () => {
+      const doa = fritzCalculator.calculateFileDOA(['Alice', 'Bob', 'Alice', 'Alice']);
+
+      assert.equal(doa['Alice'].firstAuthorship, 1);
+      assert.equal(doa['Alice'].deliveries, 3);
+      assert.equal(doa['Alice'].acceptances, 1);
+      assert.equal(doa['Bob'].firstAuthorship, 0);
+      assert.equal(doa['Bob'].deliveries, 1);
+      assert.equal(doa['Bob'].acceptances, 3);
+
+      // 3.293 + 1.098 + 0.164 * 3 - 0.321 * ln(2)
+      assert.ok(Math.abs(doa['Alice'].doa - (3.293 + 1.098 + 0.492 - 0.321 * Math.log(2))) < 1e-9);
+      assert.equal(doa['Alice'].normalizedDOA, 1);
+      assert.ok(doa['Bob'].normalizedDOA < 0.75);
+    });
+
+    it('should only count authors above both DOA thresholds as owners', () => {
+      const fileDOA = {
+        'created.js': fritzCalculator.calculateFileDOA(['Alice', 'Bob']),
+        // A single change after many changes by others stays below 3.293
+        'drive-by.js': { 'Carol': { doa: 2.5, normalizedDOA: 1 } },
+        'empty.js': {}
+      };
+
+      const ownership = fritzCalculator.getFileOwnershipByDOA(fileDOA);
+
+      assert.deepEqual(ownership, {
+        'created.js': 'Alice',
+        'drive-by.js': null,
+        'empty.js': null
+      });
+    });
+
+    it('should calculate the bus factor from DOA ownership', async () => {
+      fritzCalculator.getFileHistory = async () => ({
+        'file1.js': ['Alice', 'Alice'],
+        'file2.js': ['Alice', 'Bob'],
+        'file3.js': ['Bob'],
+        'file4.js': ['Charlie']
+      });
+
+      const fileAuthorship = {
+        'file1.js': { 'Alice': 10 },
+        'file2.js': { 'Bob': 10 },
+        'file3.js': { 'Bob': 10 },
+        'file4.js': { 'Charlie': 10 }
+      };
+
+      const result = await fritzCalculator.calculateABFWithDOA(fileAuthorship, { repoPath: '.' });
+
+      // file2.js belongs to its creator Alice, not to Bob who holds the lines
+      assert.equal(result.fileOwnership['file2.js'], 'Alice');
+      assert.equal(result.busFactor, 2);
+      assert.deepEqual(result.removedAuthors, ['Alice', 'Bob']);
+      assert.ok(result.fileDOA['file2.js']['Bob']);
+    });
+
+    it('should include DOA constants in the report', () => {
+      const analysisData = {
+        fileAuthorship: { 'file1.js': { 'Alice': 1 } },
+        totalAuthorship: { 'Alice': 1 },
+        totalFiles: 1
+      };
+      const abfResult = {
+        busFactor: 1,
+        removedAuthors: ['Alice'],
+        ownerlessRatio: 1,
+        authorDetails: [{ author: 'Alice', doa: 1 }],
+        fileOwnership: { 'file1.js': 'Alice' },
+        fileDOA: { 'file1.js': fritzCalculator.calculateFileDOA(['Alice']) }
+      };
+
+      const report = fritzCalculator.generateReport(analysisData, abfResult);
+
+      assert.equal(report.analysis.doaModel, 'fritz');
+      assert.equal(report.constants.doaCoefficients.intercept, 3.293);
+      assert.equal(report.constants.doaNormalizedThreshold, 0.75);
+      assert.ok(report.fileDegreeOfAuthorship['file1.js']['Alice']);
+    });
+
+    describe('getFileHistory', () => {
+      let repoPath;
+
+      beforeEach(async () => {
+        repoPath = path.join(__dirname, '..', 'temp-doa-repo');
+        await fs.ensureDir(repoPath);
+        const git = simpleGit(repoPath);
+        await git.init();
+        await git.addConfig('user.email', 'test@example.com');
+
+        await git.addConfig('user.name', 'Alice');
+        await fs.writeFile(path.join(repoPath, 'old.js'), 'a\nb\nc\n');
+        await git.add('old.js');
+        await git.commit('create');
+
+        await git.addConfig('user.name', 'Bob');
+        await git.mv('old.js', 'new.js');
+        await git.commit('rename');
+
+        await fs.appendFile(path.join(repoPath, 'new.js'), 'd\n');
+        await git.add('new.js');
+        await git.commit('extend');
+      });
+
+      afterEach(async () => {
+        await fs.remove(repoPath);
+      });
+
+      it('should follow renames and list authors oldest first', async () => {
+        const history = await fritzCalculator.getFileHistory(repoPath, ['new.js']);
+
+        assert.deepEqual(history, { 'new.js': ['Alice', 'Bob', 'Bob'] });
+      });
+
+      it('should drop ignored authors', async () => {
+        const history = await fritzCalculator.getFileHistory(repoPath, ['new.js'], null, null, ['Bob']);
+
+        assert.deepEqual(history, { 'new.js': ['Alice'] });
+      });
+    });
+  });
+});
@@ -3,7 +3,9 @@ import assert from 'node:assert/strict';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import fs from 'fs-extra';
+import simpleGit from 'simple-git';
 import { AuthorshipAnalyzer } from '../lib/authorship-analyzer.js';
+import { BlameCache } from '../lib/blame-cache.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -77,6 +79,18 @@ describe('AuthorshipAnalyzer', () => {
       
       assert.deepEqual(files, []);
     });
+
+    it('should list files of the configured ref', async () => {
+      analyzer.ref = 'v1.0.0';
+      mockGit.raw.mock.mockImplementation(async (args) => {
+        assert.deepEqual(args, ['ls-tree', '-r', '--name-only', 'v1.0.0']);
+        return 'file1.js\nlib/file2.js\n';
+      });
+
+      const files = await analyzer.getFileList();
+
+      assert.deepEqual(files, ['file1.js', 'lib/file2.js']);
+    });
   });
 
   describe('getFileAuthorship', () => {
@@ -222,6 +236,35 @@ author-mail <alice@example.com>
       }
     });
 
+    it('should merge authors that share an author-mail', async () => {
+      mockGit.raw.mock.mockImplementation(async () => `author jane
+author-mail <jane@example.com>
+	line 1
+author Jane Doe
+author-mail <jane@example.com>
+	line 2
+author Jane Doe
+author-mail <jane@example.com>
+	line 3`);
+
+      const authorship = await analyzer.getFileAuthorship('test.js');
+
+      assert.deepEqual(authorship, { 'Jane Doe': 3 });
+    });
+
+    it('should blame against the configured ref', async () => {
+      analyzer.ref = 'release/2.x';
+      mockGit.raw.mock.mockImplementation(async (args) => {
+        assert.deepEqual(args, ['blame', '--line-porcelain', 'release/2.x', '--', 'test.js']);
+        return `author Alice
+	line 1`;
+      });
+
+      const authorship = await analyzer.getFileAuthorship('test.js');
+
+      assert.deepEqual(authorship, { 'Alice': 1 });
+    });
+
     it('should handle empty files', async () => {
       mockGit.raw.mock.mockImplementation(async () => '');
 
@@ -279,6 +322,7 @@ author Bob Johnson
       });
       
       assert.equal(result.totalFiles, 2);
+      assert.equal(result.ref, null);
       assert.ok(infoMessages.some(msg => 
         msg.includes('Found 2 files to analyze')
       ));
@@ -294,6 +338,38 @@ author Bob Johnson
       assert.equal(result.totalFiles, 0);
     });
 
+    it('should resolve identities across files and configured aliases', async () => {
+      analyzer = new AuthorshipAnalyzer(testRepoPath, {
+        aliases: { 'Jane Doe': ['jane', 'jd@corp.example'] }
+      });
+      analyzer.git = mockGit;
+
+      mockGit.raw.mock.mockImplementation(async (args) => {
+        if (args[0] === 'ls-files') {
+          return 'file1.js\nfile2.js';
+        } else if (args[2] === 'file1.js') {
+          return `author jane
+author-mail <jane@example.com>
+	line 1`;
+        }
+        return `author jane
+author-mail <jane@example.com>
+	line 1
+author J. Doe
+author-mail <jd@corp.example>
+	line 2`;
+      });
+
+      const result = await analyzer.analyzeAuthorship();
+
+      assert.deepEqual(result.fileAuthorship, {
+        'file1.js': { 'Jane Doe': 1 },
+        'file2.js': { 'Jane Doe': 2 }
+      });
+      assert.deepEqual(result.totalAuthorship, { 'Jane Doe': 3 });
+      assert.deepEqual(result.mergedIdentities, { 'Jane Doe': ['jane', 'J. Doe'] });
+    });
+
     it('should skip files that cannot be analyzed', async () => {
       const originalWarn = console.warn;
       console.warn = mock.fn();
@@ -324,5 +400,173 @@ author Bob Johnson
         console.warn = originalWarn;
       }
     });
+
+    describe('with parallel jobs', () => {
+      const files = ['a.js', 'b.js', 'c.js', 'd.js', 'e.js'];
+      // Later files finish first so out-of-order completion is exercised
+      const delays = { 'a.js': 30, 'b.js': 5, 'c.js': 20, 'd.js': 1, 'e.js': 10 };
+
+      function createMockGit(state) {
+        return {
+          raw: mock.fn(async (args) => {
+            if (args[0] === 'ls-files') {
+              return files.join('\n');
+            }
+            const file = args[2];
+            state.running++;
+            state.peak = Math.max(state.peak, state.running);
+            await new Promise(resolve => setTimeout(resolve, delays[file]));
+            state.running--;
+            if (file === 'c.js') {
+              throw new Error('Binary file');
+            }
+            return `author ${file === 'd.js' ? 'Bob' : 'Alice'}
+author-mail <${file === 'd.js' ? 'bob' : 'alice'}@example.com>
+	line 1`;
+          })
+        };
+      }
+
+      async function run(jobs) {
+        const state = { running: 0, peak: 0 };
+        const parallel = new AuthorshipAnalyzer(testRepoPath, { jobs });
+        parallel.git = createMockGit(state);
+        const events = [];
+        parallel.on('progress', (data) => events.push(['progress', data.processed, data.file]));
+        parallel.on('warning', (message) => events.push(['warning', message]));
+        const result = await parallel.analyzeAuthorship();
+        return { result, events, peak: state.peak };
+      }
+
+      it('should default to one job', () => {
+        assert.equal(new AuthorshipAnalyzer(testRepoPath).jobs, 1);
+      });
+
+      it('should produce the same events and authorship as a sequential run', async () => {
+        const sequential = await run(1);
+        const parallel = await run(3);
+
+        assert.deepEqual(parallel.events, sequential.events);
+        assert.deepEqual(parallel.result.fileAuthorship, sequential.result.fileAuthorship);
+        assert.deepEqual(Object.keys(parallel.result.fileAuthorship), files);
+        assert.deepEqual(parallel.result.errors, sequential.result.errors);
+      });
+
+      it('should keep at most the given number of blames running', async () => {
+        const sequential = await run(1);
+        const parallel = await run(3);
+
+        assert.equal(sequential.peak, 1);
+        assert.equal(parallel.peak, 3);
+      });
+    });
+
+    describe('with a blame cache', () => {
+      let cacheDir;
+
+      beforeEach(async () => {
+        cacheDir = path.join(__dirname, '..', 'temp-analyzer-cache');
+        const git = simpleGit(testRepoPath);
+        await git.init();
+        await git.addConfig('user.email', 'alice@example.com');
+        await git.addConfig('user.name', 'Alice');
+        await fs.writeFile(path.join(testRepoPath, 'a.js'), 'a\n');
+        await fs.writeFile(path.join(testRepoPath, 'b.js'), 'b\n');
+        await git.add(['a.js', 'b.js']);
+        await git.commit('add files');
+      });
+
+      afterEach(async () => {
+        await fs.remove(cacheDir);
+      });
+
+      async function analyzeWithCache() {
+        const cached = new AuthorshipAnalyzer(testRepoPath, { quiet: true, cache: new BlameCache({ dir: cacheDir }) });
+        const raw = cached.git.raw.bind(cached.git);
+        const blamed = [];
+        cached.git.raw = async (args) => {
+          if (args[0] === 'blame') {
+            blamed.push(args[args.length - 1]);
+          }
+          return raw(args);
+        };
+        const result = await cached.analyzeAuthorship();
+        return { result, blamed, cache: cached.cache };
+      }
+
+      it('should reuse blame results of unchanged files', async () => {
+        const first = await analyzeWithCache();
+        const second = await analyzeWithCache();
+
+        assert.deepEqual(first.blamed, ['a.js', 'b.js']);
+        assert.deepEqual(second.blamed, []);
+        assert.equal(second.cache.hits, 2);
+        assert.deepEqual(second.result.fileAuthorship, first.result.fileAuthorship);
+      });
+
+      it('should blame files whose content changed', async () => {
+        await analyzeWithCache();
+
+        const git = simpleGit(testRepoPath);
+        await git.addConfig('user.name', 'Bob');
+        await git.addConfig('user.email', 'bob@example.com');
+        await fs.appendFile(path.join(testRepoPath, 'b.js'), 'more\n');
+        await git.add('b.js');
+        await git.commit('change b');
+
+        const { blamed, result } = await analyzeWithCache();
+
+        assert.deepEqual(blamed, ['b.js']);
+        assert.deepEqual(result.fileAuthorship['b.js'], { Alice: 1, Bob: 1 });
+      });
+
+      it('should never cache files with uncommitted changes', async () => {
+        await fs.appendFile(path.join(testRepoPath, 'a.js'), 'local edit\n');
+
+        await analyzeWithCache();
+        const { blamed } = await analyzeWithCache();
+
+        assert.deepEqual(blamed, ['a.js']);
+      });
+
+      it('should not share entries between repositories', async () => {
+        const otherRepoPath = path.join(__dirname, '..', 'temp-other-repo');
+        const createRepo = async (repoPath, name) => {
+          await fs.ensureDir(repoPath);
+          const git = simpleGit(repoPath);
+          await git.init();
+          await git.addConfig('user.email', `${name.toLowerCase()}@example.com`);
+          await git.addConfig('user.name', name);
+          await fs.writeFile(path.join(repoPath, 'LICENSE'), 'MIT License\n');
+          await git.add('LICENSE');
+          await git.commit('add license');
+        };
+        const analyzeLicense = (repoPath) => new AuthorshipAnalyzer(repoPath, {
+          quiet: true,
+          cache: new BlameCache({ dir: cacheDir })
+        }).getFileAuthorship('LICENSE');
+
+        try {
+          await fs.remove(testRepoPath);
+          await createRepo(testRepoPath, 'Xavier');
+          await createRepo(otherRepoPath, 'Yvonne');
+
+          assert.deepEqual(await analyzeLicense(testRepoPath), { Xavier: 1 });
+          assert.deepEqual(await analyzeLicense(otherRepoPath), { Yvonne: 1 });
+        } finally {
+          await fs.remove(otherRepoPath);
+        }
+      });
+
+      it('should reuse the cache in getFileAuthorship', async () => {
+        await analyzeWithCache();
+
+        const cached = new AuthorshipAnalyzer(testRepoPath, { quiet: true, cache: new BlameCache({ dir: cacheDir }) });
+        const authors = await cached.getFileAuthorship('a.js');
+
+        assert.deepEqual(authors, { Alice: 1 });
+        assert.equal(cached.cache.hits, 1);
+      });
+    });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,129 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import fs from 'fs-extra';
+import simpleGit from 'simple-git';
+import { BatchAnalyzer } from '../lib/batch-analyzer.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('BatchAnalyzer', () => {
+  describe('constructor', () => {
+    it('should default to ABF with two repositories at a time', () => {
+      const batch = new BatchAnalyzer();
+      assert.equal(batch.method, 'abf');
+      assert.equal(batch.concurrency, 2);
+    });
+  });
+
+  describe('parseRepositoryList', () => {
+    it('should read name and URL columns by header', () => {
+      const entries = BatchAnalyzer.parseRepositoryList(
+        'name,repository url\n"Tool, the",https://example.com/tool.git\n'
+      );
+
+      assert.deepEqual(entries, [{ name: 'Tool, the', url: 'https://example.com/tool.git' }]);
+    });
+
+    it('should find the URL column in any position', () => {
+      const entries = BatchAnalyzer.parseRepositoryList('url,name\nhttps://example.com/a.git,A\n');
+      assert.deepEqual(entries, [{ name: 'A', url: 'https://example.com/a.git' }]);
+    });
+
+    it('should treat headerless files as name,url rows', () => {
+      const entries = BatchAnalyzer.parseRepositoryList('A,https://example.com/a.git\n,https://example.com/b.git\n');
+      assert.deepEqual(entries, [
+        { name: 'A', url: 'https://example.com/a.git' },
+        { name: 'https://example.com/b.git', url: 'https://example.com/b.git' }
+      ]);
+    });
+  });
+
+  describe('readRepositoryList', () => {
+    it('should report unreadable files', async () => {
+      await assert.rejects(
+        async () => await BatchAnalyzer.readRepositoryList(path.join(__dirname, 'missing.csv')),
+        /Could not read repository list/
+      );
+    });
+  });
+
+  describe('analyze', () => {
+    const testRepoPath = path.join(__dirname, '..', 'temp-batch-repo');
+    const tempDir = path.join(__dirname, '..', 'temp-batch');
+
+    before(async () => {
+      await fs.ensureDir(testRepoPath);
+      const git = simpleGit(testRepoPath);
+      await git.init();
+      await git.addConfig('user.email', 'alice@example.com');
+      await git.addConfig('user.name', 'Alice');
+      await fs.writeFile(path.join(testRepoPath, 'a.js'), 'a\n');
+      await git.add('a.js');
+      await git.commit('add a');
+    });
+
+    after(async () => {
+      await fs.remove(testRepoPath);
+      await fs.remove(tempDir);
+    });
+
+    it('should keep going when a repository fails', async () => {
+      const batch = new BatchAnalyzer({ quiet: true, concurrency: 2, tempDir });
+
+      const results = await batch.analyze([
+        { name: 'broken', url: 'ext::sh -c touch% /tmp/pwned' },
+        { name: 'local', url: testRepoPath },
+        { name: 'empty', url: '' }
+      ]);
+
+      assert.deepEqual(results.map(result => result.name), ['broken', 'local', 'empty']);
+      assert.match(results[0].error, /Invalid or potentially dangerous repository URL/);
+      assert.equal(results[0].busFactor, null);
+      assert.equal(results[1].busFactor, 1);
+      assert.equal(results[1].risk, 'CRITICAL');
+      assert.equal(results[1].error, null);
+      assert.equal(results[2].error, 'Missing repository URL');
+      assert.equal(await fs.pathExists(tempDir), false);
+    });
+
+    it('should report progress for every repository', async () => {
+      const batch = new BatchAnalyzer({ tempDir });
+      const progress = [];
+      batch.on('progress', (data) => progress.push(data));
+      batch.on('warning', () => {});
+
+      await batch.analyze([{ name: 'local', url: testRepoPath }, { name: 'empty', url: '' }]);
+
+      assert.deepEqual(progress.map(data => data.processed), [1, 2]);
+      assert.ok(progress.every(data => data.total === 2));
+      assert.ok(progress.some(data => data.failed));
+    });
+  });
+
+  describe('formatResults', () => {
+    const results = [
+      { name: 'a', url: 'https://example.com/a.git', busFactor: 2, risk: 'HIGH', error: null },
+      { name: 'b', url: 'https://example.com/b.git', busFactor: null, risk: null, error: 'clone failed, no access' }
+    ];
+
+    it('should write a CSV table', () => {
+      assert.equal(
+        BatchAnalyzer.formatResults(results, 'csv'),
+        'name,url,busFactor,risk,error\n' +
+        'a,https://example.com/a.git,2,HIGH,\n' +
+        'b,https://example.com/b.git,,,"clone failed, no access"\n'
+      );
+    });
+
+    it('should write JSON', () => {
+      assert.deepEqual(JSON.parse(BatchAnalyzer.formatResults(results, 'json')), results);
+    });
+
+    it('should reject unknown formats', () => {
+      assert.throws(() => BatchAnalyzer.formatResults(results, 'xml'), /Unknown batch output format: xml/);
+    });
+  });
+});
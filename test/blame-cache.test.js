@@ -0,0 +1,84 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import fs from 'fs-extra';
+import { BlameCache, BLAME_CACHE_VERSION, DEFAULT_CACHE_DIR } from '../lib/blame-cache.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('BlameCache', () => {
+  let cacheDir;
+  let cache;
+
+  beforeEach(() => {
+    cacheDir = path.join(__dirname, '..', 'temp-blame-cache');
+    cache = new BlameCache({ dir: cacheDir });
+  });
+
+  afterEach(async () => {
+    await fs.remove(cacheDir);
+  });
+
+  describe('constructor', () => {
+    it('should default to the user cache directory', () => {
+      assert.equal(new BlameCache().dir, DEFAULT_CACHE_DIR);
+      assert.ok(DEFAULT_CACHE_DIR.startsWith(os.homedir()));
+    });
+  });
+
+  describe('getKey', () => {
+    it('should be stable for the same blob, path and options', () => {
+      assert.equal(
+        cache.getKey('abc123', 'src/a.js', { mailmap: null }),
+        cache.getKey('abc123', 'src/a.js', { mailmap: null })
+      );
+    });
+
+    it('should change with blob, path and blame options', () => {
+      const key = cache.getKey('abc123', 'src/a.js', { mailmap: null });
+      assert.notEqual(cache.getKey('def456', 'src/a.js', { mailmap: null }), key);
+      assert.notEqual(cache.getKey('abc123', 'src/b.js', { mailmap: null }), key);
+      assert.notEqual(cache.getKey('abc123', 'src/a.js', { mailmap: 'fff000' }), key);
+    });
+
+    it('should include the cache version', () => {
+      assert.equal(typeof BLAME_CACHE_VERSION, 'number');
+    });
+  });
+
+  describe('get and set', () => {
+    it('should store and return identities', async () => {
+      const key = cache.getKey('abc123', 'a.js');
+      const identities = [{ name: 'Alice', email: '<alice@example.com>', lines: 3 }];
+
+      assert.equal(cache.has(key), false);
+      assert.equal(await cache.get(key), null);
+
+      assert.equal(await cache.set(key, identities), true);
+
+      assert.equal(cache.has(key), true);
+      assert.deepEqual(await cache.get(key), identities);
+      assert.equal(cache.hits, 1);
+      assert.equal(cache.misses, 1);
+    });
+
+    it('should treat corrupt entries as misses', async () => {
+      const key = cache.getKey('abc123', 'a.js');
+      await fs.outputFile(cache.getEntryPath(key), '{ broken');
+
+      assert.equal(await cache.get(key), null);
+      assert.equal(cache.misses, 1);
+    });
+
+    it('should not leave temporary files behind', async () => {
+      const key = cache.getKey('abc123', 'a.js');
+      await cache.set(key, []);
+
+      const files = await fs.readdir(path.dirname(cache.getEntryPath(key)));
+      assert.deepEqual(files, [`${key}.json`]);
+    });
+  });
+});
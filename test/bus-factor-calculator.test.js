@@ -1,6 +1,39 @@
-import { describe, it, beforeEach } from 'node:test';
+import { describe, it, beforeEach, afterEach } from 'node:test';
 import assert from 'node:assert/strict';
-import { BusFactorCalculator } from '../lib/bus-factor-calculator.js';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs-extra';
+import {
+  BusFactorCalculator,
+  getRegisteredCalculators,
+  loadCalculator,
+  registerCalculator,
+  unregisterCalculator
+} from '../lib/bus-factor-calculator.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+class ConstantCalculator {
+  static method = 'constant';
+  static description = 'Always reports a bus factor of 3';
+
+  constructor(options = {}) {
+    this.options = options;
+  }
+
+  calculate(fileAuthorship) {
+    return { busFactor: 3, files: Object.keys(fileAuthorship).length };
+  }
+
+  generateReport(analysisData, result, repoUrl) {
+    return { repositoryUrl: repoUrl, summary: { busFactor: result.busFactor, totalFiles: result.files }, interpretation: this.interpretResults(result.busFactor) };
+  }
+
+  interpretResults(busFactor) {
+    return { risk: 'MODERATE', message: `Bus factor ${busFactor}`, recommendation: 'None' };
+  }
+}
 
 describe('BusFactorCalculator', () => {
   let calculator;
@@ -37,6 +70,29 @@ describe('BusFactorCalculator', () => {
       assert.equal(report.analysis.method, 'Avelino et al. - ABF (Authorship-Based Factor)');
     });
 
+    it('should use the Fritz et al. DOA model when configured', async () => {
+      const fritzCalculator = new BusFactorCalculator({ doaModel: 'fritz' });
+      fritzCalculator.calculators.abf.getFileHistory = async () => ({
+        'file1.js': ['Alice'],
+        'file2.js': ['Bob', 'Alice']
+      });
+
+      const fileAuthorship = {
+        'file1.js': { 'Alice': 10 },
+        'file2.js': { 'Alice': 10 }
+      };
+      const analysisData = {
+        fileAuthorship,
+        totalAuthorship: { 'Alice': 20 },
+        totalFiles: 2
+      };
+
+      const report = await fritzCalculator.calculate('abf', fileAuthorship, analysisData);
+
+      assert.equal(report.analysis.doaModel, 'fritz');
+      assert.equal(report.fileOwnership['file2.js'], 'Bob');
+    });
+
     it('should throw error for unknown method', async () => {
       const fileAuthorship = {};
       const analysisData = {};
@@ -47,6 +103,137 @@ describe('BusFactorCalculator', () => {
     });
   });
 
+  describe('calculateAll', () => {
+    const fileAuthorship = {
+      'file1.js': { 'Alice': 100 },
+      'file2.js': { 'Bob': 100 }
+    };
+    const analysisData = {
+      fileAuthorship,
+      totalAuthorship: { 'Alice': 100, 'Bob': 100 },
+      totalFiles: 2
+    };
+
+    it('should run every method on the same analysis', async () => {
+      const combined = await calculator.calculateAll(undefined, fileAuthorship, analysisData, 'https://example.com/repo.git');
+
+      assert.deepEqual(combined.methods, ['abf', 'jbf']);
+      assert.deepEqual(Object.keys(combined.reports), ['abf', 'jbf']);
+      assert.equal(combined.repositoryUrl, 'https://example.com/repo.git');
+      assert.deepEqual(combined.reports.abf, await calculator.calculate('abf', fileAuthorship, analysisData, 'https://example.com/repo.git'));
+    });
+
+    it('should summarize each method side by side', async () => {
+      const combined = await calculator.calculateAll(['jbf', 'abf'], fileAuthorship, analysisData);
+
+      assert.deepEqual(Object.keys(combined.summary), ['jbf', 'abf']);
+      assert.deepEqual(combined.summary.abf, {
+        method: 'Avelino et al. - ABF (Authorship-Based Factor)',
+        busFactor: combined.reports.abf.summary.busFactor,
+        risk: combined.reports.abf.interpretation.risk,
+        criticalContributors: combined.reports.abf.summary.criticalContributors,
+        finalOwnerlessRatio: combined.reports.abf.analysis.finalOwnerlessRatio
+      });
+      assert.equal(combined.summary.jbf.busFactor, combined.reports.jbf.summary.busFactor);
+    });
+
+    it('should summarize reports without an analysis block', async () => {
+      registerCalculator(ConstantCalculator);
+      try {
+        const combined = await new BusFactorCalculator().calculateAll(['abf', 'constant'], fileAuthorship, analysisData);
+
+        assert.deepEqual(combined.summary.constant, {
+          method: 'constant',
+          busFactor: 3,
+          risk: 'MODERATE',
+          criticalContributors: [],
+          finalOwnerlessRatio: null
+        });
+      } finally {
+        unregisterCalculator('constant');
+      }
+    });
+
+    it('should reject unknown methods', async () => {
+      await assert.rejects(
+        () => calculator.calculateAll(['abf', 'unknown'], fileAuthorship, analysisData),
+        /Unknown bus factor calculation method: unknown/
+      );
+    });
+  });
+
+  describe('calculator registry', () => {
+    const modulePath = path.join(__dirname, '..', 'temp-calculator.js');
+
+    afterEach(async () => {
+      unregisterCalculator('constant');
+      unregisterCalculator('loaded');
+      await fs.remove(modulePath);
+    });
+
+    it('should register the built-in calculators', () => {
+      assert.deepEqual(getRegisteredCalculators().map(CalculatorClass => CalculatorClass.method), ['abf', 'jbf']);
+    });
+
+    it('should run registered calculators like the built-in ones', async () => {
+      registerCalculator(ConstantCalculator);
+      const custom = new BusFactorCalculator({ threshold: 0.6 });
+
+      assert.ok(custom.listAvailableMethods().includes('constant'));
+      assert.equal(custom.calculators.constant.options.threshold, 0.6);
+
+      const report = await custom.calculate('constant', { 'a.js': {} }, {}, 'https://example.com/repo.git');
+      assert.deepEqual(report, {
+        repositoryUrl: 'https://example.com/repo.git',
+        summary: { busFactor: 3, totalFiles: 1 },
+        interpretation: { risk: 'MODERATE', message: 'Bus factor 3', recommendation: 'None' }
+      });
+    });
+
+    it('should reject calculators missing part of the interface', () => {
+      class Incomplete {
+        static method = 'incomplete';
+        calculate() {}
+      }
+
+      assert.throws(() => registerCalculator(Incomplete), /Calculator "incomplete" does not implement generateReport, interpretResults/);
+    });
+
+    it('should reject invalid and duplicate method names', () => {
+      class Unnamed extends ConstantCalculator {
+        static method = 'Not Valid';
+      }
+
+      assert.throws(() => registerCalculator(Unnamed), /needs a static method name/);
+      assert.throws(() => registerCalculator(class extends ConstantCalculator { static method = 'abf'; }), /"abf" is already registered/);
+    });
+
+    it('should load a calculator module by path', async () => {
+      await fs.writeFile(modulePath, [
+        "import { ABFBusFactorCalculator } from './lib/abf-bus-factor-calculator.js';",
+        "export default class LoadedCalculator extends ABFBusFactorCalculator { static method = 'loaded'; }"
+      ].join('\n'));
+
+      assert.equal(await loadCalculator(modulePath), 'loaded');
+      assert.ok(new BusFactorCalculator().listAvailableMethods().includes('loaded'));
+    });
+
+    it('should report modules that cannot be loaded', async () => {
+      await assert.rejects(() => loadCalculator(path.join(__dirname, 'missing-calculator.js')), /Could not load calculator/);
+    });
+  });
+
+  describe('constructor', () => {
+    it('should pass threshold and decay parameters to the calculators', () => {
+      const configured = new BusFactorCalculator({ threshold: 0.6, decayRate: 0.2, timeWindow: 90 });
+
+      assert.equal(configured.calculators.abf.threshold, 0.6);
+      assert.equal(configured.calculators.jbf.threshold, 0.6);
+      assert.equal(configured.calculators.jbf.decayRate, 0.2);
+      assert.equal(configured.calculators.jbf.timeWindow, 90);
+    });
+  });
+
   describe('listAvailableMethods', () => {
     it('should list all available calculation methods', () => {
       const methods = calculator.listAvailableMethods();
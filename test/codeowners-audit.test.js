@@ -0,0 +1,180 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs-extra';
+import simpleGit from 'simple-git';
+import {
+  auditCodeowners,
+  findOwnerRule,
+  parseCodeowners,
+  patternToRegExp,
+  readCodeowners
+} from '../lib/codeowners-audit.js';
+import { createReport, entry } from './fixtures/reports.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('codeowners-audit', () => {
+  describe('parseCodeowners', () => {
+    it('should read patterns and owners and skip comments', () => {
+      const rules = parseCodeowners([
+        '# Default owners',
+        '* @alice',
+        '',
+        '/docs/ @bob docs@example.com # docs team',
+        '/my\\ file.md @carol',
+        '[Section]',
+        '/unowned/'
+      ].join('\n'));
+
+      assert.deepEqual(rules, [
+        { pattern: '*', owners: ['@alice'], line: 2 },
+        { pattern: '/docs/', owners: ['@bob', 'docs@example.com'], line: 4 },
+        { pattern: '/my file.md', owners: ['@carol'], line: 5 },
+        { pattern: '/unowned/', owners: [], line: 7 }
+      ]);
+    });
+  });
+
+  describe('patternToRegExp', () => {
+    const matches = (pattern, file) => patternToRegExp(pattern).test(file);
+
+    it('should match unanchored patterns at any depth', () => {
+      assert.ok(matches('*', 'src/a.js'));
+      assert.ok(matches('*.js', 'src/lib/a.js'));
+      assert.ok(!matches('*.js', 'src/a.ts'));
+      assert.ok(matches('apps/', 'src/apps/a.js'));
+      assert.ok(matches('lib', 'src/lib/a.js'));
+    });
+
+    it('should anchor patterns with a leading or inner slash', () => {
+      assert.ok(matches('/build/logs/', 'build/logs/a.log'));
+      assert.ok(matches('/build/logs/', 'build/logs/deep/a.log'));
+      assert.ok(!matches('/build/logs/', 'src/build/logs/a.log'));
+      assert.ok(matches('src/lib', 'src/lib/a.js'));
+      assert.ok(!matches('src/lib', 'other/src/lib/a.js'));
+      assert.ok(matches('/README.md', 'README.md'));
+      assert.ok(!matches('/README.md', 'docs/README.md'));
+    });
+
+    it('should only match direct children for a trailing /*', () => {
+      assert.ok(matches('docs/*', 'docs/guide.md'));
+      assert.ok(!matches('docs/*', 'docs/build/guide.md'));
+    });
+
+    it('should support ** and ?', () => {
+      assert.ok(matches('**/logs', 'a/b/logs/x.log'));
+      assert.ok(matches('/src/**/test.js', 'src/a/b/test.js'));
+      assert.ok(matches('/src/**/test.js', 'src/test.js'));
+      assert.ok(matches('file?.txt', 'file1.txt'));
+      assert.ok(!matches('file?.txt', 'file12.txt'));
+    });
+  });
+
+  describe('findOwnerRule', () => {
+    it('should use the last matching rule', () => {
+      const rules = parseCodeowners('* @alice\n/src/ @bob\n/src/vendor/\n');
+
+      assert.deepEqual(findOwnerRule(rules, 'README.md').owners, ['@alice']);
+      assert.deepEqual(findOwnerRule(rules, 'src/a.js').owners, ['@bob']);
+      assert.deepEqual(findOwnerRule(rules, 'src/vendor/lib.js').owners, []);
+      assert.equal(findOwnerRule(parseCodeowners('/src/ @bob'), 'README.md'), null);
+    });
+  });
+
+  describe('auditCodeowners', () => {
+    const report = createReport({
+      busFactor: 2,
+      authorship: {
+        'README.md': { Alice: entry(5) },
+        'src/a.js': { Alice: entry(3), Bob: entry(7) },
+        'src/b.js': { Bob: entry(4) },
+        'docs/guide.md': { Bob: entry(2) },
+        'vendor/lib.js': { Dave: entry(9) }
+      }
+    });
+    const handles = { '@alice': 'Alice', '@bob': 'Bob', '@carol': 'Carol' };
+    const resolveOwner = owner => handles[owner] || null;
+
+    it('should report files whose declared owners wrote nothing', () => {
+      const rules = parseCodeowners('* @alice\n/docs/ @carol\n/src/ @bob\n/vendor/\n');
+      const audit = auditCodeowners(report, rules, resolveOwner);
+
+      assert.deepEqual(audit.inactiveOwnerFiles, [
+        { file: 'docs/guide.md', pattern: '/docs/', declaredOwners: ['@carol'], authors: ['Bob'] }
+      ]);
+      assert.deepEqual(audit.unownedFiles, ['vendor/lib.js']);
+      assert.equal(audit.rules, 4);
+      assert.equal(audit.totalFiles, 5);
+      assert.equal(audit.coveredFiles, 4);
+      assert.equal(audit.computedBusFactor, 2);
+    });
+
+    it('should calculate the bus factor of the declared ownership', () => {
+      const audit = auditCodeowners(report, parseCodeowners('* @alice\n/src/ @bob\n'), resolveOwner);
+
+      // Alice owns 3 files, removing her leaves 3/5 ownerless
+      assert.deepEqual(audit.declaredBusFactor, { busFactor: 1, criticalOwners: ['@alice'], ownerlessRatio: 0.6 });
+    });
+
+    it('should keep unresolved owners out of the "wrote nothing" check', () => {
+      const audit = auditCodeowners(report, parseCodeowners('* @acme/team\n/src/ @acme/team @carol\n'), resolveOwner);
+
+      assert.deepEqual(audit.inactiveOwnerFiles, []);
+      assert.deepEqual(audit.unresolvedOwners, ['@acme/team']);
+      assert.deepEqual(audit.declaredBusFactor.criticalOwners, ['@acme/team']);
+    });
+
+    it('should handle reports without files', () => {
+      const audit = auditCodeowners(createReport({ busFactor: 0 }), [], resolveOwner);
+      assert.deepEqual(audit.declaredBusFactor, { busFactor: 0, criticalOwners: [], ownerlessRatio: 0 });
+    });
+  });
+
+  describe('readCodeowners', () => {
+    const repoPath = path.join(__dirname, '..', 'temp-codeowners-repo');
+
+    beforeEach(async () => {
+      await fs.ensureDir(path.join(repoPath, 'docs'));
+    });
+
+    afterEach(async () => {
+      await fs.remove(repoPath);
+    });
+
+    it('should return null when there is no CODEOWNERS file', async () => {
+      assert.equal(await readCodeowners(repoPath), null);
+    });
+
+    it('should prefer .github/ over the root and docs/', async () => {
+      await fs.writeFile(path.join(repoPath, 'docs', 'CODEOWNERS'), 'docs');
+      await fs.writeFile(path.join(repoPath, 'CODEOWNERS'), 'root');
+      assert.deepEqual(await readCodeowners(repoPath), { path: 'CODEOWNERS', text: 'root' });
+
+      await fs.outputFile(path.join(repoPath, '.github', 'CODEOWNERS'), 'github');
+      assert.deepEqual(await readCodeowners(repoPath), { path: '.github/CODEOWNERS', text: 'github' });
+    });
+
+    it('should read an explicit file', async () => {
+      const file = path.join(repoPath, 'OWNERS');
+      await fs.writeFile(file, '* @alice');
+      assert.deepEqual(await readCodeowners(repoPath, { file }), { path: file, text: '* @alice' });
+    });
+
+    it('should read the committed file at a ref', async () => {
+      const git = simpleGit(repoPath);
+      await git.init();
+      await git.addConfig('user.name', 'Alice');
+      await git.addConfig('user.email', 'alice@example.com');
+      await fs.writeFile(path.join(repoPath, 'CODEOWNERS'), '* @alice\n');
+      await git.add('.');
+      await git.commit('add CODEOWNERS');
+      await fs.writeFile(path.join(repoPath, 'CODEOWNERS'), '* @bob\n');
+
+      assert.deepEqual(await readCodeowners(repoPath, { ref: 'HEAD' }), { path: 'CODEOWNERS', text: '* @alice\n' });
+      assert.deepEqual(await readCodeowners(repoPath), { path: 'CODEOWNERS', text: '* @bob\n' });
+    });
+  });
+});
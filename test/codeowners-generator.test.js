@@ -0,0 +1,145 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildCodeownersRules, formatPattern, renderCodeowners } from '../lib/codeowners-generator.js';
+import { createReport, entry } from './fixtures/reports.js';
+
+describe('codeowners-generator', () => {
+  describe('buildCodeownersRules', () => {
+    it('should collapse a directory with one dominant owner', () => {
+      const rules = buildCodeownersRules(createReport({
+        authorship: {
+          'src/a.js': { Alice: entry(10) },
+          'src/b.js': { Alice: entry(10) },
+          'docs/guide.md': { Bob: entry(10) }
+        }
+      }));
+
+      assert.deepEqual(rules, [
+        { type: 'directory', path: 'docs', owners: ['Bob'], backups: [] },
+        { type: 'directory', path: 'src', owners: ['Alice'], backups: [] }
+      ]);
+    });
+
+    it('should use the root pattern and add exceptions for other owners', () => {
+      const authorship = {};
+      for (let index = 0; index < 9; index++) {
+        authorship[`src/file${index}.js`] = { Alice: entry(10) };
+      }
+      authorship['src/special.js'] = { Bob: entry(10) };
+
+      const rules = buildCodeownersRules(createReport({ authorship }));
+      assert.deepEqual(rules, [
+        { type: 'directory', path: '', owners: ['Alice'], backups: [] },
+        { type: 'file', path: 'src/special.js', owners: ['Bob'], backups: [] }
+      ]);
+    });
+
+    it('should fall back to file rules when no owner dominates', () => {
+      const rules = buildCodeownersRules(createReport({
+        authorship: {
+          'a.js': { Alice: entry(10) },
+          'b.js': { Bob: entry(10) },
+          'empty.txt': {}
+        }
+      }));
+
+      assert.deepEqual(rules.map(rule => [rule.type, rule.path]), [['file', 'a.js'], ['file', 'b.js']]);
+    });
+
+    it('should honor a custom dominance', () => {
+      const rules = buildCodeownersRules(createReport({
+        authorship: {
+          'a.js': { Alice: entry(10) },
+          'b.js': { Alice: entry(10) },
+          'c.js': { Bob: entry(10) }
+        }
+      }), { dominance: 0.6 });
+
+      assert.deepEqual(rules.map(rule => [rule.type, rule.path, rule.owners]), [
+        ['directory', '', ['Alice']],
+        ['file', 'c.js', ['Bob']]
+      ]);
+    });
+
+    it('should list authors with a significant share as backups', () => {
+      const rules = buildCodeownersRules(createReport({
+        authorship: {
+          'a.js': { Alice: entry(6), Bob: entry(3), Carol: entry(1) }
+        }
+      }));
+
+      assert.deepEqual(rules[0].backups, ['Bob']);
+      assert.deepEqual(buildCodeownersRules(createReport({
+        authorship: {
+          'a.js': { Alice: entry(6), Bob: entry(3), Carol: entry(1) }
+        }
+      }), { backupShare: 0.1 })[0].backups, ['Bob', 'Carol']);
+    });
+
+    it('should use weighted lines for JBF backups', () => {
+      const rules = buildCodeownersRules(createReport({
+        authorship: {
+          'a.js': {
+            Alice: { lines: 5, percentage: '50.00', weightedLines: '9.00' },
+            Bob: { lines: 5, percentage: '50.00', weightedLines: '1.00' }
+          }
+        }
+      }));
+
+      assert.deepEqual(rules[0].backups, []);
+    });
+
+    it('should treat multi-author owners as one group', () => {
+      const report = createReport({
+        authorship: {
+          'a.js': { Alice: entry(5), Bob: entry(5) },
+          'b.js': { Alice: entry(5), Bob: entry(5) }
+        },
+        fileAuthors: { 'a.js': ['Alice', 'Bob'], 'b.js': ['Bob', 'Alice'] }
+      });
+
+      const rules = buildCodeownersRules(report);
+      assert.equal(rules.length, 1);
+      assert.deepEqual(rules[0].owners, ['Alice', 'Bob']);
+      assert.deepEqual(rules[0].backups, []);
+    });
+  });
+
+  describe('formatPattern', () => {
+    it('should anchor patterns and escape spaces', () => {
+      assert.equal(formatPattern({ type: 'directory', path: '' }), '*');
+      assert.equal(formatPattern({ type: 'directory', path: 'src/lib' }), '/src/lib/');
+      assert.equal(formatPattern({ type: 'file', path: 'docs/my file.md' }), '/docs/my\\ file.md');
+    });
+  });
+
+  describe('renderCodeowners', () => {
+    const handles = { Alice: '@alice', Bob: '@bob' };
+
+    it('should write one line per rule with owners before backups', () => {
+      const rules = [
+        { type: 'directory', path: '', owners: ['Alice'], backups: ['Bob'] },
+        { type: 'file', path: 'b.js', owners: ['Bob'], backups: [] }
+      ];
+      const { content, unmapped } = renderCodeowners(createReport(), rules, name => handles[name]);
+
+      assert.deepEqual(unmapped, []);
+      assert.ok(content.includes('# Repository: https://example.com/repo.git'));
+      assert.ok(content.includes('# Method: ABF, bus factor 1'));
+      assert.ok(content.endsWith('\n* @alice @bob\n/b.js @bob\n'));
+    });
+
+    it('should comment out rules without any handle', () => {
+      const rules = [
+        { type: 'directory', path: 'src', owners: ['Alice'], backups: ['Carol'] },
+        { type: 'file', path: 'c.js', owners: ['Carol'], backups: ['Dave'] }
+      ];
+      const { content, unmapped } = renderCodeowners(createReport(), rules, name => handles[name]);
+
+      assert.deepEqual(unmapped, ['Carol', 'Dave']);
+      assert.ok(content.includes('# No handle for: Carol, Dave'));
+      assert.ok(content.includes('\n/src/ @alice\n'));
+      assert.ok(content.includes('\n# /c.js Carol, Dave (no handle)\n'));
+    });
+  });
+});
@@ -0,0 +1,108 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs-extra';
+import { CONFIG_FILE_NAMES, findConfigFile, loadConfig } from '../lib/config-loader.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('config-loader', () => {
+  const configDir = path.join(__dirname, '..', 'temp-config');
+  const repoDir = path.join(configDir, 'repo');
+  const workDir = path.join(configDir, 'work');
+
+  beforeEach(async () => {
+    await fs.ensureDir(repoDir);
+    await fs.ensureDir(workDir);
+  });
+
+  afterEach(async () => {
+    await fs.remove(configDir);
+  });
+
+  describe('findConfigFile', () => {
+    it('should return null when no directory has a config file', async () => {
+      assert.equal(await findConfigFile([repoDir, workDir]), null);
+    });
+
+    it('should prefer the first directory and the first file name', async () => {
+      await fs.writeJson(path.join(workDir, '.busfactorrc'), {});
+      await fs.writeJson(path.join(repoDir, 'busfactor.config.json'), {});
+      assert.equal(await findConfigFile([repoDir, workDir]), path.join(repoDir, 'busfactor.config.json'));
+
+      await fs.writeJson(path.join(repoDir, '.busfactorrc'), {});
+      assert.equal(await findConfigFile([repoDir, workDir]), path.join(repoDir, '.busfactorrc'));
+    });
+
+    it('should fall back to later directories', async () => {
+      await fs.writeJson(path.join(workDir, CONFIG_FILE_NAMES[2]), {});
+      assert.equal(await findConfigFile([repoDir, workDir]), path.join(workDir, 'busfactor.config.json'));
+    });
+  });
+
+  describe('loadConfig', () => {
+    it('should return the configured options', async () => {
+      const configPath = path.join(repoDir, '.busfactorrc');
+      await fs.writeJson(configPath, {
+        $schema: '../schemas/config.schema.json',
+        method: 'jbf',
+        ignoreExtensions: ['.min.js'],
+        ignoreAuthors: ['dependabot'],
+        threshold: 0.4,
+        decayRate: 0.3,
+        timeWindow: 365,
+        format: 'markdown',
+        aliases: { Alice: ['alice@example.com'] }
+      });
+
+      assert.deepEqual(await loadConfig(configPath), {
+        method: 'jbf',
+        ignoreExtensions: ['.min.js'],
+        ignoreAuthors: ['dependabot'],
+        threshold: 0.4,
+        decayRate: 0.3,
+        timeWindow: 365,
+        format: 'markdown',
+        aliases: { Alice: ['alice@example.com'] }
+      });
+    });
+
+    it('should accept decay rates above 1', async () => {
+      const configPath = path.join(repoDir, '.busfactorrc');
+      await fs.writeJson(configPath, { decayRate: 2 });
+
+      assert.deepEqual(await loadConfig(configPath), { decayRate: 2 });
+    });
+
+    it('should resolve an alias file relative to the config file', async () => {
+      const configPath = path.join(repoDir, 'busfactor.config.json');
+      await fs.writeJson(configPath, { aliases: 'aliases.json' });
+
+      const config = await loadConfig(configPath);
+      assert.equal(config.aliases, path.join(repoDir, 'aliases.json'));
+    });
+
+    it('should list every schema violation', async () => {
+      const configPath = path.join(repoDir, '.busfactorrc');
+      await fs.writeJson(configPath, { threshold: 1.5, format: 'pdf', ignoreAuthors: 'bot', extra: true });
+
+      await assert.rejects(() => loadConfig(configPath), (error) => {
+        assert.match(error.message, /^Invalid config file ".*\.busfactorrc":/);
+        assert.match(error.message, /- \/ must not have property "extra"/);
+        assert.match(error.message, /- \/ignoreAuthors must be array/);
+        assert.match(error.message, /- \/threshold must be < 1/);
+        assert.match(error.message, /- \/format must be equal to one of the allowed values/);
+        return true;
+      });
+    });
+
+    it('should report files that are not JSON', async () => {
+      const configPath = path.join(repoDir, '.busfactorrc');
+      await fs.writeFile(configPath, 'method = abf');
+
+      await assert.rejects(() => loadConfig(configPath), /Could not read config file ".*\.busfactorrc"/);
+    });
+  });
+});
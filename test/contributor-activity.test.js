@@ -0,0 +1,205 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs-extra';
+import simpleGit from 'simple-git';
+import {
+  assessContributorActivity,
+  getContributorStatus,
+  isInactive,
+  readAllCommitAuthors,
+  readCommitAuthors,
+  summarizeActivity
+} from '../lib/contributor-activity.js';
+import { IdentityResolver } from '../lib/identity-resolver.js';
+import { entry } from './fixtures/reports.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('contributor-activity', () => {
+  describe('readCommitAuthors', () => {
+    const repoPath = path.join(__dirname, '..', 'temp-activity-repo');
+
+    before(async () => {
+      await fs.ensureDir(repoPath);
+      const git = simpleGit(repoPath);
+      await git.init();
+      await git.addConfig('user.name', 'Alice');
+      await git.addConfig('user.email', 'alice@example.com');
+      await fs.writeFile(path.join(repoPath, 'a.js'), 'one\n');
+      await git.add('.');
+      await git.commit('add a.js', { '--date': '2024-01-01T00:00:00Z' });
+      await fs.writeFile(path.join(repoPath, 'b.js'), 'two\n');
+      await git.add('.');
+      await git.commit('add b.js', { '--author': 'Bob <bob@example.com>', '--date': '2024-03-01T00:00:00Z' });
+      await git.checkout(['-b', 'side']);
+      await fs.writeFile(path.join(repoPath, 'c.js'), 'three\n');
+      await git.add('.');
+      await git.commit('add c.js', { '--author': 'Carol <carol@example.com>', '--date': '2024-04-01T00:00:00Z' });
+      await git.checkout('-');
+    });
+
+    after(async () => {
+      await fs.remove(repoPath);
+    });
+
+    it('should list the author and date of every commit, newest first', async () => {
+      const commits = await readCommitAuthors(repoPath);
+      assert.deepEqual(commits.map(({ name, email }) => ({ name, email })), [
+        { name: 'Bob', email: 'bob@example.com' },
+        { name: 'Alice', email: 'alice@example.com' }
+      ]);
+      assert.equal(Date.parse(commits[1].date), Date.parse('2024-01-01T00:00:00Z'));
+    });
+
+    it('should return no commits for a repository without history', async () => {
+      const emptyPath = path.join(__dirname, '..', 'temp-activity-empty-repo');
+      await fs.ensureDir(emptyPath);
+      await simpleGit(emptyPath).init();
+      try {
+        assert.deepEqual(await readCommitAuthors(emptyPath), []);
+      } finally {
+        await fs.remove(emptyPath);
+      }
+    });
+
+    it('should only list commits reachable from the ref', async () => {
+      const commits = await readCommitAuthors(repoPath, 'HEAD~1');
+      assert.deepEqual(commits.map(commit => commit.name), ['Alice']);
+    });
+
+    it('should list the commits of every branch with readAllCommitAuthors', async () => {
+      const commits = await readAllCommitAuthors(repoPath);
+      assert.deepEqual(commits.map(commit => commit.name).sort(), ['Alice', 'Bob', 'Carol']);
+    });
+  });
+
+  describe('summarizeActivity', () => {
+    it('should track first and last commit and commit count per contributor', () => {
+      const activity = summarizeActivity([
+        { name: 'Alice', email: 'alice@example.com', date: '2024-03-01T00:00:00Z' },
+        { name: 'Bob', email: 'bob@example.com', date: '2024-02-01T00:00:00Z' },
+        { name: 'Alice', email: 'alice@example.com', date: '2024-01-01T00:00:00Z' }
+      ], new IdentityResolver());
+
+      assert.deepEqual(activity, {
+        Alice: { firstCommit: '2024-01-01T00:00:00Z', lastCommit: '2024-03-01T00:00:00Z', commits: 2, activeMonths: 2 },
+        Bob: { firstCommit: '2024-02-01T00:00:00Z', lastCommit: '2024-02-01T00:00:00Z', commits: 1, activeMonths: 1 }
+      });
+    });
+
+    it('should count calendar months with a commit', () => {
+      const activity = summarizeActivity([
+        { name: 'Alice', email: 'alice@example.com', date: '2024-03-20T00:00:00Z' },
+        { name: 'Alice', email: 'alice@example.com', date: '2024-03-01T00:00:00Z' },
+        { name: 'Alice', email: 'alice@example.com', date: '2023-03-01T00:00:00Z' }
+      ], new IdentityResolver());
+
+      assert.equal(activity.Alice.activeMonths, 2);
+    });
+
+    it('should merge aliases into one contributor', () => {
+      const activity = summarizeActivity([
+        { name: 'alice-work', email: 'alice@corp.example', date: '2024-03-01T00:00:00Z' },
+        { name: 'Alice', email: 'alice@example.com', date: '2024-01-01T00:00:00Z' }
+      ], new IdentityResolver({ Alice: ['alice@corp.example'] }));
+
+      assert.deepEqual(Object.keys(activity), ['Alice']);
+      assert.equal(activity.Alice.commits, 2);
+      assert.equal(activity.Alice.lastCommit, '2024-03-01T00:00:00Z');
+    });
+  });
+
+  describe('getContributorStatus', () => {
+    const activity = { Alice: { lastCommit: '2024-12-01T00:00:00Z' }, Bob: { lastCommit: '2023-01-01T00:00:00Z' } };
+    const referenceTime = Date.parse('2024-12-31T00:00:00Z');
+
+    it('should tell active from inactive contributors', () => {
+      assert.equal(getContributorStatus('Alice', activity, { referenceTime }), 'active');
+      assert.equal(getContributorStatus('Bob', activity, { referenceTime }), 'inactive');
+      assert.equal(getContributorStatus('Bob', activity, { referenceTime, inactiveAfter: 1000 }), 'active');
+    });
+
+    it('should mark explicitly departed contributors regardless of their commits', () => {
+      assert.equal(getContributorStatus('Alice', activity, { referenceTime, departed: ['Alice'] }), 'departed');
+    });
+  });
+
+  describe('assessContributorActivity', () => {
+    const report = {
+      summary: { criticalContributors: ['Alice', 'Bob'] },
+      analysis: { threshold: 0.5 },
+      fileOwnership: { 'a.js': 'Alice', 'b.js': 'Alice', 'c.js': 'Bob', 'd.js': 'Carol' },
+      fileAuthorshipMap: {
+        'a.js': { Alice: entry(10) },
+        'b.js': { Alice: entry(2), Carol: entry(1) },
+        'c.js': { Bob: entry(5) },
+        'd.js': { Carol: entry(5), Dave: entry(1) }
+      }
+    };
+    const activity = {
+      Alice: { firstCommit: '2020-01-01T00:00:00Z', lastCommit: '2022-01-01T00:00:00Z', commits: 10, activeMonths: 8 },
+      Bob: { firstCommit: '2024-01-01T00:00:00Z', lastCommit: '2024-12-01T00:00:00Z', commits: 3, activeMonths: 2 },
+      Carol: { firstCommit: '2024-06-01T00:00:00Z', lastCommit: '2024-12-15T00:00:00Z', commits: 4, activeMonths: 3 }
+    };
+    const referenceTime = Date.parse('2024-12-31T00:00:00Z');
+
+    it('should separate current knowledge holders from those who left', () => {
+      const result = assessContributorActivity(report, activity, { referenceTime });
+
+      assert.deepEqual(result.currentKnowledgeHolders, ['Bob', 'Carol']);
+      assert.deepEqual(result.formerKnowledgeHolders, ['Alice']);
+      assert.deepEqual(result.contributors.map(({ author, status, filesOwned, critical }) => ({ author, status, filesOwned, critical })), [
+        { author: 'Alice', status: 'inactive', filesOwned: 2, critical: true },
+        { author: 'Bob', status: 'active', filesOwned: 1, critical: true },
+        { author: 'Carol', status: 'active', filesOwned: 1, critical: false },
+        { author: 'Dave', status: 'inactive', filesOwned: 0, critical: false }
+      ]);
+      assert.equal(result.contributors[3].lastCommit, null);
+      assert.equal(result.referenceDate, '2024-12-31T00:00:00.000Z');
+    });
+
+    it('should count the files whose owners have all left', () => {
+      const result = assessContributorActivity(report, activity, { referenceTime, departed: ['Bob'] });
+
+      assert.deepEqual(result.knowledgeLost, { count: 3, ratio: 0.75, files: ['a.js', 'c.js', 'b.js'] });
+      assert.deepEqual(result.formerKnowledgeHolders, ['Alice', 'Bob']);
+    });
+
+    it('should calculate the bus factor of the current team', () => {
+      const result = assessContributorActivity(report, activity, { referenceTime });
+      assert.equal(result.currentBusFactor.busFactor, 1);
+      assert.deepEqual(result.currentBusFactor.criticalContributors, ['Bob']);
+      assert.equal(result.currentBusFactor.ownerlessRatio, 0.75);
+    });
+
+    it('should fall back to the default threshold without an analysis block', () => {
+      const { analysis, ...custom } = report;
+      const result = assessContributorActivity(custom, activity, { referenceTime });
+      assert.equal(result.currentBusFactor.busFactor, 1);
+    });
+
+    it('should report departed names that are not contributors', () => {
+      const result = assessContributorActivity(report, activity, { referenceTime, departed: ['Mallory'] });
+      assert.deepEqual(result.unknownContributors, ['Mallory']);
+    });
+  });
+
+  describe('isInactive', () => {
+    const now = Date.parse('2024-12-31T00:00:00Z');
+
+    it('should compare the last commit with the number of days', () => {
+      const entry = { lastCommit: new Date(now - 100 * DAY_MS).toISOString() };
+      assert.equal(isInactive(entry, 180, now), false);
+      assert.equal(isInactive(entry, 90, now), true);
+    });
+
+    it('should treat contributors without commits as inactive', () => {
+      assert.equal(isInactive(undefined, 180, now), true);
+    });
+  });
+});
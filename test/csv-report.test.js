@@ -0,0 +1,72 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv } from '../lib/csv.js';
+import { renderContributorCsv, renderFileCsv } from '../lib/csv-report.js';
+
+const abfReport = {
+  summary: { criticalContributors: ['Alice'] },
+  analysis: { method: 'Avelino et al. - ABF (Authorship-Based Factor)' },
+  fileOwnership: { 'src/a.js': 'Alice', 'b, c.js': 'Bob', 'empty.txt': null },
+  fileAuthorshipMap: {
+    'src/a.js': { Bob: { lines: 2, percentage: '20.00' }, Alice: { lines: 8, percentage: '80.00' } },
+    'b, c.js': { Bob: { lines: 5, percentage: '100.00' } },
+    'empty.txt': {}
+  }
+};
+
+const jbfReport = {
+  summary: { criticalContributors: ['Alice'] },
+  analysis: { method: 'Jabrayilzade et al. - JBF (Time-Weighted Bus Factor)' },
+  fileOwnership: { 'a.js': 'Alice' },
+  fileAuthorshipMap: {
+    'a.js': {
+      Alice: { lines: 6, percentage: '60.00', weightedLines: '5.50', weightedPercentage: '84.62' },
+      Bob: { lines: 4, percentage: '40.00', weightedLines: '1.00', weightedPercentage: '15.38' }
+    }
+  }
+};
+
+describe('csv-report', () => {
+  describe('renderFileCsv', () => {
+    it('should write one row per file and author, largest share first', () => {
+      assert.deepEqual(parseCsv(renderFileCsv(abfReport)), [
+        ['file', 'author', 'lines', 'percentage', 'isOwner'],
+        ['src/a.js', 'Alice', '8', '80', 'true'],
+        ['src/a.js', 'Bob', '2', '20', 'false'],
+        ['b, c.js', 'Bob', '5', '100', 'true'],
+        ['empty.txt', '', '0', '0', 'false']
+      ]);
+    });
+
+    it('should add weighted columns for JBF reports', () => {
+      assert.deepEqual(parseCsv(renderFileCsv(jbfReport)), [
+        ['file', 'author', 'lines', 'percentage', 'weightedLines', 'weightedPercentage', 'isOwner'],
+        ['a.js', 'Alice', '6', '60', '5.5', '84.62', 'true'],
+        ['a.js', 'Bob', '4', '40', '1', '15.38', 'false']
+      ]);
+    });
+
+    it('should flag every author in multi-author reports', () => {
+      const rows = parseCsv(renderFileCsv({ ...abfReport, fileAuthors: { 'src/a.js': ['Alice', 'Bob'] } }));
+      assert.deepEqual(rows.filter(row => row[0] === 'src/a.js').map(row => row[4]), ['true', 'true']);
+    });
+  });
+
+  describe('renderContributorCsv', () => {
+    it('should write one row per contributor', () => {
+      assert.deepEqual(parseCsv(renderContributorCsv(abfReport)), [
+        ['author', 'lines', 'share', 'filesTouched', 'filesOwned', 'isCritical'],
+        ['Alice', '8', '0.5333', '1', '1', 'true'],
+        ['Bob', '7', '0.4667', '2', '1', 'false']
+      ]);
+    });
+
+    it('should total weighted lines for JBF reports', () => {
+      assert.deepEqual(parseCsv(renderContributorCsv(jbfReport)), [
+        ['author', 'lines', 'share', 'weightedLines', 'filesTouched', 'filesOwned', 'isCritical'],
+        ['Alice', '6', '0.6', '5.5', '1', '1', 'true'],
+        ['Bob', '4', '0.4', '1', '1', '0', 'false']
+      ]);
+    });
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCsv, formatCsv } from '../lib/csv.js';
+
+describe('csv', () => {
+  describe('parseCsv', () => {
+    it('should split rows and fields', () => {
+      assert.deepEqual(parseCsv('name,url\na,https://a\n'), [
+        ['name', 'url'],
+        ['a', 'https://a']
+      ]);
+    });
+
+    it('should handle quoted fields with commas, quotes and line breaks', () => {
+      assert.deepEqual(parseCsv('"a, b","say ""hi""","two\nlines"'), [
+        ['a, b', 'say "hi"', 'two\nlines']
+      ]);
+    });
+
+    it('should accept CRLF line endings and skip empty lines', () => {
+      assert.deepEqual(parseCsv('a,b\r\n\r\nc,d\r\n'), [['a', 'b'], ['c', 'd']]);
+    });
+
+    it('should reject unterminated quotes', () => {
+      assert.throws(() => parseCsv('"open,field'), /Unterminated quoted field/);
+    });
+  });
+
+  describe('formatCsv', () => {
+    it('should quote fields only when needed', () => {
+      assert.equal(
+        formatCsv([['name', 'error'], ['a, b', 'say "hi"'], ['c', null]]),
+        'name,error\n"a, b","say ""hi"""\nc,\n'
+      );
+    });
+
+    it('should round-trip through parseCsv', () => {
+      const rows = [['x', 'multi\nline', 'q"uote']];
+      assert.deepEqual(parseCsv(formatCsv(rows)), rows);
+    });
+  });
+});
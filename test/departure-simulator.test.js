@@ -0,0 +1,123 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRemainingBusFactor, simulateDeparture } from '../lib/departure-simulator.js';
+
+import { createReport, entry } from './fixtures/reports.js';
+
+// Alice owns core/, Bob owns api/, Carol owns the rest
+const report = createReport({
+  busFactor: 2,
+  critical: ['Alice', 'Bob'],
+  authorship: {
+    'core/a.js': { Alice: entry(8), Bob: entry(2) },
+    'core/b.js': { Alice: entry(5), Carol: entry(3), Dave: entry(1) },
+    'api/c.js': { Bob: entry(4) },
+    'api/d.js': { Bob: entry(6), Carol: entry(4) },
+    'e.js': { Carol: entry(3) },
+    'f.js': {}
+  }
+});
+
+describe('departure-simulator', () => {
+  describe('simulateDeparture', () => {
+    it('should orphan exactly the files owned by the departed contributors', () => {
+      const simulation = simulateDeparture(report, ['Alice']);
+
+      assert.deepEqual(simulation.departed, ['Alice']);
+      assert.deepEqual(simulation.unknownContributors, []);
+      assert.equal(simulation.totalFiles, 6);
+      assert.deepEqual(simulation.orphanedFiles.map(file => file.file), ['core/a.js', 'core/b.js']);
+      assert.equal(simulation.ownerlessRatio, 2 / 6);
+    });
+
+    it('should suggest the remaining author with the largest share as successor', () => {
+      const simulation = simulateDeparture(report, ['Alice', 'Bob']);
+      const successors = Object.fromEntries(simulation.orphanedFiles.map(file => [file.file, file.successor]));
+
+      assert.equal(successors['core/b.js'].author, 'Carol');
+      assert.equal(successors['core/b.js'].share, 3 / 9);
+      assert.equal(successors['api/d.js'].author, 'Carol');
+      assert.equal(successors['core/a.js'], null);
+      assert.equal(successors['api/c.js'], null);
+    });
+
+    it('should list the affected directories, highest share first', () => {
+      const simulation = simulateDeparture(report, ['Alice', 'Carol']);
+      assert.deepEqual(simulation.affectedDirectories, [
+        { directory: 'core', files: 2, orphanedFiles: 2, ratio: 1 },
+        { directory: '.', files: 2, orphanedFiles: 1, ratio: 0.5 }
+      ]);
+    });
+
+    it('should report the bus factor of the rest of the team', () => {
+      const simulation = simulateDeparture(report, ['Carol']);
+      assert.deepEqual(simulation.remainingBusFactor, {
+        busFactor: 2,
+        criticalContributors: ['Alice', 'Bob'],
+        ownerlessRatio: 5 / 6,
+        risk: 'HIGH'
+      });
+    });
+
+    it('should report names that did not author any file', () => {
+      const simulation = simulateDeparture(report, ['Alice', 'Mallory']);
+      assert.deepEqual(simulation.unknownContributors, ['Mallory']);
+      assert.equal(simulation.orphanedFiles.length, 2);
+    });
+
+    it('should fall back to the default threshold without an analysis block', () => {
+      const { analysis, ...custom } = report;
+      const simulation = simulateDeparture(custom, ['Alice']);
+      assert.deepEqual(simulation.remainingBusFactor, simulateDeparture(report, ['Alice']).remainingBusFactor);
+    });
+
+    it('should use every significant author in multi-author mode', () => {
+      const simulation = simulateDeparture({
+        ...report,
+        fileAuthors: { ...report.fileOwnership, 'core/b.js': ['Alice', 'Carol'] }
+      }, ['Alice']);
+      assert.deepEqual(simulation.orphanedFiles.map(file => file.file), ['core/a.js']);
+    });
+
+    it('should pick successors by weighted lines in JBF reports', () => {
+      const simulation = simulateDeparture({
+        ...report,
+        fileAuthorshipMap: {
+          ...report.fileAuthorshipMap,
+          'core/b.js': {
+            Alice: { ...entry(5), weightedLines: '5.00' },
+            Carol: { ...entry(3), weightedLines: '0.10' },
+            Dave: { ...entry(1), weightedLines: '1.00' }
+          }
+        }
+      }, ['Alice']);
+      const successor = simulation.orphanedFiles.find(file => file.file === 'core/b.js').successor;
+      assert.equal(successor.author, 'Dave');
+      assert.equal(successor.lines, 1);
+    });
+  });
+
+  describe('getRemainingBusFactor', () => {
+    const ownership = { a: ['Alice'], b: ['Alice'], c: ['Bob'], d: ['Carol'] };
+
+    it('should count the departed contributors as already removed', () => {
+      assert.deepEqual(getRemainingBusFactor(ownership, ['Alice'], 0.5), {
+        busFactor: 1,
+        criticalContributors: ['Bob'],
+        ownerlessRatio: 0.75,
+        risk: 'CRITICAL'
+      });
+    });
+
+    it('should be 0 when the departures alone exceed the threshold', () => {
+      const result = getRemainingBusFactor(ownership, ['Alice', 'Bob'], 0.5);
+      assert.equal(result.busFactor, 0);
+      assert.deepEqual(result.criticalContributors, []);
+      assert.equal(result.risk, 'CRITICAL');
+    });
+
+    it('should match the plain bus factor without departures', () => {
+      assert.equal(getRemainingBusFactor(ownership, [], 0.5).busFactor, 2);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DirectoryAnalyzer } from '../lib/directory-analyzer.js';
+import { ABFBusFactorCalculator } from '../lib/abf-bus-factor-calculator.js';
+import { JBFBusFactorCalculator } from '../lib/jbf-bus-factor-calculator.js';
+
+describe('DirectoryAnalyzer', () => {
+  describe('constructor', () => {
+    it('should group by top-level directory by default', () => {
+      const analyzer = new DirectoryAnalyzer();
+      assert.equal(analyzer.depth, 1);
+      assert.equal(analyzer.quiet, false);
+    });
+  });
+
+  describe('getDirectories', () => {
+    it('should list every ancestor directory up to the configured depth', () => {
+      const analyzer = new DirectoryAnalyzer({ depth: 2 });
+      assert.deepEqual(analyzer.getDirectories('src/core/deep/file.js'), ['src', 'src/core']);
+      assert.deepEqual(analyzer.getDirectories('src/index.js'), ['src']);
+    });
+
+    it('should group root files under "."', () => {
+      const analyzer = new DirectoryAnalyzer();
+      assert.deepEqual(analyzer.getDirectories('README.md'), ['.']);
+    });
+  });
+
+  describe('groupByDirectory', () => {
+    it('should split file authorship by directory', () => {
+      const analyzer = new DirectoryAnalyzer();
+      const groups = analyzer.groupByDirectory({
+        'src/a.js': { Alice: 10 },
+        'src/lib/b.js': { Bob: 5 },
+        'docs/c.md': { Carol: 3 }
+      });
+
+      assert.deepEqual(groups, {
+        src: { 'src/a.js': { Alice: 10 }, 'src/lib/b.js': { Bob: 5 } },
+        docs: { 'docs/c.md': { Carol: 3 } }
+      });
+    });
+
+    it('should include nested files in every ancestor group', () => {
+      const analyzer = new DirectoryAnalyzer({ depth: 2 });
+      const groups = analyzer.groupByDirectory({
+        'src/a.js': { Alice: 10 },
+        'src/b.js': { Alice: 4 },
+        'src/pay/c.js': { Bob: 5 },
+        'index.js': { Carol: 1 }
+      });
+
+      assert.deepEqual(Object.keys(groups.src), ['src/a.js', 'src/b.js', 'src/pay/c.js']);
+      assert.deepEqual(Object.keys(groups['src/pay']), ['src/pay/c.js']);
+      assert.deepEqual(Object.keys(groups['.']), ['index.js']);
+    });
+  });
+
+  describe('analyze', () => {
+    it('should calculate the bus factor of every directory', async () => {
+      const analyzer = new DirectoryAnalyzer({ quiet: true });
+      const fileAuthorship = {
+        'core/a.js': { Alice: 100 },
+        'core/b.js': { Alice: 80 },
+        'ui/c.js': { Bob: 50 },
+        'ui/d.js': { Carol: 60 }
+      };
+
+      const directories = await analyzer.analyze('abf', {
+        fileAuthorship,
+        totalAuthorship: { Alice: 180, Bob: 50, Carol: 60 },
+        totalFiles: 4
+      }, 'test-repo');
+
+      const core = directories.find(entry => entry.directory === 'core');
+      const ui = directories.find(entry => entry.directory === 'ui');
+
+      assert.equal(core.busFactor, 1);
+      assert.equal(core.totalFiles, 2);
+      assert.equal(core.totalContributors, 1);
+      assert.deepEqual(core.criticalContributors, ['Alice']);
+      assert.equal(ui.busFactor, 2);
+      assert.equal(ui.totalContributors, 2);
+    });
+
+    it('should list the riskiest directories first', async () => {
+      const analyzer = new DirectoryAnalyzer({ quiet: true });
+      const fileAuthorship = {
+        'shared/a.js': { Alice: 10 },
+        'shared/b.js': { Bob: 10 },
+        'shared/c.js': { Carol: 10 },
+        'solo/d.js': { Dave: 10 }
+      };
+
+      const directories = await analyzer.analyze('abf', {
+        fileAuthorship,
+        totalAuthorship: { Alice: 10, Bob: 10, Carol: 10, Dave: 10 },
+        totalFiles: 4
+      }, 'test-repo');
+
+      assert.deepEqual(directories.map(entry => entry.directory), ['solo', 'shared']);
+    });
+
+    it('should report progress per directory', async () => {
+      const analyzer = new DirectoryAnalyzer();
+      const progress = [];
+      analyzer.on('progress', (message) => progress.push(message));
+
+      await analyzer.analyze('abf', {
+        fileAuthorship: { 'a/x.js': { Alice: 1 }, 'b/y.js': { Bob: 1 } },
+        totalAuthorship: { Alice: 1, Bob: 1 },
+        totalFiles: 2
+      }, 'test-repo');
+
+      assert.ok(progress.some(message => message.includes('[2/2]')));
+    });
+
+    it('should read the JBF commit history once for all directories', async (t) => {
+      const readCommits = t.mock.method(JBFBusFactorCalculator.prototype, 'getFileCommitHistory', async () => ({
+        'a/x.js': [{ author: 'Alice', timestamp: Date.now(), hash: 'a1' }],
+        'b/y.js': [{ author: 'Bob', timestamp: Date.now(), hash: 'b1' }]
+      }));
+      const analyzer = new DirectoryAnalyzer({ quiet: true });
+
+      const directories = await analyzer.analyze('jbf', {
+        repoPath: '/repo',
+        fileAuthorship: { 'a/x.js': { Alice: 10 }, 'b/y.js': { Bob: 10 } },
+        totalAuthorship: { Alice: 10, Bob: 10 },
+        totalFiles: 2
+      }, 'test-repo');
+
+      assert.equal(directories.length, 2);
+      assert.equal(readCommits.mock.callCount(), 1);
+    });
+
+    it('should read the Fritz DOA file histories once for all directories', async (t) => {
+      const readHistory = t.mock.method(ABFBusFactorCalculator.prototype, 'getFileHistory', async () => ({
+        'src/a/x.js': ['Alice'],
+        'src/b/y.js': ['Bob']
+      }));
+      const analyzer = new DirectoryAnalyzer({ quiet: true, depth: 2, calculatorOptions: { doaModel: 'fritz' } });
+
+      const directories = await analyzer.analyze('abf', {
+        repoPath: '/repo',
+        fileAuthorship: { 'src/a/x.js': { Alice: 10 }, 'src/b/y.js': { Bob: 10 } },
+        totalAuthorship: { Alice: 10, Bob: 10 },
+        totalFiles: 2
+      }, 'test-repo');
+
+      assert.equal(directories.length, 3);
+      assert.equal(readHistory.mock.callCount(), 1);
+      const a = directories.find(entry => entry.directory === 'src/a');
+      assert.deepEqual(a.criticalContributors, ['Alice']);
+    });
+  });
+
+  describe('sortByRisk', () => {
+    it('should order by risk, bus factor, size and name', () => {
+      const analyzer = new DirectoryAnalyzer();
+      const sorted = analyzer.sortByRisk([
+        { directory: 'b', risk: 'HIGH', busFactor: 2, totalFiles: 5 },
+        { directory: 'a', risk: 'CRITICAL', busFactor: 1, totalFiles: 2 },
+        { directory: 'c', risk: 'CRITICAL', busFactor: 1, totalFiles: 8 },
+        { directory: 'd', risk: 'LOW', busFactor: 5, totalFiles: 1 }
+      ]);
+
+      assert.deepEqual(sorted.map(entry => entry.directory), ['c', 'a', 'b', 'd']);
+    });
+  });
+});
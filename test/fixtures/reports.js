@@ -0,0 +1,42 @@
+// Report fixtures shared by the tests. npm test only runs test/*.test.js,
+// so this module is not run as a test file itself.
+
+// Authorship entry of a file in a report's fileAuthorshipMap
+export const entry = (lines) => ({ lines, percentage: '0.00' });
+
+// Each file's author with the most lines, null for files without authors
+function getTopAuthors(authorship) {
+  const ownership = {};
+  for (const [file, authors] of Object.entries(authorship)) {
+    const sorted = Object.entries(authors).sort((a, b) => b[1].lines - a[1].lines);
+    ownership[file] = sorted.length > 0 ? sorted[0][0] : null;
+  }
+  return ownership;
+}
+
+// ABF report over `authorship`, which maps files to authors and entries.
+// Ownership defaults to each file's top author; other fields are added as is.
+export function createReport({
+  busFactor = 1,
+  risk = 'CRITICAL',
+  critical = ['Alice'],
+  authorship = {},
+  ownership = getTopAuthors(authorship),
+  method = 'Avelino et al. - ABF (Authorship-Based Factor)',
+  ownerlessRatio = 1,
+  ...rest
+} = {}) {
+  const contributors = new Set(Object.values(authorship).flatMap(authors => Object.keys(authors)));
+  return {
+    repositoryUrl: 'https://example.com/repo.git',
+    ref: null,
+    summary: { busFactor, totalFiles: Object.keys(authorship).length, totalContributors: contributors.size, criticalContributors: critical },
+    analysis: { method, description: 'test', finalOwnerlessRatio: ownerlessRatio, threshold: 0.5 },
+    constants: { threshold: 0.5 },
+    topContributors: [],
+    fileOwnership: ownership,
+    fileAuthorshipMap: authorship,
+    interpretation: { risk, message: `Bus factor of ${busFactor}.`, recommendation: 'Spread knowledge.' },
+    ...rest
+  };
+}
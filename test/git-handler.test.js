@@ -1,8 +1,10 @@
 import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
 import assert from 'node:assert/strict';
+import os from 'node:os';
 import path from 'node:path';
 import { fileURLToPath } from 'node:url';
 import fs from 'fs-extra';
+import simpleGit from 'simple-git';
 import { GitHandler } from '../lib/git-handler.js';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -34,6 +36,12 @@ describe('GitHandler', () => {
       const expectedPath = path.join(__dirname, '..', 'temp');
       assert.equal(gitHandler.tempDir, expectedPath);
     });
+
+    it('should accept a custom temp directory', () => {
+      const customTempDir = path.join(testTempDir, 'batch', '1');
+      const handler = new GitHandler({ quiet: true, tempDir: customTempDir });
+      assert.equal(handler.tempDir, customTempDir);
+    });
   });
 
   describe('cloneRepo', () => {
@@ -158,6 +166,28 @@ describe('GitHandler', () => {
       assert.ok(resolvedPath.startsWith(resolvedTempDir));
     });
 
+    it('should check out the requested ref after cloning', async () => {
+      gitHandler.git.clone = mock.fn(async () => {});
+      const mockRaw = mock.fn(async () => '');
+      gitHandler.git.raw = mockRaw;
+
+      const result = await gitHandler.cloneRepo('https://github.com/user/test-repo.git', { ref: 'v2.1.0' });
+
+      assert.equal(mockRaw.mock.calls.length, 1);
+      assert.deepEqual(mockRaw.mock.calls[0].arguments[0], ['-C', result, 'checkout', '--quiet', 'v2.1.0']);
+    });
+
+    it('should reject refs that look like options', async () => {
+      const mockClone = mock.fn(async () => {});
+      gitHandler.git.clone = mockClone;
+
+      await assert.rejects(
+        async () => await gitHandler.cloneRepo('https://github.com/user/test-repo.git', { ref: '--upload-pack=evil' }),
+        /Invalid git ref/
+      );
+      assert.equal(mockClone.mock.calls.length, 0);
+    });
+
     it('should log cloning message when not quiet', async () => {
       const verboseGitHandler = new GitHandler({ quiet: false });
       const mockClone = mock.fn(async () => {});
@@ -180,6 +210,122 @@ describe('GitHandler', () => {
     });
   });
 
+  describe('prepareRepo', () => {
+    let localRepoPath;
+
+    beforeEach(async () => {
+      localRepoPath = path.join(__dirname, '..', 'temp-local-repo');
+      await fs.ensureDir(localRepoPath);
+      await simpleGit(localRepoPath).init();
+    });
+
+    afterEach(async () => {
+      await fs.remove(localRepoPath);
+    });
+
+    it('should use a local working tree without cloning', async () => {
+      const mockClone = mock.fn(async () => {});
+      gitHandler.git.clone = mockClone;
+
+      const result = await gitHandler.prepareRepo(localRepoPath);
+
+      assert.equal(result, await fs.realpath(localRepoPath));
+      assert.equal(mockClone.mock.calls.length, 0);
+      assert.equal(await fs.pathExists(testTempDir), false);
+    });
+
+    it('should accept file:// URLs', async () => {
+      const mockClone = mock.fn(async () => {});
+      gitHandler.git.clone = mockClone;
+
+      const result = await gitHandler.prepareRepo(`file://${localRepoPath}`);
+
+      assert.equal(result, await fs.realpath(localRepoPath));
+      assert.equal(mockClone.mock.calls.length, 0);
+    });
+
+    it('should verify the ref of a local repository without checking it out', async () => {
+      const git = simpleGit(localRepoPath);
+      await git.addConfig('user.name', 'Test');
+      await git.addConfig('user.email', 'test@example.com');
+      await fs.writeFile(path.join(localRepoPath, 'a.txt'), 'a\n');
+      await git.add('a.txt');
+      await git.commit('initial');
+      await git.addTag('v1');
+
+      const result = await gitHandler.prepareRepo(localRepoPath, { ref: 'v1' });
+      assert.equal(result, await fs.realpath(localRepoPath));
+
+      await assert.rejects(
+        async () => await gitHandler.prepareRepo(localRepoPath, { ref: 'missing-branch' }),
+        /Unknown git ref "missing-branch"/
+      );
+    });
+
+    it('should report local paths that do not exist', async () => {
+      const mockClone = mock.fn(async () => {});
+      gitHandler.git.clone = mockClone;
+
+      await assert.rejects(
+        async () => await gitHandler.prepareRepo('missing-repo-dir'),
+        /Local repository path does not exist: .*missing-repo-dir/
+      );
+      assert.equal(mockClone.mock.calls.length, 0);
+    });
+
+    it('should treat scheme and scp-style arguments as remote', async () => {
+      for (const url of ['git@github.com:user/repo.git', 'ext::sh -c touch% /tmp/pwned']) {
+        await assert.rejects(
+          async () => await gitHandler.prepareRepo(url),
+          /Invalid or potentially dangerous repository URL/
+        );
+      }
+    });
+
+    it('should reject local directories that are not git working trees', async () => {
+      const plainDir = await fs.mkdtemp(path.join(os.tmpdir(), 'bus-factor-plain-'));
+
+      try {
+        await assert.rejects(
+          async () => await gitHandler.prepareRepo(`file://${plainDir}`),
+          /Not a git working tree/
+        );
+      } finally {
+        await fs.remove(plainDir);
+      }
+    });
+
+    it('should clone remote URLs', async () => {
+      const mockClone = mock.fn(async () => {});
+      gitHandler.git.clone = mockClone;
+
+      const result = await gitHandler.prepareRepo('https://github.com/user/test-repo.git');
+
+      assert.equal(result, path.join(testTempDir, 'test-repo'));
+      assert.equal(mockClone.mock.calls.length, 1);
+    });
+
+    it('should never delete a local repository during cleanup', async () => {
+      const repoInTemp = path.join(testTempDir, 'local-checkout');
+      await fs.ensureDir(repoInTemp);
+      await simpleGit(repoInTemp).init();
+
+      await gitHandler.prepareRepo(repoInTemp);
+      await gitHandler.cleanup();
+
+      assert.equal(await fs.pathExists(path.join(repoInTemp, '.git')), true);
+    });
+
+    it('should leave the temp directory alone after using a local repository', async () => {
+      await fs.ensureDir(path.join(testTempDir, 'other-clone'));
+
+      await gitHandler.prepareRepo(localRepoPath);
+      await gitHandler.cleanup();
+
+      assert.equal(await fs.pathExists(path.join(testTempDir, 'other-clone')), true);
+    });
+  });
+
   describe('cleanup', () => {
     it('should remove temp directory if it exists', async () => {
       await fs.ensureDir(testTempDir);
@@ -0,0 +1,133 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { getOwnerColors, renderHtmlReport } from '../lib/html-report.js';
+import { createReport } from './fixtures/reports.js';
+
+// Alice owns src/a.js, Bob owns b.js
+const base = {
+  authorship: {
+    'src/a.js': { Alice: { lines: 10, percentage: '100.00' } },
+    'b.js': { Bob: { lines: 4, percentage: '100.00' } }
+  },
+  topContributors: [{ author: 'Alice', degreeOfAuthorship: '50.00%', filesOwned: 1 }]
+};
+
+describe('html-report', () => {
+  describe('getOwnerColors', () => {
+    it('should give every contributor a distinct color', () => {
+      const colors = getOwnerColors([{ author: 'Alice' }, { author: 'Bob' }]);
+      assert.notEqual(colors.Alice, colors.Bob);
+    });
+
+    it('should generate colors beyond the palette', () => {
+      const contributors = Array.from({ length: 20 }, (_, index) => ({ author: `dev${index}` }));
+      const colors = getOwnerColors(contributors);
+      assert.equal(new Set(Object.values(colors)).size, 20);
+    });
+  });
+
+  describe('renderHtmlReport', () => {
+    it('should render a self-contained page', () => {
+      const html = renderHtmlReport(createReport(base));
+
+      assert.ok(html.startsWith('<!DOCTYPE html>'));
+      assert.ok(html.includes('<title>Bus Factor Report - https://example.com/repo.git</title>'));
+      assert.ok(!/<(script|link)[^>]+(src|href)=/.test(html), 'no external assets');
+    });
+
+    it('should include summary, risk, contributors, treemap and files', () => {
+      const html = renderHtmlReport(createReport(base));
+
+      assert.ok(html.includes('CRITICAL'));
+      assert.ok(html.includes('Spread knowledge.'));
+      assert.ok(html.includes('id="contributors"'));
+      assert.ok(html.includes('id="treemap"'));
+      assert.ok(html.includes('data-file="src/a.js"'));
+    });
+
+    it('should embed the data for the drill-down', () => {
+      const html = renderHtmlReport(createReport(base));
+      const json = html.match(/<script type="application\/json" id="report-data">(.*?)<\/script>/s)[1];
+      const data = JSON.parse(json);
+
+      assert.deepEqual(data.fileAuthorshipMap['b.js'], { Bob: { lines: 4, percentage: '100.00' } });
+      assert.equal(data.tree.lines, 14);
+      assert.ok(data.colors.Alice);
+    });
+
+    it('should render the directory breakdown when present', () => {
+      const html = renderHtmlReport(createReport({
+        ...base,
+        directoryBreakdown: {
+          depth: 1,
+          directories: [{ directory: 'src', busFactor: 1, totalFiles: 1, totalContributors: 1, criticalContributors: ['Alice'], risk: 'CRITICAL' }]
+        }
+      }));
+
+      assert.ok(html.includes('Directories (depth 1)'));
+    });
+
+    it('should render the contributor activity when present', () => {
+      const html = renderHtmlReport(createReport({
+        ...base,
+        contributorActivity: {
+          inactiveAfter: 180,
+          referenceDate: '2024-12-31T00:00:00.000Z',
+          departed: ['Alice'],
+          unknownContributors: [],
+          contributors: [
+            { author: 'Alice', status: 'departed', firstCommit: '2024-01-01T00:00:00Z', lastCommit: '2024-06-01T00:00:00Z', commits: 5, activeMonths: 3, filesOwned: 1, critical: true }
+          ],
+          currentKnowledgeHolders: [],
+          formerKnowledgeHolders: ['Alice'],
+          knowledgeLost: { count: 1, ratio: 0.5, files: ['src/a.js'] },
+          currentBusFactor: { busFactor: 0, criticalContributors: [], ownerlessRatio: 0.5, risk: 'CRITICAL' }
+        }
+      }));
+
+      assert.ok(html.includes('<h2>Contributor Activity</h2>'));
+      assert.ok(html.includes('1 files (50.00%) are only owned by contributors who have left'));
+    });
+
+    it('should render the departure simulation when present', () => {
+      const html = renderHtmlReport(createReport({
+        ...base,
+        departureSimulation: {
+          departed: ['Alice'],
+          unknownContributors: [],
+          totalFiles: 2,
+          orphanedFiles: [{ file: 'src/a.js', formerOwners: ['Alice'], lines: 10, successor: { author: 'Bob', lines: 2, share: 0.2 } }],
+          ownerlessRatio: 0.5,
+          affectedDirectories: [{ directory: 'src', files: 2, orphanedFiles: 1, ratio: 0.5 }],
+          remainingBusFactor: { busFactor: 1, criticalContributors: ['Bob'], ownerlessRatio: 1, risk: 'CRITICAL' }
+        }
+      }));
+
+      assert.ok(html.includes('Departure Simulation: Alice'));
+      assert.ok(html.includes('Bob (20.00%)'));
+    });
+
+    it('should escape names and paths', () => {
+      const html = renderHtmlReport(createReport({
+        ...base,
+        fileOwnership: { '<img src=x>.js': '<b>Eve</b>' },
+        fileAuthorshipMap: { '<img src=x>.js': { '<b>Eve</b>': { lines: 1, percentage: '100.00' } } },
+        summary: { busFactor: 1, totalFiles: 1, totalContributors: 1, criticalContributors: ['<b>Eve</b>'] }
+      }));
+
+      assert.ok(!html.includes('<img src=x>'));
+      assert.ok(!html.includes('<b>Eve</b>'));
+      assert.ok(html.includes('&lt;b&gt;Eve&lt;/b&gt;'));
+    });
+
+    it('should not let embedded data close the script block', () => {
+      const html = renderHtmlReport(createReport({
+        ...base,
+        fileOwnership: { '</script><script>alert(1)</script>': 'Alice' },
+        fileAuthorshipMap: { '</script><script>alert(1)</script>': { Alice: { lines: 1, percentage: '100.00' } } }
+      }));
+
+      assert.ok(!html.includes('</script><script>alert(1)'));
+    });
+  });
+});
@@ -0,0 +1,208 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import fs from 'fs-extra';
+import { IdentityResolver } from '../lib/identity-resolver.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('IdentityResolver', () => {
+  describe('resolve', () => {
+    it('should return unknown names unchanged', () => {
+      const resolver = new IdentityResolver();
+      assert.equal(resolver.resolve('Alice', '<alice@example.com>'), 'Alice');
+    });
+
+    it('should merge names that share an author email', () => {
+      const resolver = new IdentityResolver();
+      resolver.learn([
+        { name: 'jane', email: '<jane@example.com>', lines: 5 },
+        { name: 'Jane Doe', email: '<Jane@Example.com>', lines: 20 },
+        { name: 'Bob', email: '<bob@example.com>', lines: 7 }
+      ]);
+
+      assert.equal(resolver.resolve('jane', '<jane@example.com>'), 'Jane Doe');
+      assert.equal(resolver.resolve('Jane Doe', '<jane@example.com>'), 'Jane Doe');
+      assert.equal(resolver.resolve('Bob', '<bob@example.com>'), 'Bob');
+    });
+
+    it('should merge configured aliases by name and email', () => {
+      const resolver = new IdentityResolver({
+        'Jane Doe': ['jane', 'Jane D.', 'jdoe@corp.example']
+      });
+      resolver.learn([
+        { name: 'Jane D.', email: '<jd@home.example>', lines: 50 },
+        { name: 'J', email: '<jdoe@corp.example>', lines: 3 }
+      ]);
+
+      assert.equal(resolver.resolve('Jane D.', '<jd@home.example>'), 'Jane Doe');
+      assert.equal(resolver.resolve('jane', null), 'Jane Doe');
+      assert.equal(resolver.resolve('J', '<jdoe@corp.example>'), 'Jane Doe');
+    });
+
+    it('should not depend on the order identities are learned in', () => {
+      const identities = [
+        { name: 'jane', email: '<jane@example.com>', lines: 1 },
+        { name: 'Jane Doe', email: '<jane@example.com>', lines: 1 },
+        { name: 'Jane Doe', email: '<jane@corp.example>', lines: 1 }
+      ];
+      const aliases = { 'Jane Doe': ['jane@corp.example'] };
+
+      const forward = new IdentityResolver(aliases);
+      forward.learn(identities);
+      const backward = new IdentityResolver(aliases);
+      backward.learn([...identities].reverse());
+
+      for (const { name, email } of identities) {
+        assert.equal(forward.resolve(name, email), 'Jane Doe');
+        assert.equal(backward.resolve(name, email), 'Jane Doe');
+      }
+    });
+
+    it('should prefer the name of the most recent commit once the history is known', () => {
+      const history = [
+        { name: 'Alice', email: 'alice@example.com', date: '2024-01-01T00:00:00Z' },
+        { name: 'Alice D', email: 'alice@example.com', date: '2023-01-01T00:00:00Z' }
+      ];
+
+      // Each resolver blames different files, so the lines per name differ
+      const all = new IdentityResolver();
+      all.learnHistory(history);
+      all.learn([
+        { name: 'Alice D', email: '<alice@example.com>', lines: 40 },
+        { name: 'Alice', email: '<alice@example.com>', lines: 1 }
+      ]);
+      const some = new IdentityResolver();
+      some.learnHistory(history);
+      some.learn([{ name: 'Alice D', email: '<alice@example.com>', lines: 40 }]);
+
+      assert.equal(all.resolve('Alice D', '<alice@example.com>'), 'Alice');
+      assert.equal(some.resolve('Alice D', '<alice@example.com>'), 'Alice');
+    });
+
+    it('should keep configured names over the history', () => {
+      const resolver = new IdentityResolver({ 'Jane Doe': ['jane@example.com'] });
+      resolver.learnHistory([{ name: 'jane', email: 'jane@example.com', date: '2024-01-01T00:00:00Z' }]);
+      assert.equal(resolver.resolve('jane', '<jane@example.com>'), 'Jane Doe');
+    });
+
+    it('should ignore the placeholder email of uncommitted lines', () => {
+      const resolver = new IdentityResolver();
+      resolver.learn([
+        { name: 'Not Committed Yet', email: '<not.committed.yet>', lines: 2 },
+        { name: 'Alice', email: '<not.committed.yet>', lines: 2 }
+      ]);
+
+      assert.equal(resolver.resolve('Alice', '<not.committed.yet>'), 'Alice');
+    });
+
+    it('should reject aliases that are not arrays', () => {
+      assert.throws(
+        () => new IdentityResolver({ 'Jane Doe': 'jane' }),
+        /Aliases for "Jane Doe" must be an array/
+      );
+    });
+  });
+
+  describe('getHandle', () => {
+    it('should read handles from the object form of an alias entry', () => {
+      const resolver = new IdentityResolver({
+        'Jane Doe': { handle: '@jane', aliases: ['jane', 'jdoe@corp.example'] },
+        'Platform Team': { handle: 'acme/platform' },
+        'Bob': ['bob@example.com']
+      });
+
+      assert.equal(resolver.getHandle('Jane Doe'), '@jane');
+      assert.equal(resolver.getHandle('jane'), '@jane');
+      assert.equal(resolver.getHandle('Platform Team'), '@acme/platform');
+      assert.equal(resolver.getHandle('Bob'), null);
+      assert.equal(resolver.getHandle('Carol'), null);
+    });
+
+    it('should keep email handles as they are', () => {
+      const resolver = new IdentityResolver({ 'Jane Doe': { handle: 'jane@corp.example' } });
+      assert.equal(resolver.getHandle('Jane Doe'), 'jane@corp.example');
+    });
+
+    it('should merge identities listed in the object form', () => {
+      const resolver = new IdentityResolver({ 'Jane Doe': { handle: '@jane', aliases: ['jane'] } });
+      resolver.learn([{ name: 'jane', email: null, lines: 1 }]);
+      assert.equal(resolver.resolve('jane', null), 'Jane Doe');
+    });
+
+    it('should reject invalid handles', () => {
+      assert.throws(
+        () => new IdentityResolver({ 'Jane Doe': { handle: '' } }),
+        /Handle for "Jane Doe" must be a non-empty string/
+      );
+      assert.throws(
+        () => new IdentityResolver({ 'Jane Doe': { handle: '@jane', aliases: 'jane' } }),
+        /Aliases for "Jane Doe" must be an array/
+      );
+    });
+  });
+
+  describe('resolveHandle', () => {
+    it('should map configured handles and known emails to contributors', () => {
+      const resolver = new IdentityResolver({ 'Jane Doe': { handle: '@jane', aliases: ['jane'] } });
+      resolver.learn([
+        { name: 'jane', email: 'jane@corp.example', lines: 1 },
+        { name: 'Bob', email: 'bob@example.com', lines: 1 }
+      ]);
+
+      assert.equal(resolver.resolveHandle('@Jane'), 'Jane Doe');
+      assert.equal(resolver.resolveHandle('jane@corp.example'), 'Jane Doe');
+      assert.equal(resolver.resolveHandle('bob@example.com'), 'Bob');
+      assert.equal(resolver.resolveHandle('@bob'), null);
+      assert.equal(resolver.resolveHandle('carol@example.com'), null);
+    });
+  });
+
+  describe('getMergedIdentities', () => {
+    it('should list the names merged into each contributor', () => {
+      const resolver = new IdentityResolver({ 'Jane Doe': ['jane'] });
+      resolver.learn([
+        { name: 'jane', email: null, lines: 1 },
+        { name: 'Bob', email: null, lines: 1 }
+      ]);
+
+      assert.deepEqual(resolver.getMergedIdentities(), { 'Jane Doe': ['jane'] });
+    });
+  });
+
+  describe('fromFile', () => {
+    const aliasFile = path.join(__dirname, '..', 'temp-aliases.json');
+
+    afterEach(async () => {
+      await fs.remove(aliasFile);
+    });
+
+    it('should load aliases from a JSON file', async () => {
+      await fs.writeJson(aliasFile, { 'Jane Doe': ['jane'] });
+
+      const resolver = await IdentityResolver.fromFile(aliasFile);
+
+      assert.equal(resolver.resolve('jane', null), 'Jane Doe');
+    });
+
+    it('should report unreadable alias files', async () => {
+      await fs.writeFile(aliasFile, '{ not json');
+
+      await assert.rejects(
+        async () => await IdentityResolver.fromFile(aliasFile),
+        /Could not read alias file/
+      );
+    });
+
+    it('should reject alias files that are not objects', async () => {
+      await fs.writeJson(aliasFile, ['jane']);
+
+      await assert.rejects(
+        async () => await IdentityResolver.fromFile(aliasFile),
+        /must contain an object mapping names to aliases/
+      );
+    });
+  });
+});
@@ -1,8 +1,10 @@
-import { describe, it, beforeEach, mock } from 'node:test';
+import { describe, it, before, after, beforeEach, afterEach, mock } from 'node:test';
 import assert from 'node:assert/strict';
 import { spawn } from 'child_process';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import fs from 'fs-extra';
+import simpleGit from 'simple-git';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -32,6 +34,21 @@ function runCLI(args) {
   });
 }
 
+const validReport = {
+  summary: { busFactor: 1, totalFiles: 1, totalContributors: 1, criticalContributors: ['Alice'] },
+  analysis: {
+    method: 'Avelino et al. - ABF (Authorship-Based Factor)',
+    description: 'test',
+    finalOwnerlessRatio: 1,
+    threshold: 0.5
+  },
+  constants: { threshold: 0.5 },
+  topContributors: [{ author: 'Alice', degreeOfAuthorship: '100.00%', filesOwned: 1 }],
+  fileOwnership: { 'a.js': 'Alice' },
+  fileAuthorshipMap: { 'a.js': { Alice: { lines: 1, percentage: '100.00' } } },
+  interpretation: { risk: 'CRITICAL', message: 'test', recommendation: 'test' }
+};
+
 describe('CLI', () => {
   describe('help command', () => {
     it('should display help when no arguments provided', async () => {
@@ -51,6 +68,49 @@ describe('CLI', () => {
     });
   });
 
+  describe('custom calculators', () => {
+    const modulePath = path.join(__dirname, '..', 'temp-cli-calculator.js');
+
+    afterEach(async () => {
+      await fs.remove(modulePath);
+    });
+
+    it('should add a subcommand for a calculator loaded with --calculator', async () => {
+      await fs.writeFile(modulePath, [
+        "import { ABFBusFactorCalculator } from './lib/abf-bus-factor-calculator.js';",
+        'export default class CustomCalculator extends ABFBusFactorCalculator {',
+        "  static method = 'custom';",
+        "  static description = 'Analyze bus factor using a custom method';",
+        '}'
+      ].join('\n'));
+
+      const result = await runCLI(['--calculator', modulePath, '--help']);
+      assert.equal(result.code, 0);
+      assert.ok(result.stdout.includes('custom [options] <repo-url>'));
+      assert.ok(result.stdout.includes('Analyze bus factor using a custom method'));
+
+      const batchHelp = await runCLI(['batch', '--help', `--calculator=${modulePath}`]);
+      assert.ok(batchHelp.stdout.includes('"custom"'));
+    });
+
+    it('should reject calculators named like a built-in command', async () => {
+      await fs.writeFile(modulePath, [
+        "import { ABFBusFactorCalculator } from './lib/abf-bus-factor-calculator.js';",
+        "export default class DiffCalculator extends ABFBusFactorCalculator { static method = 'diff'; }"
+      ].join('\n'));
+
+      const result = await runCLI(['--calculator', modulePath, '--help']);
+      assert.equal(result.code, 1);
+      assert.ok(result.stderr.includes('Calculator method "diff" clashes with the diff command'));
+    });
+
+    it('should fail when a calculator module cannot be loaded', async () => {
+      const result = await runCLI(['--calculator', 'missing-calculator.js', 'abf', 'invalid-url']);
+      assert.equal(result.code, 1);
+      assert.ok(result.stderr.includes('Could not load calculator "missing-calculator.js"'));
+    });
+  });
+
   describe('version command', () => {
     it('should display version for --version flag', async () => {
       const result = await runCLI(['--version']);
@@ -74,6 +134,45 @@ describe('CLI', () => {
       assert.ok(result.stdout.includes('--json'));
       assert.ok(result.stdout.includes('--quiet'));
       assert.ok(result.stdout.includes('--summary'));
+      assert.ok(result.stdout.includes('--by-directory'));
+      assert.ok(result.stdout.includes('--jobs'));
+      assert.ok(result.stdout.includes('--cache'));
+      assert.ok(result.stdout.includes('--format'));
+      assert.ok(result.stdout.includes('markdown'));
+      assert.ok(result.stdout.includes('csv-contributors'));
+      assert.ok(result.stdout.includes('--output'));
+      assert.ok(result.stdout.includes('--fail-under'));
+      assert.ok(result.stdout.includes('--fail-on-risk'));
+    });
+
+    it('should reject unknown report formats', async () => {
+      const result = await runCLI(['abf', 'invalid-url', '--format', 'pdf']);
+      assert.equal(result.code, 1);
+      assert.ok(result.stderr.includes("argument 'pdf' is invalid"));
+    });
+
+    it('should reject a non-positive number of jobs', async () => {
+      const result = await runCLI(['abf', 'invalid-url', '--jobs', '0']);
+      assert.equal(result.code, 1);
+      assert.ok(result.stderr.includes('--jobs'));
+    });
+
+    it('should reject a non-numeric directory depth', async () => {
+      const result = await runCLI(['abf', 'invalid-url', '--by-directory', 'deep']);
+      assert.equal(result.code, 1);
+      assert.ok(result.stderr.includes('--by-directory'));
+    });
+
+    it('should reject unknown quality gate risk levels', async () => {
+      const result = await runCLI(['abf', 'invalid-url', '--fail-on-risk', 'LOW']);
+      assert.equal(result.code, 1);
+      assert.ok(result.stderr.includes("argument 'LOW' is invalid"));
+    });
+
+    it('should reject a non-numeric quality gate minimum', async () => {
+      const result = await runCLI(['abf', 'invalid-url', '--fail-under', 'two']);
+      assert.equal(result.code, 1);
+      assert.ok(result.stderr.includes('--fail-under'));
     });
 
     it('should require repo URL', async () => {
@@ -100,6 +199,29 @@ describe('CLI', () => {
       assert.ok(result.stdout.includes('--summary'));
     });
 
+    it('should list the JBF parameters', async () => {
+      const result = await runCLI(['jbf', '--help']);
+      assert.ok(result.stdout.includes('--threshold'));
+      assert.ok(result.stdout.includes('--decay-rate'));
+      assert.ok(result.stdout.includes('--time-window'));
+    });
+
+    it('should accept any positive decay rate', async () => {
+      const rejected = await runCLI(['jbf', 'missing-repo-dir', '--decay-rate', '0']);
+      assert.equal(rejected.code, 1);
+      assert.ok(rejected.stderr.includes('Must be a positive number'));
+
+      const accepted = await runCLI(['jbf', 'missing-repo-dir', '--decay-rate', '2']);
+      assert.ok(!accepted.stderr.includes('--decay-rate'));
+      assert.ok(accepted.stderr.includes('Local repository path does not exist'));
+    });
+
+    it('should reject an out-of-range threshold', async () => {
+      const result = await runCLI(['jbf', 'https://example.com/repo.git', '--threshold', '1.5']);
+      assert.equal(result.code, 1);
+      assert.ok(result.stderr.includes('Must be a number between 0 and 1'));
+    });
+
     it('should require repo URL', async () => {
       const result = await runCLI(['jbf']);
       assert.equal(result.code, 1);
@@ -107,6 +229,473 @@ describe('CLI', () => {
     });
   });
 
+  describe('all command', () => {
+    it('should show help for all --help', async () => {
+      const result = await runCLI(['all', '--help']);
+      assert.equal(result.code, 0);
+      assert.ok(result.stdout.includes('every method from a single authorship analysis'));
+      assert.ok(result.stdout.includes('--methods'));
+      assert.ok(result.stdout.includes('--doa'));
+      assert.ok(result.stdout.includes('--decay-rate'));
+      assert.ok(result.stdout.includes('--fail-under'));
+    });
+
+    it('should reject unknown methods before cloning', async () => {
+      const result = await runCLI(['all', 'invalid-url', '--methods', 'abf,xbf']);
+      assert.equal(result.code, 1);
+      assert.ok(result.stderr.includes('Unknown method(s): xbf (available: abf, jbf)'));
+    });
+
+    it('should only offer text and JSON output', async () => {
+      const result = await runCLI(['all', 'invalid-url', '--format', 'html']);
+      assert.equal(result.code, 1);
+      assert.ok(result.stderr.includes("argument 'html' is invalid"));
+    });
+  });
+
+  describe('codeowners command', () => {
+    it('should show help for codeowners --help', async () => {
+      const result = await runCLI(['codeowners', '--help']);
+      assert.equal(result.code, 0);
+      assert.ok(result.stdout.includes('Generate a CODEOWNERS file'));
+      assert.ok(result.stdout.includes('--aliases'));
+      assert.ok(result.stdout.includes('--dominance'));
+      assert.ok(result.stdout.includes('--backup-share'));
+      assert.ok(result.stdout.includes('--output'));
+      assert.ok(result.stdout.includes('--audit'));
+      assert.ok(result.stdout.includes('--codeowners-file'));
+    });
+
+    it('should reject an out-of-range dominance', async () => {
+      const result = await runCLI(['codeowners', 'invalid-url', '--dominance', '2']);
+      assert.equal(result.code, 1);
+      assert.ok(result.stderr.includes('--dominance'));
+    });
+  });
+
+  describe('departure simulation and contributor activity', () => {
+    const repoPath = path.join(__dirname, '..', 'temp-departure-repo');
+
+    beforeEach(async () => {
+      await fs.ensureDir(repoPath);
+      const git = simpleGit(repoPath);
+      await git.init();
+      await git.addConfig('user.name', 'Alice');
+      await git.addConfig('user.email', 'alice@example.com');
+      await fs.writeFile(path.join(repoPath, 'a.js'), 'one\ntwo\n');
+      await git.add('.');
+      await git.commit('add a.js');
+      await fs.writeFile(path.join(repoPath, 'b.js'), 'three\n');
+      await fs.appendFile(path.join(repoPath, 'a.js'), 'four\n');
+      await git.add('.');
+      await git.commit('add b.js', { '--author': 'Bob <bob@example.com>' });
+    });
+
+    afterEach(async () => {
+      await fs.remove(repoPath);
+    });
+
+    it('should add the simulation to the JSON report', async () => {
+      const result = await runCLI(['abf', repoPath, '--json', '--quiet', '--simulate-departure', 'Alice, Mallory']);
+      assert.equal(result.code, 0);
+      const simulation = JSON.parse(result.stdout).departureSimulation;
+      assert.deepEqual(simulation.departed, ['Alice', 'Mallory']);
+      assert.deepEqual(simulation.unknownContributors, ['Mallory']);
+      assert.deepEqual(simulation.orphanedFiles, [
+        { file: 'a.js', formerOwners: ['Alice'], lines: 3, successor: { author: 'Bob', lines: 1, share: 1 / 3 } }
+      ]);
+      assert.equal(simulation.remainingBusFactor.busFactor, 1);
+    });
+
+    it('should separate contributors who left', async () => {
+      const result = await runCLI(['abf', repoPath, '--json', '--quiet', '--departed', 'Alice']);
+      assert.equal(result.code, 0);
+      const activity = JSON.parse(result.stdout).contributorActivity;
+      assert.deepEqual(activity.currentKnowledgeHolders, ['Bob']);
+      assert.deepEqual(activity.formerKnowledgeHolders, ['Alice']);
+      assert.deepEqual(activity.knowledgeLost, { count: 1, ratio: 0.5, files: ['a.js'] });
+      assert.equal(activity.contributors[0].activeMonths, 1);
+    });
+
+    it('should assess reports of custom calculators without an analysis block', async () => {
+      const modulePath = path.join(__dirname, '..', 'temp-minimal-calculator.js');
+      await fs.writeFile(modulePath, [
+        'export default class MinimalCalculator {',
+        "  static method = 'minimal';",
+        '  calculate() { return { busFactor: 1 }; }',
+        '  generateReport(analysisData, result) {',
+        "    return { summary: { busFactor: result.busFactor, criticalContributors: ['Alice'] }, fileOwnership: { 'a.js': 'Alice', 'b.js': 'Bob' }, fileAuthorshipMap: {}, interpretation: this.interpretResults(result.busFactor) };",
+        '  }',
+        "  interpretResults() { return { risk: 'CRITICAL', message: '', recommendation: '' }; }",
+        '}'
+      ].join('\n'));
+
+      try {
+        const result = await runCLI(['--calculator', modulePath, 'minimal', repoPath, '--json', '--quiet']);
+        assert.equal(result.code, 0, result.stderr);
+        assert.ok(JSON.parse(result.stdout).contributorActivity);
+      } finally {
+        await fs.remove(modulePath);
+      }
+    });
+
+    it('should summarize custom calculators without an analysis block in the all command', async () => {
+      const modulePath = path.join(__dirname, '..', 'temp-minimal-calculator.js');
+      await fs.writeFile(modulePath, [
+        'export default class MinimalCalculator {',
+        "  static method = 'minimal';",
+        '  calculate() { return { busFactor: 1 }; }',
+        "  generateReport() { return { summary: { busFactor: 1 }, fileAuthorshipMap: {}, interpretation: this.interpretResults(1) }; }",
+        "  interpretResults() { return { risk: 'CRITICAL', message: '', recommendation: '' }; }",
+        '}'
+      ].join('\n'));
+
+      try {
+        const result = await runCLI(['--calculator', modulePath, 'all', repoPath, '--methods', 'abf,minimal', '--summary']);
+        assert.equal(result.code, 0, result.stderr);
+        assert.match(result.stdout, /Ownerless Files Ratio\s+\d+\.\d{2}%\s+-/);
+      } finally {
+        await fs.remove(modulePath);
+      }
+    });
+
+    it('should render reports with only the required fields in every format', async () => {
+      const modulePath = path.join(__dirname, '..', 'temp-minimal-calculator.js');
+      await fs.writeFile(modulePath, [
+        'export default class MinimalCalculator {',
+        "  static method = 'minimal';",
+        '  calculate() { return { busFactor: 1 }; }',
+        '  generateReport() { return { summary: { busFactor: 1 }, interpretation: this.interpretResults(1) }; }',
+        "  interpretResults() { return { risk: 'CRITICAL' }; }",
+        '}'
+      ].join('\n'));
+
+      try {
+        for (const format of ['text', 'json', 'markdown', 'html', 'csv', 'csv-contributors']) {
+          const result = await runCLI(['--calculator', modulePath, 'minimal', repoPath, '--format', format]);
+          assert.equal(result.code, 0, `${format}: ${result.stderr}`);
+          // The HTML page's own script mentions undefined
+          const output = result.stdout.replace(/<script>[\s\S]*?<\/script>/g, '');
+          assert.ok(!/undefined|NaN/.test(output), `${format}: ${output}`);
+        }
+      } finally {
+        await fs.remove(modulePath);
+      }
+    });
+
+    it('should analyze a repository without commits', async () => {
+      const emptyPath = path.join(__dirname, '..', 'temp-empty-repo');
+      await fs.ensureDir(emptyPath);
+      await simpleGit(emptyPath).init();
+
+      try {
+        const result = await runCLI(['abf', emptyPath, '--quiet']);
+        assert.equal(result.code, 0, result.stderr);
+        assert.equal(result.stdout.trim(), '0');
+      } finally {
+        await fs.remove(emptyPath);
+      }
+    });
+
+    it('should mark critical contributors who left in the text report', async () => {
+      const result = await runCLI(['abf', repoPath, '--departed', 'Alice,Bob']);
+      assert.equal(result.code, 0);
+      assert.ok(result.stdout.includes('Alice (departed)'));
+      assert.ok(result.stdout.includes('Knowledge Already Lost: 2 files (100.00%)'));
+      assert.ok(result.stdout.includes('Knowledge Holders Who Left (2)'));
+    });
+
+    it('should show the simulation in the text report', async () => {
+      const result = await runCLI(['abf', repoPath, '--simulate-departure', 'Alice']);
+      assert.equal(result.code, 0);
+      assert.ok(result.stdout.includes('Departure Simulation (Alice)'));
+      assert.ok(result.stdout.includes('Orphaned Files: 1/2 (50.00%)'));
+    });
+  });
+
+  describe('review-risk command', () => {
+    const repoPath = path.join(__dirname, '..', 'temp-review-cli-repo');
+
+    beforeEach(async () => {
+      await fs.ensureDir(repoPath);
+      const git = simpleGit(repoPath);
+      await git.init();
+      await git.addConfig('user.name', 'Alice');
+      await git.addConfig('user.email', 'alice@example.com');
+      await fs.writeFile(path.join(repoPath, 'a.js'), 'one\ntwo\n');
+      await git.add('.');
+      await git.commit('add a.js');
+      await git.addTag('base');
+      await fs.appendFile(path.join(repoPath, 'a.js'), 'three\n');
+      await git.add('.');
+      await git.commit('change a.js', { '--author': 'Bob <bob@example.com>' });
+    });
+
+    afterEach(async () => {
+      await fs.remove(repoPath);
+    });
+
+    it('should show help for review-risk --help', async () => {
+      const result = await runCLI(['review-risk', '--help']);
+      assert.equal(result.code, 0);
+      assert.ok(result.stdout.includes('<range>'));
+      assert.ok(result.stdout.includes('--inactive-after'));
+      assert.ok(result.stdout.includes('--fail-on-risk'));
+    });
+
+    it('should reject an invalid range before cloning', async () => {
+      const result = await runCLI(['review-risk', 'invalid-url', 'main']);
+      assert.equal(result.code, 1);
+      assert.ok(result.stderr.includes('Invalid commit range "main"'));
+    });
+
+    it('should report single-owner files as JSON', async () => {
+      const result = await runCLI(['review-risk', repoPath, 'base..HEAD', '--json', '--quiet']);
+      assert.equal(result.code, 0);
+      const review = JSON.parse(result.stdout);
+      assert.equal(review.summary.risk, 'HIGH');
+      assert.deepEqual(review.files[0].owners, ['Alice']);
+      assert.deepEqual(review.files[0].reviewers, ['Alice']);
+    });
+
+    it('should fail the quality gate with --fail-on-risk', async () => {
+      const result = await runCLI(['review-risk', repoPath, 'base..HEAD', '--quiet', '--fail-on-risk', 'HIGH']);
+      assert.equal(result.code, 2);
+      assert.equal(result.stdout.trim(), 'HIGH 1');
+      assert.ok(result.stderr.includes('1 changed file(s) at or above HIGH risk: a.js'));
+    });
+  });
+
+  describe('identity resolution', () => {
+    const repoPath = path.join(__dirname, '..', 'temp-identity-cli-repo');
+
+    // Alice wrote most lines as "Alice D" and later committed as "Alice"
+    before(async () => {
+      await fs.ensureDir(repoPath);
+      const git = simpleGit(repoPath);
+      await git.init();
+      await git.addConfig('user.name', 'Alice');
+      await git.addConfig('user.email', 'alice@example.com');
+      await fs.writeFile(path.join(repoPath, 'a.js'), 'one\ntwo\nthree\nfour\n');
+      await git.add('.');
+      await git.commit('add a.js', { '--author': 'Alice D <alice@example.com>', '--date': '2023-01-01T00:00:00Z' });
+      await git.addTag('base');
+      await fs.writeFile(path.join(repoPath, 'b.js'), 'one\n');
+      await git.add('.');
+      await git.commit('add b.js', { '--date': '2024-01-01T00:00:00Z' });
+      await fs.appendFile(path.join(repoPath, 'a.js'), 'five\n');
+      await git.add('.');
+      await git.commit('change a.js', { '--author': 'Bob <bob@example.com>', '--date': '2024-02-01T00:00:00Z' });
+    });
+
+    after(async () => {
+      await fs.remove(repoPath);
+    });
+
+    it('should name contributors after their most recent commit in every command', async () => {
+      const analysis = await runCLI(['abf', repoPath, '--json', '--quiet']);
+      assert.equal(analysis.code, 0, analysis.stderr);
+      assert.deepEqual(JSON.parse(analysis.stdout).fileOwnership, { 'a.js': 'Alice', 'b.js': 'Alice' });
+
+      // Only a.js is blamed here, where Alice's lines carry her old name
+      const review = await runCLI(['review-risk', repoPath, 'HEAD~1..HEAD', '--json', '--quiet']);
+      assert.equal(review.code, 0, review.stderr);
+      assert.deepEqual(JSON.parse(review.stdout).files[0].owners, ['Alice']);
+    });
+
+    it('should ignore authors by their canonical name', async () => {
+      const result = await runCLI(['abf', repoPath, '--json', '--quiet', '--ignore-authors', 'Alice']);
+      assert.equal(result.code, 0, result.stderr);
+      assert.deepEqual(JSON.parse(result.stdout).fileOwnership, { 'a.js': 'Bob', 'b.js': null });
+    });
+  });
+
+  describe('timeline command', () => {
+    it('should show help for timeline --help', async () => {
+      const result = await runCLI(['timeline', '--help']);
+      assert.equal(result.code, 0);
+      assert.ok(result.stdout.includes('Calculate the bus factor at sampled points'));
+      assert.ok(result.stdout.includes('--interval'));
+      assert.ok(result.stdout.includes('--every'));
+      assert.ok(result.stdout.includes('--method'));
+    });
+
+    it('should require repo URL', async () => {
+      const result = await runCLI(['timeline']);
+      assert.equal(result.code, 1);
+      assert.ok(result.stderr.includes("error: missing required argument 'repo-url'"));
+    });
+
+    it('should reject unknown methods before cloning', async () => {
+      const result = await runCLI(['timeline', 'invalid-url', '--method', 'xyz']);
+      assert.equal(result.code, 1);
+      assert.ok(result.stderr.includes("argument 'xyz' is invalid. Allowed choices are abf, jbf."));
+    });
+
+    it('should reject unknown intervals before cloning', async () => {
+      const result = await runCLI(['timeline', 'invalid-url', '--interval', 'weekly']);
+      assert.equal(result.code, 1);
+      assert.ok(result.stderr.includes("argument 'weekly' is invalid. Allowed choices are commits, monthly, tags."));
+    });
+  });
+
+  describe('validate command', () => {
+    const reportPath = path.join(__dirname, '..', 'temp-report.json');
+
+    afterEach(async () => {
+      await fs.remove(reportPath);
+    });
+
+    it('should accept a valid report', async () => {
+      await fs.writeJson(reportPath, validReport);
+      const result = await runCLI(['validate', reportPath]);
+      assert.equal(result.code, 0);
+      assert.ok(result.stdout.includes('is a valid ABF report'));
+    });
+
+    it('should list schema violations and fail', async () => {
+      await fs.writeJson(reportPath, { ...validReport, summary: { ...validReport.summary, busFactor: 'one' } });
+      const result = await runCLI(['validate', reportPath]);
+      assert.equal(result.code, 1);
+      assert.ok(result.stdout.includes('/summary/busFactor must be integer'));
+    });
+
+    it('should output the result as JSON', async () => {
+      await fs.writeJson(reportPath, validReport);
+      const result = await runCLI(['validate', reportPath, '--method', 'jbf', '--json']);
+      assert.equal(result.code, 1);
+      const output = JSON.parse(result.stdout);
+      assert.equal(output.valid, false);
+      assert.equal(output.method, 'jbf');
+    });
+
+    it('should fail on unreadable reports', async () => {
+      const result = await runCLI(['validate', reportPath]);
+      assert.equal(result.code, 1);
+      assert.ok(result.stderr.includes('Could not read report'));
+    });
+  });
+
+  describe('diff command', () => {
+    const oldPath = path.join(__dirname, '..', 'temp-old-report.json');
+    const newPath = path.join(__dirname, '..', 'temp-new-report.json');
+    const newReport = {
+      ...validReport,
+      summary: { ...validReport.summary, busFactor: 2, criticalContributors: ['Alice', 'Bob'] },
+      fileOwnership: { 'a.js': 'Bob' }
+    };
+
+    afterEach(async () => {
+      await fs.remove(oldPath);
+      await fs.remove(newPath);
+    });
+
+    it('should show what changed between two reports', async () => {
+      await fs.writeJson(oldPath, validReport);
+      await fs.writeJson(newPath, newReport);
+      const result = await runCLI(['diff', oldPath, newPath]);
+      assert.equal(result.code, 0);
+      assert.ok(result.stdout.includes('Bus Factor: 1 → 2'));
+      assert.ok(result.stdout.includes('Bob became critical'));
+      assert.ok(result.stdout.includes('a.js: Alice → Bob'));
+    });
+
+    it('should output the comparison as JSON', async () => {
+      await fs.writeJson(oldPath, validReport);
+      await fs.writeJson(newPath, newReport);
+      const result = await runCLI(['diff', oldPath, newPath, '--json']);
+      assert.equal(result.code, 0);
+      const diff = JSON.parse(result.stdout);
+      assert.deepEqual(diff.busFactor, { old: 1, new: 2, delta: 1 });
+      assert.deepEqual(diff.criticalContributors.added, ['Bob']);
+    });
+
+    it('should reject invalid reports', async () => {
+      await fs.writeJson(oldPath, { summary: {} });
+      await fs.writeJson(newPath, newReport);
+      const result = await runCLI(['diff', oldPath, newPath]);
+      assert.equal(result.code, 1);
+      assert.ok(result.stderr.includes('is not a valid report'));
+    });
+  });
+
+  describe('config files', () => {
+    const repoPath = path.join(__dirname, '..', 'temp-config-repo');
+
+    beforeEach(async () => {
+      await fs.ensureDir(repoPath);
+      const git = simpleGit(repoPath);
+      await git.init();
+      await git.addConfig('user.name', 'Alice');
+      await git.addConfig('user.email', 'alice@example.com');
+      await fs.writeFile(path.join(repoPath, 'a.js'), 'one\ntwo\n');
+      await git.add('.');
+      await git.commit('add a.js');
+      await fs.writeFile(path.join(repoPath, 'b.js'), 'three\n');
+      await git.add('.');
+      await git.commit('add b.js', { '--author': 'Bot <bot@example.com>' });
+      await fs.writeJson(path.join(repoPath, '.busfactorrc'), { method: 'jbf', ignoreAuthors: ['Bot'], format: 'json' });
+    });
+
+    afterEach(async () => {
+      await fs.remove(repoPath);
+    });
+
+    it('should show the analyze command and --config option', async () => {
+      const result = await runCLI(['analyze', '--help']);
+      assert.equal(result.code, 0);
+      assert.ok(result.stdout.includes('--method'));
+      assert.ok(result.stdout.includes('--config'));
+    });
+
+    it('should read defaults from a config file in the analyzed repository', async () => {
+      const result = await runCLI(['analyze', repoPath, '--quiet']);
+      assert.equal(result.code, 0);
+
+      const report = JSON.parse(result.stdout);
+      assert.match(report.analysis.method, /JBF/);
+      assert.equal(report.summary.totalContributors, 1);
+    });
+
+    it('should let command-line options override the config file', async () => {
+      const result = await runCLI(['analyze', repoPath, '--quiet', '--method', 'abf', '--format', 'text', '--ignore-authors', 'nobody']);
+      assert.equal(result.code, 0);
+      assert.equal(result.stdout.trim(), '2');
+    });
+
+    it('should reject an invalid config file', async () => {
+      const configPath = path.join(repoPath, 'invalid.json');
+      await fs.writeJson(configPath, { threshold: 2 });
+
+      const result = await runCLI(['abf', repoPath, '--config', configPath]);
+      assert.equal(result.code, 1);
+      assert.ok(result.stderr.includes('/threshold must be < 1'));
+    });
+  });
+
+  describe('batch command', () => {
+    it('should show help for batch --help', async () => {
+      const result = await runCLI(['batch', '--help']);
+      assert.equal(result.code, 0);
+      assert.ok(result.stdout.includes('Analyze every repository listed in a CSV file'));
+      assert.ok(result.stdout.includes('--concurrency'));
+      assert.ok(result.stdout.includes('--format'));
+      assert.ok(result.stdout.includes('--output'));
+    });
+
+    it('should require a CSV file', async () => {
+      const result = await runCLI(['batch']);
+      assert.equal(result.code, 1);
+      assert.ok(result.stderr.includes("error: missing required argument 'csv'"));
+    });
+
+    it('should fail on an unreadable CSV file', async () => {
+      const result = await runCLI(['batch', 'does-not-exist.csv', '-q']);
+      assert.equal(result.code, 1);
+      assert.ok(result.stderr.includes('Could not read repository list'));
+    });
+  });
+
   describe('displayReport function', () => {
     it('should output only bus factor value with --quiet flag', async () => {
       // This test would require mocking the git operations
@@ -54,6 +54,22 @@ describe('JBFBusFactorCalculator', () => {
       assert.ok(weighted['file1.js']['Bob'] < 50); // More decay applied
     });
 
+    it('should decay relative to the given reference time', () => {
+      const fileAuthorship = {
+        'file1.js': { 'Alice': 100 }
+      };
+
+      const referenceTime = Date.UTC(2020, 0, 1);
+      const fileCommitData = {
+        'file1.js': [{ author: 'Alice', timestamp: referenceTime }]
+      };
+
+      const weighted = calculator.applyKnowledgeDecay(fileAuthorship, fileCommitData, referenceTime);
+
+      // A commit made at the reference time has not decayed at all
+      assert.equal(weighted['file1.js']['Alice'], 100);
+    });
+
     it('should apply maximum decay when no recent commits exist', () => {
       const fileAuthorship = {
         'file1.js': { 'Alice': 100 }
@@ -139,6 +155,65 @@ describe('JBFBusFactorCalculator', () => {
     });
   });
 
+  describe('multi-author mode', () => {
+    it('should only count files as ownerless when all weighted authors are removed', async () => {
+      const multiCalculator = new JBFBusFactorCalculator({ quiet: true, multiAuthor: true });
+      const now = Date.now();
+      multiCalculator.getFileCommitHistory = async () => ({
+        'shared.js': [{ author: 'Alice', timestamp: now }, { author: 'Bob', timestamp: now }],
+        'alice.js': [{ author: 'Alice', timestamp: now }],
+        'carol.js': [{ author: 'Carol', timestamp: now }]
+      });
+
+      const fileAuthorship = {
+        'shared.js': { 'Alice': 51, 'Bob': 49 },
+        'alice.js': { 'Alice': 100 },
+        'carol.js': { 'Carol': 100 }
+      };
+
+      const result = await multiCalculator.calculateJBF(fileAuthorship, { repoPath: '.' });
+
+      assert.deepEqual(result.fileAuthors['shared.js'], ['Alice', 'Bob']);
+      assert.equal(result.fileOwnership['shared.js'], 'Alice');
+      assert.deepEqual(result.removedAuthors, ['Alice', 'Bob']);
+      assert.equal(result.busFactor, 2);
+      assert.equal(result.analysisMetadata.authorThreshold, 0.25);
+    });
+
+    it('should count files without weighted authors only in the final ratio', () => {
+      const fileAuthors = { 'file1.js': [], 'file2.js': ['Alice'] };
+      assert.equal(calculator.countOwnerlessFiles(fileAuthors, []), 0);
+      assert.equal(calculator.calculateFinalOwnerlessRatio(fileAuthors, []), 0.5);
+    });
+  });
+
+  describe('single-owner mode', () => {
+    it('should not let files without an owner end the removal early', async () => {
+      const singleCalculator = new JBFBusFactorCalculator({ quiet: true });
+      const now = Date.now();
+      singleCalculator.getFileCommitHistory = async () => ({
+        'alice.js': [{ author: 'Alice', timestamp: now }],
+        'bob.js': [{ author: 'Bob', timestamp: now }]
+      });
+
+      const fileAuthorship = {
+        'alice.js': { 'Alice': 10 },
+        'bob.js': { 'Bob': 5 },
+        'empty1.js': {},
+        'empty2.js': {},
+        'empty3.js': {},
+        '__init__.py': {}
+      };
+
+      const result = await singleCalculator.calculateJBF(fileAuthorship, { repoPath: '.' });
+
+      assert.equal(result.fileOwnership['empty1.js'], null);
+      assert.equal(result.busFactor, 2);
+      assert.deepEqual([...result.removedAuthors].sort(), ['Alice', 'Bob']);
+      assert.equal(result.ownerlessRatio, 1);
+    });
+  });
+
   describe('interpretResults', () => {
     it('should return CRITICAL risk for bus factor of 1', () => {
       const result = calculator.interpretResults(1);
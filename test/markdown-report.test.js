@@ -0,0 +1,151 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { escapeMarkdown, renderMarkdownReport, MARKDOWN_ROW_LIMIT } from '../lib/markdown-report.js';
+import { createReport } from './fixtures/reports.js';
+
+// Alice owns src/, Bob owns docs/
+const base = {
+  ref: 'v1.0.0',
+  ownerlessRatio: 0.6667,
+  authorship: {
+    'src/a.js': { Alice: { lines: 30, percentage: '75.00' }, Bob: { lines: 10, percentage: '25.00' } },
+    'src/b.js': { Alice: { lines: 5, percentage: '100.00' } },
+    'docs/c.md': { Bob: { lines: 8, percentage: '100.00' } }
+  },
+  topContributors: [
+    { author: 'Alice', degreeOfAuthorship: '66.67%', filesOwned: 2 },
+    { author: 'Bob', degreeOfAuthorship: '33.33%', filesOwned: 1 }
+  ]
+};
+
+describe('markdown-report', () => {
+  describe('escapeMarkdown', () => {
+    it('should escape characters with Markdown meaning', () => {
+      assert.equal(escapeMarkdown('a|b *c* _d_ <e>'), 'a\\|b \\*c\\* \\_d\\_ \\<e\\>');
+    });
+
+    it('should keep table cells on one line', () => {
+      assert.equal(escapeMarkdown('one\ntwo'), 'one two');
+    });
+  });
+
+  describe('renderMarkdownReport', () => {
+    it('should render the heading with method and ref', () => {
+      const markdown = renderMarkdownReport(createReport(base));
+
+      assert.ok(markdown.startsWith('# Bus Factor Report: https://example.com/repo.git\n'));
+      assert.ok(markdown.includes('**Ref:** `v1.0.0`'));
+    });
+
+    it('should include the summary table and risk interpretation', () => {
+      const markdown = renderMarkdownReport(createReport(base));
+
+      assert.ok(markdown.includes('| Bus Factor | **1** |'));
+      assert.ok(markdown.includes('| Risk | 🔴 CRITICAL |'));
+      assert.ok(markdown.includes('| Ownerless Files | 66.67% |'));
+      assert.ok(markdown.includes('> Bus factor of 1.'));
+      assert.ok(markdown.includes('**Recommendation:** Spread knowledge.'));
+    });
+
+    it('should list top contributors', () => {
+      const markdown = renderMarkdownReport(createReport(base));
+      assert.ok(markdown.includes('| 1 | Alice | 66.67% | 2 |'));
+    });
+
+    it('should add recent activity for JBF reports', () => {
+      const markdown = renderMarkdownReport(createReport({
+        ...base,
+        method: 'Jabrayilzade et al. - JBF (Time-Weighted Bus Factor)',
+        topContributors: [{ author: 'Alice', degreeOfAuthorship: '66.67%', filesOwned: 2, recentActivityScore: '12' }]
+      }));
+
+      assert.ok(markdown.includes('| # | Contributor | Weighted DOA | Files Owned | Recent Activity |'));
+      assert.ok(markdown.includes('| 1 | Alice | 66.67% | 2 | 12 |'));
+    });
+
+    it('should list the riskiest files and directories', () => {
+      const markdown = renderMarkdownReport(createReport(base));
+
+      assert.ok(markdown.includes('| `src/a.js` | Alice | 75.00% | 40 |'));
+      assert.ok(markdown.includes('| `src` | 2/2 | 100.00% |'));
+      assert.ok(!markdown.includes('`docs/c.md`'));
+    });
+
+    it('should prefer the per-directory bus factor when present', () => {
+      const markdown = renderMarkdownReport(createReport({
+        ...base,
+        directoryBreakdown: {
+          depth: 1,
+          directories: [{ directory: 'src', busFactor: 1, totalFiles: 2, totalContributors: 2, criticalContributors: ['Alice'], risk: 'CRITICAL' }]
+        }
+      }));
+
+      assert.ok(markdown.includes('| `src` | 1 | 🔴 CRITICAL | 2 | Alice |'));
+    });
+
+    it('should render the contributor activity when present', () => {
+      const markdown = renderMarkdownReport(createReport({
+        ...base,
+        contributorActivity: {
+          inactiveAfter: 180,
+          referenceDate: '2024-12-31T00:00:00.000Z',
+          departed: ['Alice'],
+          unknownContributors: [],
+          contributors: [
+            { author: 'Alice', status: 'departed', firstCommit: '2024-01-01T00:00:00Z', lastCommit: '2024-06-01T00:00:00Z', commits: 5, activeMonths: 3, filesOwned: 1, critical: true }
+          ],
+          currentKnowledgeHolders: [],
+          formerKnowledgeHolders: ['Alice'],
+          knowledgeLost: { count: 1, ratio: 0.5, files: ['src/a.js'] },
+          currentBusFactor: { busFactor: 0, criticalContributors: [], ownerlessRatio: 0.5, risk: 'CRITICAL' }
+        }
+      }));
+
+      assert.ok(markdown.includes('## Contributor Activity'));
+      assert.ok(markdown.includes('| Knowledge Already Lost | 1 files (50.00%) |'));
+      assert.ok(markdown.includes('| Alice | **departed** | 1 | 2024-06-01 | 3 |'));
+    });
+
+    it('should render the departure simulation when present', () => {
+      const markdown = renderMarkdownReport(createReport({
+        ...base,
+        departureSimulation: {
+          departed: ['Alice'],
+          unknownContributors: [],
+          totalFiles: 2,
+          orphanedFiles: [{ file: 'src/a.js', formerOwners: ['Alice'], lines: 10, successor: { author: 'Bob', lines: 2, share: 0.2 } }],
+          ownerlessRatio: 0.5,
+          affectedDirectories: [{ directory: 'src', files: 2, orphanedFiles: 1, ratio: 0.5 }],
+          remainingBusFactor: { busFactor: 1, criticalContributors: ['Bob'], ownerlessRatio: 1, risk: 'CRITICAL' }
+        }
+      }));
+
+      assert.ok(markdown.includes('## Departure Simulation: Alice'));
+      assert.ok(markdown.includes('| Orphaned Files | 1/2 (50.00%) |'));
+      assert.ok(markdown.includes('| `src/a.js` | Alice | Bob (20.00%) | 10 |'));
+    });
+
+    it('should limit long file lists', () => {
+      const fileOwnership = {};
+      const fileAuthorshipMap = {};
+      for (let index = 0; index < MARKDOWN_ROW_LIMIT + 3; index++) {
+        fileOwnership[`f${index}.js`] = 'Alice';
+        fileAuthorshipMap[`f${index}.js`] = { Alice: { lines: index + 1, percentage: '100.00' } };
+      }
+
+      const markdown = renderMarkdownReport(createReport({ ...base, fileOwnership, fileAuthorshipMap }));
+
+      assert.ok(markdown.includes('_…and 3 more._'));
+    });
+
+    it('should escape pipes in file names', () => {
+      const markdown = renderMarkdownReport(createReport({
+        ...base,
+        fileOwnership: { 'a|b.js': 'Alice' },
+        fileAuthorshipMap: { 'a|b.js': { Alice: { lines: 1, percentage: '100.00' } } }
+      }));
+
+      assert.ok(markdown.includes('| `a\\|b.js` |'));
+    });
+  });
+});
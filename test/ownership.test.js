@@ -0,0 +1,39 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_AUTHOR_SHARE, getFileAuthorsByShare, ownersOf } from '../lib/ownership.js';
+
+describe('ownership helpers', () => {
+  describe('ownersOf', () => {
+    it('should normalize single owners, null and author lists', () => {
+      assert.deepEqual(ownersOf('Alice'), ['Alice']);
+      assert.deepEqual(ownersOf(null), []);
+      assert.deepEqual(ownersOf(['Alice', 'Bob']), ['Alice', 'Bob']);
+    });
+  });
+
+  describe('getFileAuthorsByShare', () => {
+    it('should keep every author above the threshold, largest share first', () => {
+      const fileAuthors = getFileAuthorsByShare({
+        'shared.js': { 'Alice': 49, 'Bob': 51 },
+        'mostly-alice.js': { 'Alice': 90, 'Bob': 10 },
+        'empty.js': {}
+      });
+
+      assert.deepEqual(fileAuthors, {
+        'shared.js': ['Bob', 'Alice'],
+        'mostly-alice.js': ['Alice'],
+        'empty.js': []
+      });
+    });
+
+    it('should use the given threshold', () => {
+      const fileAuthors = getFileAuthorsByShare({ 'file.js': { 'Alice': 90, 'Bob': 10 } }, 0.1);
+
+      assert.deepEqual(fileAuthors, { 'file.js': ['Alice', 'Bob'] });
+    });
+
+    it('should default to a 25% share', () => {
+      assert.equal(DEFAULT_AUTHOR_SHARE, 0.25);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { evaluateQualityGate, QUALITY_GATE_EXIT_CODE, RISK_LEVELS } from '../lib/quality-gate.js';
+import { createReport } from './fixtures/reports.js';
+
+
+describe('quality-gate', () => {
+  it('should use an exit code distinct from analysis errors', () => {
+    assert.equal(QUALITY_GATE_EXIT_CODE, 2);
+    assert.deepEqual(RISK_LEVELS, ['LOW', 'MODERATE', 'HIGH', 'CRITICAL']);
+  });
+
+  it('should pass when no limits are set', () => {
+    assert.deepEqual(evaluateQualityGate(createReport({ busFactor: 1, risk: 'CRITICAL' }), {}), { passed: true, reasons: [] });
+  });
+
+  it('should fail when the bus factor is below the minimum', () => {
+    const gate = evaluateQualityGate(createReport({ busFactor: 2, risk: 'HIGH' }), { failUnder: 3 });
+    assert.equal(gate.passed, false);
+    assert.deepEqual(gate.reasons, ['bus factor 2 is below the minimum of 3']);
+  });
+
+  it('should pass when the bus factor equals the minimum', () => {
+    assert.equal(evaluateQualityGate(createReport({ busFactor: 3, risk: 'MODERATE' }), { failUnder: 3 }).passed, true);
+  });
+
+  it('should fail when the risk is at or above the limit', () => {
+    assert.equal(evaluateQualityGate(createReport({ busFactor: 2, risk: 'HIGH' }), { failOnRisk: 'HIGH' }).passed, false);
+    assert.equal(evaluateQualityGate(createReport({ busFactor: 1, risk: 'CRITICAL' }), { failOnRisk: 'HIGH' }).passed, false);
+    assert.equal(evaluateQualityGate(createReport({ busFactor: 3, risk: 'MODERATE' }), { failOnRisk: 'HIGH' }).passed, true);
+  });
+
+  it('should report every limit that was crossed', () => {
+    const gate = evaluateQualityGate(createReport({ busFactor: 1, risk: 'CRITICAL' }), { failUnder: 2, failOnRisk: 'MODERATE' });
+    assert.deepEqual(gate.reasons, [
+      'bus factor 1 is below the minimum of 2',
+      'risk level CRITICAL is at or above MODERATE'
+    ]);
+  });
+
+  it('should reject unknown risk levels', () => {
+    assert.throws(
+      () => evaluateQualityGate(createReport({ busFactor: 1, risk: 'CRITICAL' }), { failOnRisk: 'SEVERE' }),
+      /Unknown risk level: SEVERE/
+    );
+  });
+});
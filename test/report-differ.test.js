@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { diffReports } from '../lib/report-differ.js';
+import { createReport, entry } from './fixtures/reports.js';
+
+describe('diffReports', () => {
+  it('should report the bus factor and risk delta', () => {
+    const diff = diffReports(
+      createReport({ busFactor: 1, risk: 'CRITICAL' }),
+      createReport({ busFactor: 3, risk: 'MODERATE' })
+    );
+
+    assert.deepEqual(diff.busFactor, { old: 1, new: 3, delta: 2 });
+    assert.deepEqual(diff.risk, { old: 'CRITICAL', new: 'MODERATE', changed: true });
+    assert.deepEqual(diff.warnings, []);
+  });
+
+  it('should list contributors who became or stopped being critical', () => {
+    const diff = diffReports(
+      createReport({ critical: ['Alice', 'Bob'] }),
+      createReport({ critical: ['Alice', 'Carol'] })
+    );
+
+    assert.deepEqual(diff.criticalContributors, { added: ['Carol'], removed: ['Bob'] });
+  });
+
+  it('should list files whose owner changed', () => {
+    const diff = diffReports(
+      createReport({
+        ownership: { 'a.js': 'Alice', 'b.js': 'Bob', 'gone.js': 'Bob' },
+        authorship: { 'a.js': { Alice: entry(5) }, 'b.js': { Bob: entry(5) }, 'gone.js': { Bob: entry(1) } }
+      }),
+      createReport({
+        ownership: { 'a.js': 'Bob', 'b.js': 'Bob', 'new.js': 'Carol' },
+        authorship: { 'a.js': { Bob: entry(5) }, 'b.js': { Bob: entry(5) }, 'new.js': { Carol: entry(1) } }
+      })
+    );
+
+    assert.deepEqual(diff.ownershipChanges, [{ file: 'a.js', oldOwners: ['Alice'], newOwners: ['Bob'] }]);
+    assert.deepEqual(diff.files, { old: 3, new: 3, added: 1, removed: 1 });
+  });
+
+  it('should compare every owner in multi-author reports regardless of order', () => {
+    const diff = diffReports(
+      createReport({ fileAuthors: { 'a.js': ['Alice', 'Bob'] }, authorship: { 'a.js': { Alice: entry(1), Bob: entry(1) } } }),
+      createReport({ fileAuthors: { 'a.js': ['Bob', 'Alice'] }, authorship: { 'a.js': { Alice: entry(1), Bob: entry(1) } } })
+    );
+
+    assert.deepEqual(diff.ownershipChanges, []);
+  });
+
+  it('should list files that newly have a single author', () => {
+    const diff = diffReports(
+      createReport({ authorship: { 'a.js': { Alice: entry(3), Bob: entry(1) }, 'b.js': { Bob: entry(2) } } }),
+      createReport({ authorship: { 'a.js': { Alice: entry(4), Bob: entry(0) }, 'b.js': { Bob: entry(2) }, 'c.js': { Carol: entry(1) } } })
+    );
+
+    assert.deepEqual(diff.newSingleOwnerFiles, [{ file: 'a.js', owner: 'Alice' }]);
+  });
+
+  it('should warn when reports are not comparable', () => {
+    const diff = diffReports(
+      createReport(),
+      createReport({ method: 'Jabrayilzade et al. - JBF (Time-Weighted Bus Factor)', repositoryUrl: 'https://example.com/other.git' })
+    );
+
+    assert.equal(diff.warnings.length, 2);
+    assert.match(diff.warnings[0], /different methods \(ABF vs JBF\)/);
+    assert.match(diff.warnings[1], /different repositories/);
+  });
+});
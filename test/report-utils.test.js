@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildDirectoryTree,
+  formatPercent,
+  getAtRiskFiles,
+  getAuthorLines,
+  getDirectoryExposure,
+  getFileOwners,
+  getMethodName,
+  summarizeContributors
+} from '../lib/report-utils.js';
+
+const report = {
+  summary: { criticalContributors: ['Alice'] },
+  analysis: { method: 'Avelino et al. - ABF (Authorship-Based Factor)' },
+  fileOwnership: { 'src/a.js': 'Alice', 'src/lib/b.js': 'Bob', 'README.md': null },
+  fileAuthorshipMap: {
+    'src/a.js': { Alice: { lines: 8, percentage: '80.00' }, Bob: { lines: 2, percentage: '20.00' } },
+    'src/lib/b.js': { Bob: { lines: 5, percentage: '100.00' } },
+    'README.md': {}
+  }
+};
+
+describe('report-utils', () => {
+  describe('getMethodName', () => {
+    it('should name the method of a report', () => {
+      assert.equal(getMethodName(report), 'ABF');
+      assert.equal(getMethodName({ analysis: { method: 'Jabrayilzade et al. - JBF (Time-Weighted Bus Factor)' } }), 'JBF');
+    });
+  });
+
+  describe('formatPercent', () => {
+    it('should format ratios with two decimals', () => {
+      assert.equal(formatPercent(0.12345), '12.35%');
+      assert.equal(formatPercent(1), '100.00%');
+    });
+  });
+
+  describe('getAuthorLines', () => {
+    it('should prefer time-weighted lines', () => {
+      assert.equal(getAuthorLines({ lines: 10, percentage: '100.00' }), 10);
+      assert.equal(getAuthorLines({ lines: 10, percentage: '100.00', weightedLines: '2.50' }), 2.5);
+    });
+  });
+
+  describe('getFileOwners', () => {
+    it('should return the primary owner', () => {
+      assert.deepEqual(getFileOwners(report, 'src/a.js'), ['Alice']);
+      assert.deepEqual(getFileOwners(report, 'README.md'), []);
+    });
+
+    it('should prefer every author in multi-author reports', () => {
+      const multi = { ...report, fileAuthors: { 'src/a.js': ['Alice', 'Bob'] } };
+      assert.deepEqual(getFileOwners(multi, 'src/a.js'), ['Alice', 'Bob']);
+    });
+  });
+
+  describe('summarizeContributors', () => {
+    it('should total lines, files and ownership per contributor', () => {
+      assert.deepEqual(summarizeContributors(report), [
+        { author: 'Alice', lines: 8, filesTouched: 1, filesOwned: 1, share: 8 / 15, critical: true },
+        { author: 'Bob', lines: 7, filesTouched: 2, filesOwned: 1, share: 7 / 15, critical: false }
+      ]);
+    });
+  });
+
+  describe('buildDirectoryTree', () => {
+    it('should nest files by directory with line totals', () => {
+      const tree = buildDirectoryTree(report);
+
+      assert.equal(tree.lines, 15);
+      const src = tree.children.find(child => child.name === 'src');
+      assert.equal(src.lines, 15);
+      assert.equal(src.path, 'src');
+      const lib = src.children.find(child => child.name === 'lib');
+      assert.deepEqual(lib.children, [{ name: 'b.js', path: 'src/lib/b.js', lines: 5, owners: ['Bob'] }]);
+      assert.deepEqual(tree.children.find(child => child.name === 'README.md').owners, []);
+    });
+  });
+
+  describe('getAtRiskFiles', () => {
+    it('should list files owned only by critical contributors', () => {
+      assert.deepEqual(getAtRiskFiles(report), [
+        { file: 'src/a.js', owners: ['Alice'], lines: 10, topAuthorShare: 0.8 }
+      ]);
+    });
+  });
+
+  describe('getDirectoryExposure', () => {
+    it('should rank directories by their share of at-risk files', () => {
+      assert.deepEqual(getDirectoryExposure(report), [
+        { directory: 'src', files: 2, atRiskFiles: 1, ratio: 0.5 },
+        { directory: '.', files: 1, atRiskFiles: 0, ratio: 0 }
+      ]);
+    });
+  });
+});
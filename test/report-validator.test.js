@@ -0,0 +1,106 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BusFactorCalculator } from '../lib/bus-factor-calculator.js';
+import { assertValidReport, detectReportMethod, validateReport } from '../lib/report-validator.js';
+
+const analysisData = {
+  fileAuthorship: {
+    'a.js': { Alice: 10 },
+    'b.js': { Bob: 5, Alice: 1 }
+  },
+  totalAuthorship: { Alice: 11, Bob: 5 },
+  totalFiles: 2,
+  repoPath: process.cwd()
+};
+
+async function generateReport(method, options = {}) {
+  const calculator = new BusFactorCalculator({ quiet: true, ...options });
+  const report = await calculator.calculate(method, analysisData.fileAuthorship, analysisData, 'test-repo');
+  // Reports are validated the way they are printed
+  return JSON.parse(JSON.stringify(report));
+}
+
+describe('report-validator', () => {
+  describe('detectReportMethod', () => {
+    it('should detect the method from the analysis block', () => {
+      assert.equal(detectReportMethod({ analysis: { method: 'Avelino et al. - ABF (Authorship-Based Factor)' } }), 'abf');
+      assert.equal(detectReportMethod({ analysis: { method: 'Jabrayilzade et al. - JBF (Time-Weighted Bus Factor)' } }), 'jbf');
+      assert.equal(detectReportMethod({ analysis: {} }), null);
+      assert.equal(detectReportMethod(null), null);
+    });
+  });
+
+  describe('validateReport', () => {
+    it('should accept generated ABF reports', async () => {
+      const result = validateReport(await generateReport('abf'));
+      assert.deepEqual(result, { valid: true, method: 'abf', errors: [] });
+    });
+
+    it('should accept generated ABF reports in multi-author mode', async () => {
+      const result = validateReport(await generateReport('abf', { multiAuthor: true, threshold: 0.3 }));
+      assert.deepEqual(result.errors, []);
+    });
+
+    it('should accept generated JBF reports', async () => {
+      const result = validateReport(await generateReport('jbf'));
+      assert.deepEqual(result, { valid: true, method: 'jbf', errors: [] });
+    });
+
+    it('should accept reports of repositories without files', async () => {
+      const calculator = new BusFactorCalculator({ quiet: true });
+      const report = await calculator.calculate('abf', {}, {
+        fileAuthorship: {},
+        totalAuthorship: {},
+        totalFiles: 0
+      }, 'empty-repo');
+
+      assert.deepEqual(validateReport(JSON.parse(JSON.stringify(report))).errors, []);
+    });
+
+    it('should list every violation with its location', async () => {
+      const report = await generateReport('abf');
+      report.summary.busFactor = -1;
+      report.interpretation.risk = 'UNKNOWN';
+      delete report.fileOwnership;
+
+      const result = validateReport(report);
+
+      assert.equal(result.valid, false);
+      assert.ok(result.errors.includes("/ must have required property 'fileOwnership'"));
+      assert.ok(result.errors.includes('/summary/busFactor must be >= 0'));
+      assert.ok(result.errors.some(error => error.startsWith('/interpretation/risk must be equal to one of the allowed values')));
+    });
+
+    it('should validate against an explicit method', async () => {
+      const result = validateReport(await generateReport('abf'), 'jbf');
+      assert.equal(result.valid, false);
+      assert.equal(result.method, 'jbf');
+    });
+
+    it('should reject reports of unknown methods', () => {
+      const result = validateReport({ analysis: { method: 'other' } });
+      assert.equal(result.valid, false);
+      assert.equal(result.method, null);
+    });
+
+    it('should reject methods without a schema', () => {
+      assert.throws(() => validateReport({}, 'xyz'), /No report schema for method: xyz/);
+    });
+  });
+
+  describe('assertValidReport', () => {
+    it('should return the result for valid reports', async () => {
+      assert.equal(assertValidReport(await generateReport('jbf'), 'jbf').valid, true);
+    });
+
+    it('should throw with the violations listed', async () => {
+      const report = await generateReport('abf');
+      delete report.summary;
+
+      assert.throws(
+        () => assertValidReport(report, 'abf'),
+        /Report does not match the ABF report schema:\n {2}- \/ must have required property 'summary'/
+      );
+    });
+  });
+});
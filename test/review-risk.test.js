@@ -0,0 +1,175 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fs from 'fs-extra';
+import simpleGit from 'simple-git';
+import { ReviewRiskAnalyzer } from '../lib/review-risk.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Commits the working tree as `author` with both dates set to `date`
+async function commitAs(repoPath, author, date, message) {
+  const git = simpleGit(repoPath).env({ ...process.env, GIT_COMMITTER_DATE: date });
+  await git.add('.');
+  await git.commit(message, { '--author': author, '--date': date });
+}
+
+// Alice wrote legacy.js long ago, Bob owns bob.js, both share shared.js,
+// and Carol's feature branch touches all of them
+async function createReviewRepo(repoPath) {
+  await fs.ensureDir(repoPath);
+  const git = simpleGit(repoPath);
+  await git.init(['--initial-branch=main']);
+  await git.addConfig('user.name', 'Alice');
+  await git.addConfig('user.email', 'alice@example.com');
+
+  await fs.writeFile(path.join(repoPath, 'legacy.js'), 'a\nb\nc\nd\n');
+  await fs.writeFile(path.join(repoPath, 'shared.js'), 'a\nb\n');
+  await commitAs(repoPath, 'Alice <alice@example.com>', '2023-01-01T00:00:00Z', 'legacy code');
+
+  await fs.writeFile(path.join(repoPath, 'bob.js'), 'a\nb\nc\nd\n');
+  await fs.appendFile(path.join(repoPath, 'shared.js'), 'c\nd\n');
+  await commitAs(repoPath, 'Bob <bob@example.com>', '2024-05-01T00:00:00Z', 'bob code');
+
+  await git.checkout(['-b', 'feature']);
+  await fs.appendFile(path.join(repoPath, 'legacy.js'), 'e\n');
+  await fs.appendFile(path.join(repoPath, 'shared.js'), 'e\n');
+  await fs.appendFile(path.join(repoPath, 'bob.js'), 'e\n');
+  await fs.writeFile(path.join(repoPath, 'new.js'), 'a\n');
+  await commitAs(repoPath, 'Carol <carol@example.com>', '2024-06-01T00:00:00Z', 'feature');
+  await git.checkout('main');
+}
+
+describe('ReviewRiskAnalyzer', () => {
+  describe('parseRange', () => {
+    it('should split two- and three-dot ranges', () => {
+      assert.deepEqual(ReviewRiskAnalyzer.parseRange('main..feature'), { base: 'main', head: 'feature', symmetric: false });
+      assert.deepEqual(ReviewRiskAnalyzer.parseRange('origin/main...HEAD'), { base: 'origin/main', head: 'HEAD', symmetric: true });
+    });
+
+    it('should default the head to HEAD', () => {
+      assert.deepEqual(ReviewRiskAnalyzer.parseRange('v1.0.0..'), { base: 'v1.0.0', head: 'HEAD', symmetric: false });
+    });
+
+    it('should reject values that are not ranges', () => {
+      for (const range of ['main', '..feature', '', 'main..--output=x', 'main ..feature']) {
+        assert.throws(() => ReviewRiskAnalyzer.parseRange(range), /Invalid commit range/);
+      }
+    });
+  });
+
+  describe('assessFile', () => {
+    const activity = {
+      Alice: { lastCommit: '2023-01-01T00:00:00Z' },
+      Bob: { lastCommit: '2024-05-01T00:00:00Z' },
+      Carol: { lastCommit: '2024-06-01T00:00:00Z' }
+    };
+    const now = Date.parse('2024-06-01T00:00:00Z');
+    const change = { file: 'a.js', status: 'M', previousPath: null };
+
+    it('should flag files whose owners are all inactive as CRITICAL', () => {
+      const result = new ReviewRiskAnalyzer('.').assessFile(change, { Alice: 9, Carol: 1 }, activity, [], now);
+      assert.equal(result.risk, 'CRITICAL');
+      assert.deepEqual(result.owners, ['Alice']);
+      assert.equal(result.topAuthorShare, 0.9);
+      assert.deepEqual(result.reviewers, ['Carol']);
+    });
+
+    it('should flag files with a single active owner as HIGH', () => {
+      const result = new ReviewRiskAnalyzer('.').assessFile(change, { Bob: 8, Alice: 2 }, activity, [], now);
+      assert.equal(result.risk, 'HIGH');
+      assert.deepEqual(result.reviewers, ['Bob']);
+    });
+
+    it('should not suggest the change authors as reviewers', () => {
+      const result = new ReviewRiskAnalyzer('.').assessFile(change, { Bob: 10 }, activity, ['Bob'], now);
+      assert.equal(result.risk, 'HIGH');
+      assert.deepEqual(result.reviewers, []);
+      assert.ok(result.reasons.includes('no active author besides the change authors'));
+    });
+
+    it('should leave files with several owners and new files LOW', () => {
+      const analyzer = new ReviewRiskAnalyzer('.');
+      assert.equal(analyzer.assessFile(change, { Alice: 5, Bob: 5 }, activity, [], now).risk, 'LOW');
+      assert.equal(analyzer.assessFile({ ...change, status: 'A' }, {}, activity, [], now).risk, 'LOW');
+    });
+
+    it('should leave evenly shared files LOW', () => {
+      const activity = Object.fromEntries(['A', 'B', 'C', 'D', 'E'].map(author => [author, { lastCommit: '2024-05-01T00:00:00Z' }]));
+      const result = new ReviewRiskAnalyzer('.').assessFile(change, { A: 2, B: 2, C: 2, D: 2, E: 2 }, activity, [], now);
+      assert.equal(result.risk, 'LOW');
+      assert.deepEqual(result.owners, []);
+      assert.deepEqual(result.reasons, ['no author holds a significant share']);
+    });
+
+    it('should use the inactivity period and author threshold', () => {
+      const analyzer = new ReviewRiskAnalyzer('.', { inactiveAfter: 1000, authorThreshold: 0.5 });
+      const result = analyzer.assessFile(change, { Alice: 6, Bob: 4 }, activity, [], now);
+      assert.equal(result.risk, 'HIGH');
+      assert.deepEqual(result.owners, ['Alice']);
+      assert.equal(result.authors[0].inactive, false);
+    });
+  });
+
+  describe('analyze', () => {
+    const repoPath = path.join(__dirname, '..', 'temp-review-repo');
+
+    before(async () => {
+      await createReviewRepo(repoPath);
+    });
+
+    after(async () => {
+      await fs.remove(repoPath);
+    });
+
+    it('should assess every file changed in the range', async () => {
+      const review = await new ReviewRiskAnalyzer(repoPath, { quiet: true }).analyze('main..feature');
+      const risks = Object.fromEntries(review.files.map(file => [file.file, file.risk]));
+
+      assert.deepEqual(risks, { 'bob.js': 'HIGH', 'legacy.js': 'CRITICAL', 'new.js': 'LOW', 'shared.js': 'LOW' });
+      assert.deepEqual(review.changeAuthors, ['Carol']);
+      assert.deepEqual(review.summary, {
+        risk: 'CRITICAL',
+        changedFiles: 4,
+        flaggedFiles: 2,
+        byRisk: { LOW: 2, MODERATE: 0, HIGH: 1, CRITICAL: 1 }
+      });
+
+      const legacy = review.files.find(file => file.file === 'legacy.js');
+      assert.deepEqual(legacy.owners, ['Alice']);
+      assert.equal(legacy.authors[0].inactive, true);
+      assert.deepEqual(legacy.reviewers, []);
+      assert.deepEqual(review.files.find(file => file.file === 'bob.js').reviewers, ['Bob']);
+    });
+
+    it('should take ownership at the merge base of a three-dot range', async () => {
+      const review = await new ReviewRiskAnalyzer(repoPath, { quiet: true, inactiveAfter: 1000 }).analyze('main...feature');
+      const legacy = review.files.find(file => file.file === 'legacy.js');
+      assert.equal(legacy.risk, 'HIGH');
+      assert.deepEqual(legacy.reviewers, ['Alice']);
+    });
+
+    it('should treat departed contributors as inactive', async () => {
+      const review = await new ReviewRiskAnalyzer(repoPath, { quiet: true, departed: ['Bob'] }).analyze('main..feature');
+      const bob = review.files.find(file => file.file === 'bob.js');
+      assert.equal(bob.risk, 'CRITICAL');
+      assert.deepEqual(bob.reviewers, []);
+      assert.deepEqual(review.departed, ['Bob']);
+    });
+
+    it('should leave out ignored authors', async () => {
+      const review = await new ReviewRiskAnalyzer(repoPath, { quiet: true, ignoreAuthors: ['Alice'] }).analyze('main..feature');
+      const shared = review.files.find(file => file.file === 'shared.js');
+      assert.equal(shared.risk, 'HIGH');
+      assert.deepEqual(shared.owners, ['Bob']);
+    });
+
+    it('should report no files for an empty range', async () => {
+      const review = await new ReviewRiskAnalyzer(repoPath, { quiet: true }).analyze('main..main');
+      assert.equal(review.summary.changedFiles, 0);
+      assert.equal(review.summary.risk, 'LOW');
+    });
+  });
+});
@@ -0,0 +1,33 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as delay } from 'node:timers/promises';
+import { mapWithConcurrency } from '../lib/task-pool.js';
+
+describe('mapWithConcurrency', () => {
+  it('should keep results in input order', async () => {
+    const results = await mapWithConcurrency([30, 10, 20], 3, async (ms, index) => {
+      await delay(ms);
+      return index;
+    });
+
+    assert.deepEqual(results, [0, 1, 2]);
+  });
+
+  it('should never run more than the limit at once', async () => {
+    let running = 0;
+    let peak = 0;
+
+    await mapWithConcurrency([1, 2, 3, 4, 5], 2, async () => {
+      running++;
+      peak = Math.max(peak, running);
+      await delay(5);
+      running--;
+    });
+
+    assert.equal(peak, 2);
+  });
+
+  it('should handle an empty list', async () => {
+    assert.deepEqual(await mapWithConcurrency([], 4, async () => 1), []);
+  });
+});
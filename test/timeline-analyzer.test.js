@@ -0,0 +1,121 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import fs from 'fs-extra';
+import simpleGit from 'simple-git';
+import { TimelineAnalyzer } from '../lib/timeline-analyzer.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+describe('TimelineAnalyzer', () => {
+  let testRepoPath;
+
+  beforeEach(async () => {
+    testRepoPath = path.join(__dirname, '..', 'temp-timeline-repo');
+    await fs.ensureDir(testRepoPath);
+  });
+
+  afterEach(async () => {
+    if (await fs.pathExists(testRepoPath)) {
+      await fs.remove(testRepoPath);
+    }
+  });
+
+  describe('constructor', () => {
+    it('should default to monthly sampling of HEAD', () => {
+      const timeline = new TimelineAnalyzer(testRepoPath);
+      assert.equal(timeline.interval, 'monthly');
+      assert.equal(timeline.every, 1);
+      assert.equal(timeline.ref, 'HEAD');
+      assert.equal(timeline.method, 'abf');
+    });
+
+    it('should sample every 100 commits by default', () => {
+      const timeline = new TimelineAnalyzer(testRepoPath, { interval: 'commits' });
+      assert.equal(timeline.every, 100);
+    });
+
+    it('should reject unknown intervals', () => {
+      assert.throws(
+        () => new TimelineAnalyzer(testRepoPath, { interval: 'weekly' }),
+        /Unknown timeline interval: weekly/
+      );
+    });
+  });
+
+  describe('getSamplePoints', () => {
+    const history = [
+      'a000000000|2024-01-05T10:00:00+00:00',
+      'b000000000|2024-01-20T10:00:00+00:00',
+      'c000000000|2024-02-03T10:00:00+00:00',
+      'd000000000|2024-03-10T10:00:00+00:00',
+      'e000000000|2024-03-11T10:00:00+00:00'
+    ].join('\n');
+
+    it('should sample every N commits ending at the latest commit', async () => {
+      const timeline = new TimelineAnalyzer(testRepoPath, { interval: 'commits', every: 2 });
+      timeline.git = { raw: mock.fn(async () => history) };
+
+      const points = await timeline.getSamplePoints();
+
+      assert.deepEqual(points.map(point => point.ref), ['a000000000', 'c000000000', 'e000000000']);
+      assert.deepEqual(timeline.git.raw.mock.calls[0].arguments[0],
+        ['log', '--first-parent', '--reverse', '--format=%H|%cI', 'HEAD']);
+    });
+
+    it('should take the last commit of each month', async () => {
+      const timeline = new TimelineAnalyzer(testRepoPath, { interval: 'monthly' });
+      timeline.git = { raw: mock.fn(async () => history) };
+
+      const points = await timeline.getSamplePoints();
+
+      assert.deepEqual(points.map(point => point.ref), ['b000000000', 'c000000000', 'e000000000']);
+      assert.equal(points[0].label, 'b000000');
+    });
+
+    it('should sample tags in creation order', async () => {
+      const timeline = new TimelineAnalyzer(testRepoPath, { interval: 'tags' });
+      timeline.git = {
+        raw: mock.fn(async () => 'v1.0.0|2024-01-01T00:00:00+00:00\nv2.0.0|2024-06-01T00:00:00+00:00\n')
+      };
+
+      const points = await timeline.getSamplePoints();
+
+      assert.deepEqual(points, [
+        { ref: 'v1.0.0', label: 'v1.0.0', date: '2024-01-01T00:00:00+00:00' },
+        { ref: 'v2.0.0', label: 'v2.0.0', date: '2024-06-01T00:00:00+00:00' }
+      ]);
+    });
+  });
+
+  describe('analyze', () => {
+    it('should calculate the bus factor at every sample point', async () => {
+      const git = simpleGit(testRepoPath);
+      await git.init();
+      await git.addConfig('user.email', 'test@example.com');
+
+      await git.addConfig('user.name', 'Alice');
+      await fs.writeFile(path.join(testRepoPath, 'a.js'), 'a\n');
+      await git.add('a.js');
+      await git.commit('add a');
+
+      await git.addConfig('user.name', 'Bob');
+      await fs.writeFile(path.join(testRepoPath, 'b.js'), 'b\n');
+      await fs.writeFile(path.join(testRepoPath, 'c.js'), 'c\n');
+      await git.add(['b.js', 'c.js']);
+      await git.commit('add b and c');
+
+      const timeline = new TimelineAnalyzer(testRepoPath, { interval: 'commits', every: 1, quiet: true });
+      const result = await timeline.analyze('test-repo');
+
+      assert.equal(result.points.length, 2);
+      assert.equal(result.points[0].totalFiles, 1);
+      assert.deepEqual(result.points[0].criticalContributors, ['Alice']);
+      assert.equal(result.points[1].totalFiles, 3);
+      assert.deepEqual(result.points[1].criticalContributors, ['Bob']);
+      assert.deepEqual(result.trend, { from: 1, to: 1, delta: 0 });
+    });
+  });
+});